@@ -68,7 +68,7 @@ export const mockExecutions = [
   {
     id: 'exec-002',
     session_id: 'sess-002',
-    status: 'FAILED',
+    status: 'RUNTIME_ERROR',
     stdout: '',
     stderr: 'SyntaxError: Unexpected token',
     execution_time_ms: 50,
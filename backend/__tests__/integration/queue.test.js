@@ -50,7 +50,7 @@ describe('Queue & Worker Failure Scenarios', () => {
 
     it('should handle execution code that crashes worker', async () => {
       // Code that causes segfault or unhandled error
-      // Worker should catch and report as FAILED
+      // Worker should catch and report as RUNTIME_ERROR with the signal name
       // Worker should continue processing other jobs
     });
 
@@ -86,7 +86,7 @@ describe('Queue & Worker Failure Scenarios', () => {
     it('should handle partial state inconsistencies', async () => {
       // Job marked as RUNNING but no actual process
       // Should detect and recover
-      // Mark as FAILED after timeout
+      // Mark as INTERNAL_ERROR after timeout
     });
 
     it('should cleanup orphaned processes', async () => {
@@ -149,17 +149,17 @@ describe('Queue & Worker Failure Scenarios', () => {
   describe('Specific Error Scenarios', () => {
     it('should handle C++ compilation error', async () => {
       // Submit invalid C++ code
-      // Should return FAILED with compilation error in stderr
+      // Should return COMPILATION_ERROR with compiler diagnostics in compile_output
     });
 
     it('should handle Python import error', async () => {
       // Python code importing non-existent module
-      // Should return FAILED with import error
+      // Should return RUNTIME_ERROR with import error
     });
 
     it('should handle JavaScript require error', async () => {
       // Node.js code requiring non-existent module
-      // Should return FAILED
+      // Should return RUNTIME_ERROR
     });
 
     it('should detect and report infinite loops', async () => {
@@ -171,7 +171,7 @@ describe('Queue & Worker Failure Scenarios', () => {
     it('should handle excessive memory allocation', async () => {
       // Code allocates more than memory limit
       // Should be killed
-      // Status: FAILED
+      // Status: MEMORY_LIMIT_EXCEEDED
       // stderr: memory error
     });
   });
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ArtifactCache from '../../src/runtimes/ArtifactCache.js';
+
+describe('ArtifactCache', () => {
+  const defaultDir = ArtifactCache.DIR;
+  const defaultMaxBytes = ArtifactCache.MAX_BYTES;
+  let workDir;
+
+  beforeEach(() => {
+    ArtifactCache.DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'artifact-cache-test-'));
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifact-work-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(ArtifactCache.DIR, { recursive: true, force: true });
+    fs.rmSync(workDir, { recursive: true, force: true });
+    ArtifactCache.DIR = defaultDir;
+    ArtifactCache.MAX_BYTES = defaultMaxBytes;
+  });
+
+  const writeArtifact = (name, content) => {
+    const file = path.join(workDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  describe('getKey', () => {
+    const base = {
+      runtime: 'gcc',
+      version: '13',
+      argv: ['gcc', '-o', 'main', 'main.c'],
+      files: [{ path: 'main.c', content: 'int main() {}' }, { path: 'a.h', content: '' }],
+    };
+
+    it('should not depend on file order', () => {
+      const reordered = { ...base, files: [...base.files].reverse() };
+      expect(ArtifactCache.getKey(reordered)).toBe(ArtifactCache.getKey(base));
+    });
+
+    it('should change with source, version and flags', () => {
+      const key = ArtifactCache.getKey(base);
+      expect(ArtifactCache.getKey({ ...base, version: '14' })).not.toBe(key);
+      expect(ArtifactCache.getKey({ ...base, argv: ['gcc', '-O2', '-o', 'main', 'main.c'] })).not.toBe(key);
+      expect(ArtifactCache.getKey({ ...base, files: [{ path: 'main.c', content: 'int main() { }' }, base.files[1]] })).not.toBe(key);
+      expect(ArtifactCache.getKey({ ...base, files: [base.files[0], { path: 'a.h', content: '#define X' }] })).not.toBe(key);
+    });
+  });
+
+  describe('store and lookup', () => {
+    it('should return a stored artifact with its compiler output', async () => {
+      await ArtifactCache.store('key-1', writeArtifact('main', 'binary'), { compile_output: 'warning: x' });
+
+      const target = path.join(workDir, 'run', 'main');
+      const meta = await ArtifactCache.lookup('key-1', target);
+
+      expect(meta).toEqual({ compile_output: 'warning: x' });
+      expect(fs.readFileSync(target, 'utf8')).toBe('binary');
+      expect(fs.statSync(target).mode & 0o111).toBeTruthy();
+    });
+
+    it('should miss unknown keys', async () => {
+      expect(await ArtifactCache.lookup('missing', path.join(workDir, 'main'))).toBeNull();
+    });
+
+    it('should keep the first entry when the same key is stored twice', async () => {
+      await ArtifactCache.store('key-2', writeArtifact('a', 'first'));
+      await ArtifactCache.store('key-2', writeArtifact('b', 'second'));
+
+      const target = path.join(workDir, 'out');
+      await ArtifactCache.lookup('key-2', target);
+      expect(fs.readFileSync(target, 'utf8')).toBe('first');
+      expect(fs.readdirSync(ArtifactCache.DIR)).toEqual(['key-2']);
+    });
+  });
+
+  describe('prune', () => {
+    it('should evict the least recently used entries beyond the size limit', async () => {
+      ArtifactCache.MAX_BYTES = 10;
+      const past = new Date(Date.now() - 60000);
+
+      await ArtifactCache.store('old', writeArtifact('old', '1234'));
+      await ArtifactCache.store('used', writeArtifact('used', '1234'));
+      fs.utimesSync(path.join(ArtifactCache.DIR, 'old'), past, past);
+      fs.utimesSync(path.join(ArtifactCache.DIR, 'used'), past, past);
+
+      // A hit marks the entry as recently used
+      await ArtifactCache.lookup('used', path.join(workDir, 'target'));
+      await ArtifactCache.store('new', writeArtifact('new', '1234'));
+
+      expect(fs.readdirSync(ArtifactCache.DIR).sort()).toEqual(['new', 'used']);
+    });
+  });
+});
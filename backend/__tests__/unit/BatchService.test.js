@@ -0,0 +1,276 @@
+jest.mock('../../src/libs/redis.js', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), set: jest.fn() },
+  createRedisConnection: jest.fn(),
+}));
+
+jest.mock('../../src/libs/db.js', () => ({
+  __esModule: true,
+  query: jest.fn(),
+  transaction: jest.fn(async (callback) => callback({})),
+}));
+
+jest.mock('../../src/libs/queue.js', () => ({
+  __esModule: true,
+  codeExecutionQueue: { add: jest.fn(), addBulk: jest.fn() },
+  default: {},
+}));
+
+jest.mock('../../src/models/Batch.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(), findById: jest.fn() },
+}));
+
+jest.mock('../../src/models/Execution.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(), findByBatchId: jest.fn() },
+}));
+
+jest.mock('../../src/models/Session.js', () => ({
+  __esModule: true,
+  default: { findWithLanguage: jest.fn() },
+}));
+
+jest.mock('../../src/models/SessionFile.js', () => ({
+  __esModule: true,
+  default: { findBySessionId: jest.fn() },
+}));
+
+jest.mock('../../src/models/SourceSnapshot.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(async (data) => data) },
+}));
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import redis from '../../src/libs/redis.js';
+import { codeExecutionQueue } from '../../src/libs/queue.js';
+import Batch from '../../src/models/Batch.js';
+import Execution from '../../src/models/Execution.js';
+import Session from '../../src/models/Session.js';
+import SessionFile from '../../src/models/SessionFile.js';
+import BatchService from '../../src/services/BatchService.js';
+import CollabService from '../../src/services/CollabService.js';
+import SafetyService from '../../src/services/SafetyService.js';
+import SnapshotService from '../../src/services/SnapshotService.js';
+
+const sessionId = '7b0c3a64-7d1e-4b8e-9c39-0c5e6f1a2b3c';
+const batchId = '1f3d9a2e-5b6c-4d7e-8f90-a1b2c3d4e5f6';
+
+const session = {
+  id: sessionId,
+  status: 'ACTIVE',
+  source_code: 'print(input())',
+  entry_point: null,
+  file_name: 'main.py',
+  default_time_limit_ms: 5000,
+  default_memory_mb: 256,
+  max_time_limit_ms: 15000,
+  max_memory_mb: 1024,
+};
+
+describe('BatchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(SafetyService, 'checkExecutionAbuse').mockResolvedValue({ allowed: true });
+    jest.spyOn(SafetyService, 'logExecutionEvent').mockResolvedValue();
+    jest.spyOn(CollabService, 'flush').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    Session.findWithLanguage.mockResolvedValue(session);
+    SessionFile.findBySessionId.mockResolvedValue([{ path: 'util.py', content: 'x = 1', id: 3 }]);
+    Batch.create.mockImplementation(async (data) => ({ ...data, status: 'QUEUED' }));
+    Execution.create.mockImplementation(async (data) => ({ ...data, status: 'QUEUED' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateInputs', () => {
+    it('should accept a list of strings', () => {
+      expect(BatchService.validateInputs(['1\n', '', '3\n']).valid).toBe(true);
+    });
+
+    it('should reject empty, oversized and non-string lists', () => {
+      expect(BatchService.validateInputs([]).valid).toBe(false);
+      expect(BatchService.validateInputs('1\n').valid).toBe(false);
+      expect(BatchService.validateInputs(['1', 2]).error).toBe('inputs[1] must be a string');
+      expect(BatchService.validateInputs(Array(BatchService.MAX_ITEMS + 1).fill('')).error).toContain('Too many inputs');
+    });
+  });
+
+  describe('submitBatch', () => {
+    it('should snapshot the code, create one execution per input and queue one job', async () => {
+      const result = await BatchService.submitBatch(sessionId, ['1\n', '2\n', '3\n'], undefined, 512);
+
+      expect(Batch.create).toHaveBeenCalledWith(expect.objectContaining({
+        session_id: sessionId,
+        source_code: 'print(input())',
+        entry_point: 'main.py',
+        files: [{ path: 'util.py', content: 'x = 1' }],
+        time_limit_ms: 5000,
+        memory_limit_mb: 512,
+        total_items: 3,
+      }), {});
+      expect(Execution.create).toHaveBeenCalledTimes(3);
+      expect(Execution.create.mock.calls[2][0]).toMatchObject({
+        batch_index: 2,
+        stdin: '3\n',
+        batch_id: result.batch_id,
+        source_hash: SnapshotService.getHash({
+          entry_point: 'main.py',
+          source_code: 'print(input())',
+          files: [{ path: 'util.py', content: 'x = 1' }],
+        }),
+      });
+
+      expect(codeExecutionQueue.add).toHaveBeenCalledTimes(1);
+      expect(codeExecutionQueue.add).toHaveBeenCalledWith(
+        BatchService.JOB_NAME,
+        { batch_id: result.batch_id, session_id: sessionId },
+        { jobId: result.batch_id }
+      );
+
+      expect(result).toMatchObject({ status: 'QUEUED', total_items: 3, time_limit_ms: 5000, memory_limit_mb: 512 });
+      expect(result.items.map(item => item.index)).toEqual([0, 1, 2]);
+    });
+
+    it('should check the rate limit once for the whole batch', async () => {
+      await BatchService.submitBatch(sessionId, Array(20).fill('1\n'));
+      expect(SafetyService.checkExecutionAbuse).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject rate-limited sessions', async () => {
+      SafetyService.checkExecutionAbuse.mockResolvedValue({ allowed: false, reason: 'Rate limit exceeded', retryAfter: 60 });
+
+      await expect(BatchService.submitBatch(sessionId, ['1\n'])).rejects.toMatchObject({ status: 429, retryAfter: 60 });
+      expect(Batch.create).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the language maximums', async () => {
+      await expect(BatchService.submitBatch(sessionId, ['1\n'], 20000)).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should reject inactive and unknown sessions', async () => {
+      Session.findWithLanguage.mockResolvedValueOnce({ ...session, status: 'INACTIVE' });
+      await expect(BatchService.submitBatch(sessionId, ['1\n'])).rejects.toMatchObject({ status: 400 });
+
+      Session.findWithLanguage.mockResolvedValueOnce(undefined);
+      await expect(BatchService.submitBatch(sessionId, ['1\n'])).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('dispatchItems', () => {
+    it('should queue only items that have not started', async () => {
+      Execution.findByBatchId.mockResolvedValue([
+        { id: 'e0', batch_index: 0, status: 'COMPLETED', stdin: '1\n' },
+        { id: 'e1', batch_index: 1, status: 'QUEUED', stdin: '2\n' },
+      ]);
+
+      const dispatched = await BatchService.dispatchItems({
+        id: batchId,
+        session_id: sessionId,
+        time_limit_ms: 5000,
+        memory_limit_mb: 256,
+        args: ['-v'],
+        env: null,
+      });
+
+      expect(dispatched).toBe(1);
+      expect(codeExecutionQueue.addBulk).toHaveBeenCalledWith([{
+        name: 'execute',
+        data: {
+          execution_id: 'e1',
+          session_id: sessionId,
+          batch_id: batchId,
+          time_limit: 5000,
+          memory_limit: 256,
+          stdin: '2\n',
+          args: ['-v'],
+          env: {},
+        },
+        opts: { jobId: 'e1' },
+      }]);
+    });
+  });
+
+  describe('getBuild', () => {
+    const build = {
+      compile_output: 'warning: unused',
+      files: [{ path: 'bin/main', mode: 0o755, content: Buffer.from('binary').toString('base64') }],
+    };
+
+    beforeEach(() => {
+      jest.replaceProperty(BatchService, 'BUILD_CACHE_DIR', fs.mkdtempSync(path.join(os.tmpdir(), 'batch-build-test-')));
+      redis.get.mockResolvedValue(JSON.stringify(build));
+    });
+
+    afterEach(() => {
+      fs.rmSync(BatchService.BUILD_CACHE_DIR, { recursive: true, force: true });
+    });
+
+    it('should load the build from Redis once per host and unpack it', async () => {
+      const [first, second] = await Promise.all([BatchService.getBuild(batchId), BatchService.getBuild(batchId)]);
+      const third = await BatchService.getBuild(batchId);
+
+      expect(redis.get).toHaveBeenCalledTimes(1);
+      expect(first).toEqual({ compile_output: 'warning: unused', dir: path.join(BatchService.BUILD_CACHE_DIR, batchId, 'files') });
+      expect(second).toEqual(first);
+      expect(third).toEqual(first);
+
+      const binary = path.join(first.dir, 'bin/main');
+      expect(fs.readFileSync(binary, 'utf8')).toBe('binary');
+      expect(fs.statSync(binary).mode & 0o777).toBe(0o755);
+    });
+
+    it('should return null when the build is gone', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      redis.get.mockResolvedValueOnce(null).mockRejectedValueOnce(new Error('Redis is down'));
+
+      expect(await BatchService.getBuild(batchId)).toBeNull();
+      expect(await BatchService.getBuild(batchId)).toBeNull();
+      expect(fs.readdirSync(BatchService.BUILD_CACHE_DIR)).toEqual([]);
+    });
+  });
+
+  describe('getBatch', () => {
+    it('should aggregate item statuses', async () => {
+      Batch.findById.mockResolvedValue({
+        id: batchId,
+        session_id: sessionId,
+        status: 'RUNNING',
+        total_items: 3,
+        time_limit_ms: 5000,
+        memory_limit_mb: 256,
+        compile_time_ms: null,
+      });
+      Execution.findByBatchId.mockResolvedValue([
+        { id: 'e0', batch_index: 0, status: 'COMPLETED', stdout: '1\n', stderr: '', exit_code: 0, execution_time_ms: 20 },
+        { id: 'e1', batch_index: 1, status: 'RUNTIME_ERROR', stdout: '', stderr: 'boom', exit_code: 1, execution_time_ms: 25 },
+        { id: 'e2', batch_index: 2, status: 'RUNNING' },
+      ]);
+
+      const batch = await BatchService.getBatch(batchId);
+
+      expect(batch).toMatchObject({
+        status: 'RUNNING',
+        total_items: 3,
+        finished_items: 2,
+        status_counts: { COMPLETED: 1, RUNTIME_ERROR: 1, RUNNING: 1 },
+      });
+      expect(batch.items[1]).toMatchObject({ index: 1, status: 'RUNTIME_ERROR', stderr: 'boom', exit_code: 1 });
+      expect(batch.items[2]).toEqual({ index: 2, execution_id: 'e2', status: 'RUNNING' });
+      expect(batch.compile_output).toBeUndefined();
+    });
+
+    it('should return 404 for unknown batches', async () => {
+      Batch.findById.mockResolvedValue(undefined);
+      await expect(BatchService.getBatch(batchId)).rejects.toMatchObject({ status: 404 });
+
+      Batch.findById.mockRejectedValue(Object.assign(new Error('invalid input syntax for type uuid'), { code: '22P02' }));
+      await expect(BatchService.getBatch('nope')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
@@ -1,6 +1,23 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
 import CodeExecutionService from '../../src/services/CodeExecutionService.js';
+import ArtifactCache from '../../src/runtimes/ArtifactCache.js';
 
 describe('CodeExecutionService', () => {
+  const defaultCacheDir = ArtifactCache.DIR;
+
+  // Start every run with an empty artifact cache
+  beforeAll(() => {
+    ArtifactCache.DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'artifact-cache-test-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(ArtifactCache.DIR, { recursive: true, force: true });
+    ArtifactCache.DIR = defaultCacheDir;
+  });
+
   describe('executeCode', () => {
     it('should execute Node.js code successfully', async () => {
       const language = { runtime: 'node' };
@@ -20,7 +37,7 @@ describe('CodeExecutionService', () => {
       
       const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
       
-      expect(result.status).toBe('FAILED');
+      expect(result.status).toBe('RUNTIME_ERROR');
       expect(result.stderr).toBeTruthy();
     });
 
@@ -52,7 +69,7 @@ describe('CodeExecutionService', () => {
       
       const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
       
-      expect(result.status).toBe('FAILED');
+      expect(result.status).toBe('INTERNAL_ERROR');
       expect(result.stderr).toContain('Unsupported');
     });
 
@@ -63,7 +80,7 @@ describe('CodeExecutionService', () => {
       const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
       
       expect(result).toHaveProperty('status');
-      expect(['COMPLETED', 'FAILED']).toContain(result.status);
+      expect(['COMPLETED', 'RUNTIME_ERROR']).toContain(result.status);
     });
 
     it('should capture return code on exit', async () => {
@@ -75,5 +92,504 @@ describe('CodeExecutionService', () => {
       expect(result.status).toBe('COMPLETED');
       expect(result.exit_code).toBe(0);
     });
+
+    it('should pipe stdin to the program', async () => {
+      const language = { runtime: 'node' };
+      const code = 'let data = ""; process.stdin.on("data", c => data += c); process.stdin.on("end", () => console.log(data.trim().split(" ").map(Number).reduce((a, b) => a + b)))';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256, '2 3 4\n');
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout.trim()).toBe('9');
+    });
+
+    it('should report output chunks as they are produced', async () => {
+      const language = { runtime: 'node' };
+      const code = 'console.log("first"); setTimeout(() => console.error("second"), 100)';
+      const chunks = [];
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256, '', {
+        onOutput: (stream, chunk) => chunks.push([stream, chunk.toString()]),
+      });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(chunks).toEqual([['stdout', 'first\n'], ['stderr', 'second\n']]);
+    });
+
+    it('should not block when program reads stdin without input', async () => {
+      const language = { runtime: 'node' };
+      const code = 'process.stdin.resume(); process.stdin.on("end", () => console.log("eof"))';
+
+      const result = await CodeExecutionService.executeCode(language, code, 2000, 256);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout).toContain('eof');
+    });
+  });
+
+  describe('failure statuses', () => {
+    it('should report RUNTIME_ERROR with the exit code', async () => {
+      const language = { runtime: 'python' };
+
+      const result = await CodeExecutionService.executeCode(language, 'import sys\nsys.exit(3)', 5000, 256);
+
+      expect(result.status).toBe('RUNTIME_ERROR');
+      expect(result.exit_code).toBe(3);
+      expect(result.signal).toBeNull();
+    });
+
+    it('should describe the signal of a crashed native program', async () => {
+      const language = { runtime: 'gcc' };
+      const code = 'int main() { volatile int *p = 0; *p = 1; return 0; }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
+
+      expect(result.status).toBe('RUNTIME_ERROR');
+      expect(result.exit_code).toBeNull();
+      expect(result.signal).toBe('SIGSEGV');
+      expect(result.stderr).toBe('Segmentation fault (SIGSEGV)');
+    });
+
+    it('should report OUTPUT_LIMIT_EXCEEDED for runaway output', async () => {
+      const language = { runtime: 'python' };
+      const code = 'import sys\nwhile True:\n    sys.stdout.write("x" * 65536)';
+
+      const result = await CodeExecutionService.executeCode(language, code, 10000, 256);
+
+      expect(result.status).toBe('OUTPUT_LIMIT_EXCEEDED');
+      expect(result.stderr).toContain('Output limit exceeded');
+    });
+  });
+
+  describe('memory limits', () => {
+    it('should report MEMORY_LIMIT_EXCEEDED when Node.js allocates past the limit', async () => {
+      const language = { runtime: 'node' };
+      const code = 'const keep = []; while (true) { keep.push(Buffer.alloc(8 * 1024 * 1024, 1)); }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 10000, 64);
+
+      expect(result.status).toBe('MEMORY_LIMIT_EXCEEDED');
+      expect(result.timeout).toBe(false);
+    });
+
+    it('should report MEMORY_LIMIT_EXCEEDED for native programs', async () => {
+      const language = { runtime: 'gcc' };
+      const code = '#include <stdlib.h>\n#include <string.h>\nint main() {\n  for (;;) { char *p = malloc(8 << 20); if (!p) return 3; memset(p, 1, 8 << 20); }\n}';
+
+      const result = await CodeExecutionService.executeCode(language, code, 10000, 64);
+
+      expect(result.status).toBe('MEMORY_LIMIT_EXCEEDED');
+    });
+
+    it('should not flag programs that stay within the limit', async () => {
+      const language = { runtime: 'node' };
+      const code = 'const b = Buffer.alloc(8 * 1024 * 1024, 1); console.log(b.length)';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 128);
+
+      expect(result.status).toBe('COMPLETED');
+    });
+  });
+
+  describe('resource metrics', () => {
+    it('should report CPU time, wall time and peak memory', async () => {
+      const language = { runtime: 'node' };
+      const code = 'const a = Buffer.alloc(40 * 1024 * 1024, 1); const end = Date.now() + 300; while (Date.now() < end) {} console.log(a[0])';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.cpu_user_ms + result.cpu_system_ms).toBeGreaterThan(0);
+      expect(result.wall_time_ms).toBeGreaterThanOrEqual(300);
+      expect(result.peak_memory_kb).toBeGreaterThan(40 * 1024);
+      expect(result.signal).toBeNull();
+    });
+
+    it('should report the terminating signal', async () => {
+      const language = { runtime: 'python' };
+      const code = 'import os, signal\nos.kill(os.getpid(), signal.SIGSEGV)';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
+
+      expect(result.status).toBe('RUNTIME_ERROR');
+      expect(result.signal).toBe('SIGSEGV');
+    });
+
+    it('should report SIGKILL for programs stopped at the time limit', async () => {
+      const language = { runtime: 'node' };
+
+      const result = await CodeExecutionService.executeCode(language, 'while(true) {}', 500, 256);
+
+      expect(result.status).toBe('TIMEOUT');
+      expect(result.signal).toBe('SIGKILL');
+      expect(result.cpu_user_ms).toBeGreaterThan(0);
+    });
+  });
+
+  describe('compile phase', () => {
+    it('should report COMPILATION_ERROR with the compiler output', async () => {
+      const language = { runtime: 'gcc' };
+      const code = 'int main() { return undefined_symbol; }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
+
+      expect(result.status).toBe('COMPILATION_ERROR');
+      expect(result.compile_exit_code).not.toBe(0);
+      expect(result.compile_output).toContain('undefined_symbol');
+      expect(result.compile_time_ms).toBeGreaterThanOrEqual(0);
+      expect(result.stdout).toBe('');
+      expect(result.exit_code).toBeNull();
+    });
+
+    it('should surface warnings without failing the run', async () => {
+      const language = { runtime: 'gcc' };
+      const code = '#include <stdio.h>\n#warning "check this"\nint main() { printf("ok\\n"); return 0; }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout).toBe('ok\n');
+      expect(result.compile_exit_code).toBe(0);
+      expect(result.compile_output).toContain('check this');
+    });
+
+    it('should reuse the compiled artifact for an unchanged program', async () => {
+      const language = { runtime: 'g++', version: '13' };
+      const code = '#include <iostream>\nint main() { int n; std::cin >> n; std::cout << n * 2 << std::endl; }';
+
+      const first = await CodeExecutionService.executeCode(language, code, 5000, 256, '4\n');
+      const second = await CodeExecutionService.executeCode(language, code, 5000, 256, '21\n');
+
+      expect(first.compile_cached).toBe(false);
+      expect(second.compile_cached).toBe(true);
+      expect(second.compile_exit_code).toBe(0);
+      expect(first.stdout.trim()).toBe('8');
+      expect(second.stdout.trim()).toBe('42');
+    });
+
+    it('should recompile when the language version changes', async () => {
+      const code = 'int main() { return 0; }';
+
+      await CodeExecutionService.executeCode({ runtime: 'gcc', version: '12' }, code, 5000, 256);
+      const result = await CodeExecutionService.executeCode({ runtime: 'gcc', version: '13' }, code, 5000, 256);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.compile_cached).toBe(false);
+    });
+
+    it('should not cache failed compilations', async () => {
+      const language = { runtime: 'gcc' };
+      const code = 'int main() { return missing; }';
+
+      await CodeExecutionService.executeCode(language, code, 5000, 256);
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
+
+      expect(result.status).toBe('COMPILATION_ERROR');
+      expect(result.compile_cached).toBe(false);
+    });
+
+    it('should not report compile fields for interpreted languages', async () => {
+      const language = { runtime: 'node' };
+
+      const result = await CodeExecutionService.executeCode(language, 'console.log(1)', 5000, 256);
+
+      expect(result).not.toHaveProperty('compile_output');
+    });
+  });
+
+  describe('shared builds', () => {
+    it('should return the compiled files without running the program', async () => {
+      const language = { runtime: 'gcc' };
+      const code = '#include <stdio.h>\nint main() { puts("never run"); return 0; }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256, '', { compileOnly: true });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout).toBe('');
+      expect(result.compile_exit_code).toBe(0);
+      expect(result.build.map(file => file.path)).toEqual(['main']);
+      expect(result.build[0].mode & 0o100).toBeTruthy();
+    });
+
+    it('should run a shared build instead of compiling', async () => {
+      const language = { runtime: 'gcc' };
+      const built = await CodeExecutionService.executeCode(
+        language,
+        '#include <stdio.h>\nint main() { puts("from build"); return 0; }',
+        5000,
+        256,
+        '',
+        { compileOnly: true }
+      );
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-build-'));
+      await CodeExecutionService.writeBuild(dir, built.build);
+
+      // A different source proves the compiler did not run
+      const result = await CodeExecutionService.executeCode(language, 'int main() { return 1; }', 5000, 256, '', {
+        build: { compile_output: built.compile_output, dir },
+      });
+      fs.rmSync(dir, { recursive: true, force: true });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout).toBe('from build\n');
+      expect(result.compile_cached).toBe(true);
+    });
+
+    it('should not read compiler output past the size limit', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collect-build-'));
+      fs.writeFileSync(path.join(dir, 'main'), Buffer.alloc(2048));
+      jest.replaceProperty(CodeExecutionService, 'MAX_BUILD_BYTES', 1024);
+      const readFile = jest.spyOn(fs.promises, 'readFile');
+
+      try {
+        expect(await CodeExecutionService.collectBuild(dir, [])).toBeNull();
+        expect(readFile).not.toHaveBeenCalled();
+      } finally {
+        readFile.mockRestore();
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should report compilation errors in compile-only mode', async () => {
+      const result = await CodeExecutionService.executeCode({ runtime: 'gcc' }, 'int main() { return missing; }', 5000, 256, '', {
+        compileOnly: true,
+      });
+
+      expect(result.status).toBe('COMPILATION_ERROR');
+      expect(result.build).toBeUndefined();
+    });
+
+    it('should have nothing to build for interpreted languages', async () => {
+      const result = await CodeExecutionService.executeCode({ runtime: 'python' }, 'print(1)', 5000, 256, '', {
+        compileOnly: true,
+      });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.build).toBeNull();
+      expect(result.compile_output).toBeUndefined();
+    });
+  });
+
+  describe('multi-file projects', () => {
+    it('should import Python modules from packages', async () => {
+      const language = { runtime: 'python' };
+      const files = [
+        { path: 'utils/__init__.py', content: '' },
+        { path: 'utils/math_helpers.py', content: 'def double(x):\n    return x * 2\n' },
+      ];
+
+      const result = await CodeExecutionService.executeCode(language, 'from utils.math_helpers import double\nprint(double(21))', 5000, 256, '', {
+        files,
+        entryPoint: 'main.py',
+      });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout.trim()).toBe('42');
+    });
+
+    it('should compile every C source file with headers', async () => {
+      const language = { runtime: 'gcc' };
+      const files = [
+        { path: 'add.h', content: 'int add(int a, int b);\n' },
+        { path: 'add.c', content: '#include "add.h"\nint add(int a, int b) { return a + b; }\n' },
+      ];
+      const code = '#include <stdio.h>\n#include "add.h"\nint main() { printf("%d\\n", add(2, 3)); return 0; }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256, '', { files });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout.trim()).toBe('5');
+    });
+
+    it('should run a nested entry point', async () => {
+      const language = { runtime: 'node' };
+      const files = [{ path: 'lib/greet.js', content: 'module.exports = (name) => `hi ${name}`;' }];
+
+      const result = await CodeExecutionService.executeCode(language, 'console.log(require("../lib/greet")("there"))', 5000, 256, '', {
+        files,
+        entryPoint: 'src/app.js',
+      });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout.trim()).toBe('hi there');
+    });
+
+    it('should refuse paths escaping the working directory', async () => {
+      const language = { runtime: 'node' };
+
+      const result = await CodeExecutionService.executeCode(language, 'console.log(1)', 5000, 256, '', {
+        files: [{ path: '../escape.js', content: '' }],
+      });
+
+      expect(result.status).toBe('INTERNAL_ERROR');
+      expect(result.stderr).toContain('Invalid file path');
+    });
+  });
+
+  describe('language commands', () => {
+    it('should compile with flags stored on the language', async () => {
+      const language = {
+        runtime: 'gcc',
+        file_name: 'main.c',
+        compile_command: ['gcc', '-DGREETING="configured"', '-o', '{artifact}', '{sources}'],
+        run_command: ['./{artifact}'],
+        artifact: 'main',
+      };
+      const code = '#include <stdio.h>\nint main() { puts(GREETING); return 0; }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout.trim()).toBe('configured');
+    });
+
+    it('should run a runtime defined only by its language row', async () => {
+      const language = { runtime: 'python-unbuffered', file_name: 'main.py', run_command: ['python3', '-u', '{entry}'] };
+
+      const result = await CodeExecutionService.executeCode(language, 'print("custom")', 5000, 256);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout.trim()).toBe('custom');
+    });
+  });
+
+  describe('run options', () => {
+    it('should pass command-line arguments verbatim', async () => {
+      const language = { runtime: 'python' };
+      const code = 'import sys\nprint(sys.argv[1:])';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256, '', {
+        args: ['--name', 'two words', '$HOME'],
+      });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout.trim()).toBe("['--name', 'two words', '$HOME']");
+    });
+
+    it('should pass arguments to compiled programs', async () => {
+      const language = { runtime: 'gcc' };
+      const code = '#include <stdio.h>\nint main(int argc, char **argv) { printf("%d %s\\n", argc - 1, argv[1]); return 0; }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256, '', { args: ['first', 'second'] });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout.trim()).toBe('2 first');
+    });
+
+    it('should expose environment variables without overriding reserved ones', async () => {
+      const language = { runtime: 'node' };
+      const code = 'console.log(process.env.MODE, process.env.PATH === process.env.MODE)';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256, '', {
+        env: { MODE: 'fast' },
+      });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout.trim()).toBe('fast false');
+    });
+  });
+
+  describe('interactive runs', () => {
+    it('should pass input to the program as it arrives', async () => {
+      const language = { runtime: 'python' };
+      const code = [
+        'name = input("Name? ")',
+        'print("Hello,", name, flush=True)',
+        'print(int(input()) * 2)',
+      ].join('\n');
+      const stdin = new PassThrough();
+      stdin.write('Ada\n');
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256, stdin, {
+        onOutput: (stream, chunk) => {
+          if (chunk.toString().includes('Hello')) {
+            stdin.end('21\n');
+          }
+        },
+      });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout).toBe('Name? Hello, Ada\n42\n');
+    });
+
+    it('should stop programs that wait for input longer than the idle timeout', async () => {
+      const language = { runtime: 'python' };
+      const stdin = new PassThrough();
+
+      const result = await CodeExecutionService.executeCode(language, 'input()', 5000, 256, stdin, { idleTimeoutMs: 300 });
+
+      expect(result.status).toBe('TIMEOUT');
+      expect(result.timeout).toBe(true);
+      expect(result.stderr).toContain('Idle timeout: no input or output for 300ms');
+      expect(result.execution_time_ms).toBeLessThan(3000);
+    });
+  });
+
+  describe('validateFilePath', () => {
+    it('should accept nested relative paths', () => {
+      expect(CodeExecutionService.validateFilePath('src/utils/helpers.py').valid).toBe(true);
+      expect(CodeExecutionService.validateFilePath('.env').valid).toBe(true);
+    });
+
+    it('should reject absolute paths and traversal', () => {
+      expect(CodeExecutionService.validateFilePath('/etc/passwd').valid).toBe(false);
+      expect(CodeExecutionService.validateFilePath('a/../../b').valid).toBe(false);
+      expect(CodeExecutionService.validateFilePath('a//b').valid).toBe(false);
+      expect(CodeExecutionService.validateFilePath('a\\b').valid).toBe(false);
+    });
+
+    it('should reject overly deep or long paths', () => {
+      expect(CodeExecutionService.validateFilePath('a/b/c/d/e/f/g/h/i.py').valid).toBe(false);
+      expect(CodeExecutionService.validateFilePath('x'.repeat(300)).valid).toBe(false);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should kill a running program when the signal aborts', async () => {
+      const language = { runtime: 'node' };
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 300);
+
+      const start = Date.now();
+      const result = await CodeExecutionService.executeCode(language, 'while(true) {}', 10000, 256, '', {
+        signal: controller.signal,
+      });
+
+      expect(result.status).toBe('CANCELLED');
+      expect(result.timeout).toBe(false);
+      expect(Date.now() - start).toBeLessThan(5000);
+    });
+
+    it('should not run the program when cancelled during compilation', async () => {
+      const language = { runtime: 'gcc' };
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await CodeExecutionService.executeCode(language, 'int main() { return 0; }', 5000, 256, '', {
+        signal: controller.signal,
+      });
+
+      expect(result.status).toBe('CANCELLED');
+      expect(result.exit_code).toBeNull();
+    });
+  });
+
+  describe('validateStdin', () => {
+    it('should accept missing stdin', () => {
+      expect(CodeExecutionService.validateStdin(undefined).valid).toBe(true);
+    });
+
+    it('should reject non-string stdin', () => {
+      const result = CodeExecutionService.validateStdin({ input: 1 });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('string');
+    });
+
+    it('should reject oversized stdin', () => {
+      const result = CodeExecutionService.validateStdin('x'.repeat(1000001));
+      expect(result.valid).toBe(false);
+    });
   });
 });
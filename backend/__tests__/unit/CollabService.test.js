@@ -0,0 +1,325 @@
+jest.mock('../../src/libs/redis.js', () => {
+  // In-memory stand-in for the commands CollabService uses
+  const store = new Map();
+  const mockRedis = {
+    store,
+    published: [],
+    set: async (key, value, px, ttl, nx) => {
+      if (nx === 'NX' && store.has(key)) return null;
+      store.set(key, String(value));
+      return 'OK';
+    },
+    get: async (key) => store.get(key) ?? null,
+    del: async (key) => (store.delete(key) ? 1 : 0),
+    eval: async (script, count, key, token) => (store.get(key) === token ? mockRedis.del(key) : 0),
+    expire: async () => 1,
+    hset: async (key, fields, value) => {
+      const hash = store.get(key) || {};
+      const entries = typeof fields === 'object' ? Object.entries(fields) : [[fields, value]];
+      entries.forEach(([field, fieldValue]) => { hash[field] = String(fieldValue); });
+      store.set(key, hash);
+      return entries.length;
+    },
+    hmget: async (key, ...fields) => fields.map(field => store.get(key)?.[field] ?? null),
+    hgetall: async (key) => ({ ...store.get(key) }),
+    hdel: async (key, field) => {
+      const hash = store.get(key) || {};
+      const existed = field in hash;
+      delete hash[field];
+      return existed ? 1 : 0;
+    },
+    llen: async (key) => (store.get(key) || []).length,
+    lrange: async (key, start) => (store.get(key) || []).slice(start),
+    rpush: async (key, value) => {
+      store.set(key, [...(store.get(key) || []), value]);
+      return store.get(key).length;
+    },
+    ltrim: async (key, start) => {
+      store.set(key, (store.get(key) || []).slice(start));
+      return 'OK';
+    },
+    publish: async (channel, message) => {
+      mockRedis.published.push({ channel, ...JSON.parse(message) });
+      return 1;
+    },
+    multi: () => {
+      const commands = [];
+      const chain = new Proxy({}, {
+        get: (target, name) => (name === 'exec'
+          ? async () => {
+            for (const [command, args] of commands) await mockRedis[command](...args);
+            return [];
+          }
+          : (...args) => {
+            commands.push([name, args]);
+            return chain;
+          }),
+      });
+      return chain;
+    },
+  };
+  return { __esModule: true, default: mockRedis, createRedisConnection: jest.fn() };
+});
+
+jest.mock('../../src/libs/db.js', () => ({
+  __esModule: true,
+  query: jest.fn(),
+  transaction: jest.fn(async (callback) => callback({})),
+}));
+
+jest.mock('../../src/models/Session.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn(), update: jest.fn() },
+}));
+
+import redis from '../../src/libs/redis.js';
+import Session from '../../src/models/Session.js';
+import CollabService from '../../src/services/CollabService.js';
+import RevisionService from '../../src/services/RevisionService.js';
+
+const sessionId = '7b0c3a64-7d1e-4b8e-9c39-0c5e6f1a2b3c';
+
+// Seeded generator, so failures can be reproduced
+function random(seed) {
+  let state = seed;
+  return (max) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % max;
+  };
+}
+
+function randomOperation(document, next) {
+  const operation = [];
+  let index = 0;
+  while (index < document.length) {
+    const length = 1 + next(Math.min(5, document.length - index));
+    const kind = next(3);
+    if (kind === 0) CollabService.pushComponent(operation, length);
+    if (kind === 1) CollabService.pushComponent(operation, -length);
+    if (kind === 2) CollabService.pushComponent(operation, 'xyz'.slice(0, 1 + next(3)));
+    if (kind !== 2) index += length;
+  }
+  if (next(2)) CollabService.pushComponent(operation, 'end');
+  return operation;
+}
+
+describe('CollabService', () => {
+  let session;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(CollabService, 'schedulePersist').mockImplementation(() => {});
+    jest.spyOn(RevisionService, 'record').mockResolvedValue(null);
+
+    redis.store.clear();
+    redis.published = [];
+    session = { id: sessionId, source_code: 'hello world', lock_version: 4 };
+    Session.findById.mockImplementation(async () => ({ ...session }));
+    Session.update.mockImplementation(async (id, data) => {
+      if (data.expected_version !== session.lock_version) return undefined;
+      session = { ...session, source_code: data.source_code, lock_version: session.lock_version + 1 };
+      return session;
+    });
+  });
+
+  describe('operations', () => {
+    it('should apply retains, deletes and inserts', () => {
+      expect(CollabService.apply('hello world', [6, -5, 'there'])).toBe('hello there');
+      expect(CollabService.apply('', ['abc'])).toBe('abc');
+    });
+
+    it('should refuse operations that do not span the document', () => {
+      expect(() => CollabService.apply('hello', [3])).toThrow('does not span');
+      expect(() => CollabService.apply('hello', [3, -5])).toThrow('past the end');
+    });
+
+    it('should converge when concurrent operations are transformed', () => {
+      const document = 'hello world';
+      const a = [5, ' big', 6];
+      const b = [6, -5, 'there'];
+      const [aPrime, bPrime] = CollabService.transform(a, b);
+
+      const viaA = CollabService.apply(CollabService.apply(document, a), bPrime);
+      const viaB = CollabService.apply(CollabService.apply(document, b), aPrime);
+      expect(viaA).toBe('hello big there');
+      expect(viaB).toBe(viaA);
+    });
+
+    it('should put the first operation\'s insert first at the same position', () => {
+      const [aPrime, bPrime] = CollabService.transform([1, 'A'], [1, 'B']);
+      expect(CollabService.apply(CollabService.apply('x', [1, 'A']), bPrime)).toBe('xAB');
+      expect(CollabService.apply(CollabService.apply('x', [1, 'B']), aPrime)).toBe('xAB');
+    });
+
+    it('should converge for random concurrent edits', () => {
+      const next = random(42);
+      for (let i = 0; i < 200; i++) {
+        const document = 'abcdefghij'.slice(0, next(11));
+        const a = randomOperation(document, next);
+        const b = randomOperation(document, next);
+        const [aPrime, bPrime] = CollabService.transform(a, b);
+
+        expect(CollabService.apply(CollabService.apply(document, a), bPrime))
+          .toBe(CollabService.apply(CollabService.apply(document, b), aPrime));
+      }
+    });
+
+    it('should build the smallest replacement between two texts', () => {
+      expect(CollabService.replaceOperation('hello world', 'hello there')).toEqual([6, 'there', -5]);
+      expect(CollabService.replaceOperation('same', 'same')).toEqual([4]);
+      expect(CollabService.apply('abc', CollabService.replaceOperation('abc', ''))).toBe('');
+    });
+
+    it('should validate operation shapes', () => {
+      expect(CollabService.validateOperation([2, 'a', -1]).valid).toBe(true);
+      expect(CollabService.validateOperation([]).valid).toBe(false);
+      expect(CollabService.validateOperation([0]).valid).toBe(false);
+      expect(CollabService.validateOperation([1.5]).valid).toBe(false);
+      expect(CollabService.validateOperation(['x'.repeat(CollabService.MAX_INSERT_LENGTH + 1)]).valid).toBe(false);
+    });
+  });
+
+  describe('submitOperation', () => {
+    it('should start from the stored code and publish each operation', async () => {
+      const applied = await CollabService.submitOperation(sessionId, 0, [5, '!', 6], 'alice');
+
+      expect(applied).toEqual({ revision: 1, op: [5, '!', 6], client_id: 'alice' });
+      expect(await CollabService.getDocument(sessionId)).toEqual({ document: 'hello! world', revision: 1 });
+      expect(redis.published).toEqual([
+        { channel: CollabService.getChannel(sessionId), type: 'op', revision: 1, op: [5, '!', 6], client_id: 'alice' },
+      ]);
+      expect(CollabService.schedulePersist).toHaveBeenCalledWith(sessionId);
+    });
+
+    it('should transform operations made on an older revision', async () => {
+      await CollabService.submitOperation(sessionId, 0, ['Say: ', 11], 'alice');
+      const applied = await CollabService.submitOperation(sessionId, 0, [6, -5, 'there'], 'bob');
+
+      expect(applied.op).toEqual([11, 'there', -5]);
+      expect((await CollabService.getDocument(sessionId)).document).toBe('Say: hello there');
+      expect(redis.published.map(event => event.revision)).toEqual([1, 2]);
+    });
+
+    it('should reject invalid operations and out of date revisions', async () => {
+      await expect(CollabService.submitOperation(sessionId, 0, [3], 'alice'))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(CollabService.submitOperation(sessionId, 5, [11, '!'], 'alice'))
+        .rejects.toMatchObject({ status: 409, resync: true });
+
+      const maxHistory = CollabService.MAX_HISTORY;
+      CollabService.MAX_HISTORY = 1;
+      try {
+        await CollabService.submitOperation(sessionId, 0, ['a', 11], 'alice');
+        await CollabService.submitOperation(sessionId, 1, ['b', 12], 'alice');
+        await expect(CollabService.submitOperation(sessionId, 0, [11, '!'], 'bob'))
+          .rejects.toMatchObject({ status: 409, resync: true });
+      } finally {
+        CollabService.MAX_HISTORY = maxHistory;
+      }
+    });
+  });
+
+  describe('persist', () => {
+    it('should write the document to the session and record a revision', async () => {
+      await CollabService.submitOperation(sessionId, 0, [11, '!'], 'alice');
+
+      expect(await CollabService.persist(sessionId)).toBe(true);
+      expect(Session.update).toHaveBeenCalledWith(sessionId, { source_code: 'hello world!', expected_version: 4 }, {});
+      expect(RevisionService.record).toHaveBeenCalledWith(sessionId, {});
+
+      // Nothing new to write
+      Session.update.mockClear();
+      await CollabService.persist(sessionId);
+      expect(Session.update).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing while no one is editing', async () => {
+      expect(await CollabService.persist(sessionId)).toBe(true);
+      expect(Session.findById).not.toHaveBeenCalled();
+      expect(Session.update).not.toHaveBeenCalled();
+    });
+
+    it('should merge code saved outside the channel with live edits', async () => {
+      await CollabService.submitOperation(sessionId, 0, ['# ', 11], 'alice');
+      session = { ...session, source_code: 'hello there', lock_version: 5 };
+
+      await CollabService.persist(sessionId);
+
+      expect(session.source_code).toBe('# hello there');
+      expect(redis.published[1]).toMatchObject({ type: 'op', revision: 2, client_id: CollabService.SERVER_CLIENT_ID });
+      expect((await CollabService.getDocument(sessionId)).document).toBe('# hello there');
+    });
+
+    it('should start over from the new entry file after an entry point change', async () => {
+      await CollabService.submitOperation(sessionId, 0, [11, '!'], 'alice');
+
+      // What SessionFileService does: flush, switch files, reset
+      await CollabService.flush(sessionId);
+      expect(session.source_code).toBe('hello world!');
+      session = { ...session, source_code: 'print(2)', lock_version: session.lock_version + 1 };
+      await CollabService.resetDocument(sessionId, 'Entry point changed to util.py; reload the document');
+
+      expect(redis.published[redis.published.length - 1]).toEqual({
+        channel: CollabService.getChannel(sessionId),
+        type: 'error',
+        error: 'Entry point changed to util.py; reload the document',
+        resync: true,
+      });
+
+      // Nothing from the old file is merged into the new one
+      Session.update.mockClear();
+      expect(await CollabService.persist(sessionId)).toBe(true);
+      expect(Session.update).not.toHaveBeenCalled();
+      expect(await CollabService.getDocument(sessionId)).toEqual({ document: 'print(2)', revision: 0 });
+      await expect(CollabService.submitOperation(sessionId, 1, [12, '?'], 'alice'))
+        .rejects.toMatchObject({ status: 409, resync: true });
+      expect(session.source_code).toBe('print(2)');
+    });
+
+    it('should not fail a run when the document cannot be flushed', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(CollabService, 'persist').mockRejectedValueOnce(new Error('Redis is down'));
+
+      await expect(CollabService.flush(sessionId)).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('getLiveDocument', () => {
+    it('should return the text being edited without saving it', async () => {
+      expect(await CollabService.getLiveDocument(sessionId)).toBeNull();
+
+      await CollabService.submitOperation(sessionId, 0, [11, '!'], 'alice');
+
+      expect(await CollabService.getLiveDocument(sessionId)).toBe('hello world!');
+      expect(Session.update).not.toHaveBeenCalled();
+      expect(RevisionService.record).not.toHaveBeenCalled();
+      expect(session.source_code).toBe('hello world');
+    });
+  });
+
+  describe('presence', () => {
+    it('should list connected peers with their cursors', async () => {
+      const peer = await CollabService.join(sessionId, 'alice', '  Alice  ');
+      await CollabService.updateCursor(sessionId, peer, { position: 3 });
+      await CollabService.join(sessionId, 'bob', '');
+
+      expect(await CollabService.getPeers(sessionId)).toEqual([
+        { client_id: 'alice', name: 'Alice', cursor: { position: 3, selection_end: 3 } },
+        { client_id: 'bob', name: 'Guest', cursor: null },
+      ]);
+
+      await CollabService.leave(sessionId, 'bob');
+      expect((await CollabService.getPeers(sessionId)).map(p => p.client_id)).toEqual(['alice']);
+      expect(redis.published.map(event => event.type)).toEqual(['join', 'presence', 'join', 'leave']);
+    });
+
+    it('should validate cursors', () => {
+      expect(CollabService.validateCursor(null).valid).toBe(true);
+      expect(CollabService.validateCursor({ position: 1, selection_end: 4 }).valid).toBe(true);
+      expect(CollabService.validateCursor({ position: -1 }).valid).toBe(false);
+      expect(CollabService.validateCursor('3').valid).toBe(false);
+    });
+  });
+});
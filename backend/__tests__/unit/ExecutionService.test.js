@@ -0,0 +1,197 @@
+jest.mock('../../src/libs/redis.js', () => ({
+  __esModule: true,
+  default: {},
+  createRedisConnection: jest.fn(),
+}));
+
+jest.mock('../../src/libs/db.js', () => ({
+  __esModule: true,
+  query: jest.fn(),
+  transaction: jest.fn(async (callback) => callback({})),
+}));
+
+jest.mock('../../src/libs/queue.js', () => ({
+  __esModule: true,
+  codeExecutionQueue: { add: jest.fn(), getJob: jest.fn() },
+  default: {},
+}));
+
+jest.mock('../../src/models/Execution.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(), findById: jest.fn() },
+}));
+
+jest.mock('../../src/models/Session.js', () => ({
+  __esModule: true,
+  default: { findWithLanguage: jest.fn() },
+}));
+
+import { codeExecutionQueue } from '../../src/libs/queue.js';
+import Execution from '../../src/models/Execution.js';
+import Session from '../../src/models/Session.js';
+import CollabService from '../../src/services/CollabService.js';
+import ExecutionService from '../../src/services/ExecutionService.js';
+import SafetyService from '../../src/services/SafetyService.js';
+import SnapshotService from '../../src/services/SnapshotService.js';
+
+const sessionId = '7b0c3a64-7d1e-4b8e-9c39-0c5e6f1a2b3c';
+const originalId = '1f3d9a2e-5b6c-4d7e-8f90-a1b2c3d4e5f6';
+const sourceHash = 'a'.repeat(64);
+
+const session = {
+  id: sessionId,
+  status: 'ACTIVE',
+  source_code: 'print(input())',
+  default_time_limit_ms: 5000,
+  default_memory_mb: 256,
+  max_time_limit_ms: 15000,
+  max_memory_mb: 1024,
+};
+
+const original = {
+  id: originalId,
+  session_id: sessionId,
+  status: 'TIMEOUT',
+  source_hash: sourceHash,
+  stdin: '42\n',
+  args: ['--fast'],
+  env: { MODE: 'test' },
+  test_cases: null,
+  interactive: false,
+  time_limit_ms: 12000,
+  memory_limit_mb: 512,
+};
+
+describe('ExecutionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(SafetyService, 'checkExecutionAbuse').mockResolvedValue({ allowed: true });
+    jest.spyOn(SafetyService, 'logExecutionEvent').mockResolvedValue();
+    jest.spyOn(CollabService, 'flush').mockResolvedValue();
+    jest.spyOn(SnapshotService, 'capture').mockResolvedValue({ hash: sourceHash });
+
+    Execution.findById.mockResolvedValue(original);
+    Session.findWithLanguage.mockResolvedValue(session);
+    Execution.create.mockImplementation(async (data) => ({ ...data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('submitExecution', () => {
+    it('should run with the limits given for this run', async () => {
+      const result = await ExecutionService.submitExecution(sessionId, 12000, 512);
+
+      expect(result).toMatchObject({ status: 'QUEUED', time_limit_ms: 12000, memory_limit_mb: 512 });
+      expect(Execution.create).toHaveBeenCalledWith(expect.objectContaining({
+        time_limit_ms: 12000,
+        memory_limit_mb: 512,
+      }));
+      expect(codeExecutionQueue.add).toHaveBeenCalledWith(
+        'execute',
+        expect.objectContaining({ time_limit: 12000, memory_limit: 512 }),
+        { jobId: result.execution_id }
+      );
+    });
+
+    it('should use the language defaults for omitted or null limits', async () => {
+      const omitted = await ExecutionService.submitExecution(sessionId);
+      expect(omitted).toMatchObject({ time_limit_ms: 5000, memory_limit_mb: 256 });
+
+      const mixed = await ExecutionService.submitExecution(sessionId, null, 128);
+      expect(mixed).toMatchObject({ time_limit_ms: 5000, memory_limit_mb: 128 });
+      expect(Execution.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        time_limit_ms: 5000,
+        memory_limit_mb: 128,
+      }));
+    });
+
+    it('should reject limits above the language maximums', async () => {
+      await expect(ExecutionService.submitExecution(sessionId, 15001, 256))
+        .rejects.toThrow('Time limit must be between 100ms and 15000ms');
+      await expect(ExecutionService.submitExecution(sessionId, 5000, 1025))
+        .rejects.toThrow('Memory limit must be between 32MB and 1024MB');
+
+      // The maximums themselves are allowed
+      await ExecutionService.submitExecution(sessionId, 15000, 1024);
+      expect(Execution.create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getExecution', () => {
+    it('should return the limits the execution ran with', async () => {
+      Execution.findById.mockResolvedValue({ ...original, status: 'QUEUED' });
+
+      const execution = await ExecutionService.getExecution(originalId);
+      expect(execution).toMatchObject({ execution_id: originalId, time_limit_ms: 12000, memory_limit_mb: 512 });
+    });
+  });
+
+  describe('rerunExecution', () => {
+    it('should queue a new execution with the original code and parameters', async () => {
+      const result = await ExecutionService.rerunExecution(originalId);
+
+      expect(result).toMatchObject({
+        status: 'QUEUED',
+        source_hash: sourceHash,
+        rerun_of: originalId,
+        time_limit_ms: 12000,
+        memory_limit_mb: 512,
+      });
+      expect(result.execution_id).not.toBe(originalId);
+
+      expect(Execution.create).toHaveBeenCalledWith(expect.objectContaining({
+        session_id: sessionId,
+        source_hash: sourceHash,
+        rerun_of: originalId,
+        stdin: '42\n',
+        args: ['--fast'],
+        env: { MODE: 'test' },
+      }));
+      expect(codeExecutionQueue.add).toHaveBeenCalledWith(
+        'execute',
+        expect.objectContaining({
+          execution_id: result.execution_id,
+          source_hash: sourceHash,
+          time_limit: 12000,
+          memory_limit: 512,
+          stdin: '42\n',
+        }),
+        { jobId: result.execution_id }
+      );
+    });
+
+    it('should use the language defaults when the original stored no limits', async () => {
+      Execution.findById.mockResolvedValue({ ...original, time_limit_ms: null, memory_limit_mb: null });
+
+      const result = await ExecutionService.rerunExecution(originalId);
+      expect(result).toMatchObject({ time_limit_ms: 5000, memory_limit_mb: 256 });
+    });
+
+    it('should apply the abuse checks of a normal run', async () => {
+      SafetyService.checkExecutionAbuse.mockResolvedValue({ allowed: false, reason: 'Rate limit exceeded', retryAfter: 60 });
+
+      await expect(ExecutionService.rerunExecution(originalId)).rejects.toMatchObject({ status: 429, retryAfter: 60 });
+      expect(Execution.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject limits above the current language maximums', async () => {
+      Session.findWithLanguage.mockResolvedValue({ ...session, max_time_limit_ms: 10000 });
+
+      await expect(ExecutionService.rerunExecution(originalId)).rejects.toThrow('Validation failed');
+      expect(codeExecutionQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown executions, missing snapshots and inactive sessions', async () => {
+      Execution.findById.mockResolvedValueOnce(undefined);
+      await expect(ExecutionService.rerunExecution(originalId)).rejects.toMatchObject({ status: 404 });
+
+      Execution.findById.mockResolvedValueOnce({ ...original, source_hash: null });
+      await expect(ExecutionService.rerunExecution(originalId)).rejects.toMatchObject({ status: 409 });
+
+      Session.findWithLanguage.mockResolvedValueOnce({ ...session, status: 'INACTIVE' });
+      await expect(ExecutionService.rerunExecution(originalId)).rejects.toThrow('Session is not active');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import JudgeService from '../../src/services/JudgeService.js';
+
+describe('JudgeService', () => {
+  describe('validateTestCases', () => {
+    it('should accept well-formed test cases', () => {
+      const result = JudgeService.validateTestCases([
+        { input: '1 2\n', expected_output: '3\n' },
+        { expected_output: 'no input\n' },
+      ]);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject an empty list', () => {
+      expect(JudgeService.validateTestCases([]).valid).toBe(false);
+    });
+
+    it('should reject missing expected_output', () => {
+      const result = JudgeService.validateTestCases([{ input: '1' }]);
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('test_cases[0]');
+    });
+
+    it('should reject too many test cases', () => {
+      const cases = Array.from({ length: JudgeService.MAX_TEST_CASES + 1 }, () => ({ expected_output: '' }));
+      expect(JudgeService.validateTestCases(cases).valid).toBe(false);
+    });
+  });
+
+  describe('compareOutput', () => {
+    it('should ignore trailing whitespace and newlines', () => {
+      expect(JudgeService.compareOutput('3  \n4\n\n', '3\n4')).toBe(true);
+    });
+
+    it('should normalize CRLF line endings', () => {
+      expect(JudgeService.compareOutput('a\r\nb\r\n', 'a\nb\n')).toBe(true);
+    });
+
+    it('should detect differing output', () => {
+      expect(JudgeService.compareOutput('3\n', '4\n')).toBe(false);
+    });
+  });
+
+  describe('aggregateMetrics', () => {
+    it('should add up times and keep the highest peak memory', () => {
+      const metrics = JudgeService.aggregateMetrics([
+        { cpu_user_ms: 10, cpu_system_ms: 2, wall_time_ms: 15, peak_memory_kb: 3000 },
+        { cpu_user_ms: 20, cpu_system_ms: 1, wall_time_ms: 25, peak_memory_kb: 5000 },
+      ]);
+
+      expect(metrics).toEqual({ cpu_user_ms: 30, cpu_system_ms: 3, wall_time_ms: 40, peak_memory_kb: 5000 });
+    });
+
+    it('should report null when no case was measured', () => {
+      const metrics = JudgeService.aggregateMetrics([{ cpu_user_ms: null, peak_memory_kb: null }]);
+
+      expect(metrics.cpu_user_ms).toBeNull();
+      expect(metrics.peak_memory_kb).toBeNull();
+    });
+  });
+
+  describe('judge', () => {
+    const language = { runtime: 'node' };
+    const sumProgram = 'let d = ""; process.stdin.on("data", c => d += c); process.stdin.on("end", () => { const [a, b] = d.trim().split(" ").map(Number); if (a < 0) process.exit(2); console.log(a + b); })';
+
+    it('should produce a verdict per test case and an aggregate score', async () => {
+      const result = await JudgeService.judge(language, sumProgram, [
+        { input: '1 2\n', expected_output: '3\n' },
+        { input: '2 2\n', expected_output: '5\n' },
+        { input: '-1 2\n', expected_output: '1\n' },
+        { input: '10 5\n', expected_output: '15' },
+      ], 5000, 256);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.test_results.map(r => r.verdict)).toEqual([
+        'ACCEPTED',
+        'WRONG_ANSWER',
+        'RUNTIME_ERROR',
+        'ACCEPTED',
+      ]);
+      expect(result.passed_cases).toBe(2);
+      expect(result.total_cases).toBe(4);
+      expect(result.score).toBe(50);
+    });
+
+    it('should report TIMEOUT for cases exceeding the time limit', async () => {
+      const result = await JudgeService.judge(language, 'while(true) {}', [
+        { input: '', expected_output: '' },
+      ], 500, 256);
+
+      expect(result.test_results[0].verdict).toBe('TIMEOUT');
+      expect(result.score).toBe(0);
+    });
+
+    it('should stop at a compilation error without judging cases', async () => {
+      const result = await JudgeService.judge({ runtime: 'gcc' }, 'int main() { return }', [
+        { input: '', expected_output: '' },
+        { input: '', expected_output: '' },
+      ], 5000, 256);
+
+      expect(result.status).toBe('COMPILATION_ERROR');
+      expect(result.compile_output).toBeTruthy();
+      expect(result.test_results).toBeUndefined();
+    });
+  });
+});
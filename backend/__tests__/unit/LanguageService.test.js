@@ -0,0 +1,143 @@
+jest.mock('../../src/libs/redis.js', () => ({
+  __esModule: true,
+  default: { publish: jest.fn(async () => 1) },
+  createRedisConnection: jest.fn(),
+}));
+
+jest.mock('../../src/libs/db.js', () => ({
+  __esModule: true,
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+
+jest.mock('../../src/models/Language.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+import redis from '../../src/libs/redis.js';
+import Language from '../../src/models/Language.js';
+import LanguageService from '../../src/services/LanguageService.js';
+
+const lua = {
+  name: 'Lua',
+  template_code: 'print("Hello, World!")',
+  runtime: 'lua',
+  version: '5.4',
+  file_name: 'main.lua',
+  run_command: ['lua5.4', '{entry}'],
+  default_time_limit_ms: 5000,
+  default_memory_mb: 256,
+};
+
+const validationError = (language) => {
+  try {
+    LanguageService.validateLanguage(language);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('LanguageService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateLanguage', () => {
+    it('should accept a complete language', () => {
+      expect(validationError(lua)).toBeNull();
+    });
+
+    it('should accept built-in runtimes without commands', () => {
+      expect(validationError({ ...lua, runtime: 'python', file_name: 'main.py', run_command: null })).toBeNull();
+    });
+
+    it('should require a run command for runtimes without an adapter', () => {
+      const error = validationError({ ...lua, run_command: null });
+      expect(error.status).toBe(400);
+      expect(error.message).toContain('run_command is required');
+    });
+
+    it('should reject unknown placeholders and split {sources}', () => {
+      expect(validationError({ ...lua, run_command: ['lua', '{source}'] }).message).toContain('unknown placeholder {source}');
+      expect(validationError({ ...lua, compile_command: ['luac', '-o', 'out', 'x{sources}'] }).message).toContain('whole element');
+      expect(validationError({ ...lua, run_command: [] }).message).toContain('run_command must be an array');
+    });
+
+    it('should require an artifact when commands use one', () => {
+      const error = validationError({ ...lua, compile_command: ['luac', '-o', '{artifact}', '{sources}'] });
+      expect(error.message).toContain('artifact is required');
+      expect(validationError({ ...lua, artifact: '../out' }).message).toContain('Invalid artifact path');
+    });
+
+    it('should check default and maximum limits', () => {
+      expect(validationError({ ...lua, default_time_limit_ms: 50 }).message).toContain('default_time_limit_ms');
+      expect(validationError({ ...lua, max_memory_mb: 128 }).message).toContain('max_memory_mb');
+      expect(validationError({ ...lua, max_time_limit_ms: 20000, max_memory_mb: 1024 })).toBeNull();
+    });
+
+    it('should validate the file name', () => {
+      expect(validationError({ ...lua, file_name: '/etc/passwd' }).message).toContain('file_name');
+    });
+  });
+
+  describe('createLanguage', () => {
+    it('should store the language and announce the change', async () => {
+      Language.create.mockResolvedValue({ id: 10, ...lua });
+
+      const created = await LanguageService.createLanguage({ ...lua, unexpected: true });
+
+      expect(Language.create).toHaveBeenCalledWith(lua);
+      expect(created.id).toBe(10);
+      expect(redis.publish).toHaveBeenCalledWith(LanguageService.CHANNEL, JSON.stringify({ language_id: 10, action: 'created' }));
+    });
+
+    it('should report duplicate names as a conflict', async () => {
+      Language.create.mockRejectedValue(Object.assign(new Error('duplicate'), { code: '23505' }));
+
+      await expect(LanguageService.createLanguage(lua)).rejects.toMatchObject({ status: 409 });
+      expect(redis.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateLanguage', () => {
+    it('should validate the merged language', async () => {
+      Language.findById.mockResolvedValue({ id: 10, ...lua });
+
+      await expect(LanguageService.updateLanguage('10', { max_time_limit_ms: 1000 })).rejects.toMatchObject({ status: 400 });
+      expect(Language.update).not.toHaveBeenCalled();
+    });
+
+    it('should update only the given fields', async () => {
+      Language.findById.mockResolvedValue({ id: 10, ...lua });
+      Language.update.mockResolvedValue({ id: 10, ...lua, version: '5.4.6' });
+
+      const updated = await LanguageService.updateLanguage('10', { version: '5.4.6' });
+
+      expect(Language.update).toHaveBeenCalledWith(10, { version: '5.4.6' });
+      expect(updated.version).toBe('5.4.6');
+    });
+
+    it('should return 404 for unknown languages', async () => {
+      Language.findById.mockResolvedValue(undefined);
+
+      await expect(LanguageService.updateLanguage('99', { version: '1' })).rejects.toMatchObject({ status: 404 });
+      await expect(LanguageService.updateLanguage('abc', { version: '1' })).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('deleteLanguage', () => {
+    it('should refuse to delete a language used by sessions', async () => {
+      Language.findById.mockResolvedValue({ id: 10, ...lua });
+      Language.delete.mockRejectedValue(Object.assign(new Error('fk'), { code: '23503' }));
+
+      await expect(LanguageService.deleteLanguage('10')).rejects.toMatchObject({ status: 409 });
+    });
+  });
+});
@@ -0,0 +1,246 @@
+jest.mock('../../src/libs/redis.js', () => ({
+  __esModule: true,
+  default: {},
+  createRedisConnection: jest.fn(),
+}));
+
+jest.mock('../../src/libs/db.js', () => ({
+  __esModule: true,
+  query: jest.fn(),
+  transaction: jest.fn(async (callback) => callback({})),
+}));
+
+jest.mock('../../src/models/Session.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn(), findWithLanguage: jest.fn(), lock: jest.fn(), update: jest.fn() },
+}));
+
+jest.mock('../../src/models/SessionFile.js', () => ({
+  __esModule: true,
+  default: { findBySessionId: jest.fn(), deleteBySessionId: jest.fn(), create: jest.fn() },
+}));
+
+jest.mock('../../src/models/SessionRevision.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn(), findLatest: jest.fn(), findBySessionId: jest.fn(), create: jest.fn() },
+}));
+
+jest.mock('../../src/models/SourceSnapshot.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(async (data) => data) },
+}));
+
+import Session from '../../src/models/Session.js';
+import SessionFile from '../../src/models/SessionFile.js';
+import SessionRevision from '../../src/models/SessionRevision.js';
+import CollabService from '../../src/services/CollabService.js';
+import RevisionService from '../../src/services/RevisionService.js';
+import SnapshotService from '../../src/services/SnapshotService.js';
+
+const sessionId = '7b0c3a64-7d1e-4b8e-9c39-0c5e6f1a2b3c';
+
+const session = {
+  id: sessionId,
+  source_code: 'print(1)\n',
+  entry_point: 'main.py',
+  file_name: 'main.py',
+};
+
+const revision = (number, entryPoint, sourceCode, files = []) => ({
+  revision: number,
+  source_hash: SnapshotService.getHash({ entry_point: entryPoint, source_code: sourceCode, files }),
+  size_bytes: 0,
+  restored_from: null,
+  entry_point: entryPoint,
+  source_code: sourceCode,
+  files,
+});
+
+describe('RevisionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(CollabService, 'flush').mockResolvedValue();
+    jest.spyOn(CollabService, 'resetDocument').mockResolvedValue();
+
+    Session.findById.mockResolvedValue(session);
+    Session.findWithLanguage.mockResolvedValue(session);
+    Session.lock.mockResolvedValue({ id: sessionId });
+    SessionFile.findBySessionId.mockResolvedValue([{ path: 'util.py', content: 'x = 1\n' }]);
+    SessionRevision.findLatest.mockResolvedValue(undefined);
+    SessionRevision.create.mockImplementation(async (data) => ({ ...data, revision: 1 }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    const client = {};
+
+    it('should record the whole project with its size', async () => {
+      const recorded = await RevisionService.record(sessionId, client);
+
+      expect(Session.lock).toHaveBeenCalledWith(sessionId, client);
+      expect(recorded).toMatchObject({
+        session_id: sessionId,
+        revision: 1,
+        size_bytes: 15,
+        restored_from: null,
+        source_hash: SnapshotService.getHash({
+          entry_point: 'main.py',
+          source_code: 'print(1)\n',
+          files: [{ path: 'util.py', content: 'x = 1\n' }],
+        }),
+      });
+    });
+
+    it('should read the code through the saving transaction', async () => {
+      await RevisionService.record(sessionId, client);
+
+      expect(Session.findWithLanguage).toHaveBeenCalledWith(sessionId, client);
+      expect(SessionFile.findBySessionId).toHaveBeenCalledWith(sessionId, client);
+      expect(SessionRevision.findLatest).toHaveBeenCalledWith(sessionId, client);
+      expect(SessionRevision.create).toHaveBeenCalledWith(expect.any(Object), client);
+    });
+
+    it('should not add a revision when nothing changed', async () => {
+      const first = await RevisionService.record(sessionId, client);
+      SessionRevision.findLatest.mockResolvedValue(first);
+
+      expect(await RevisionService.record(sessionId, client)).toBe(first);
+      expect(SessionRevision.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail so the save is rolled back', async () => {
+      SessionRevision.create.mockRejectedValue(new Error('connection lost'));
+
+      await expect(RevisionService.record(sessionId, client)).rejects.toThrow('connection lost');
+    });
+  });
+
+  describe('unifiedDiff', () => {
+    it('should show changed lines with three lines of context', () => {
+      const before = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+      const after = 'a\nb\nc\nd\nE\nf\ng\nh\n';
+
+      expect(RevisionService.unifiedDiff(before, after, 'main.py')).toBe([
+        '--- a/main.py',
+        '+++ b/main.py',
+        '@@ -2,7 +2,7 @@',
+        ' b',
+        ' c',
+        ' d',
+        '-e',
+        '+E',
+        ' f',
+        ' g',
+        ' h',
+        '',
+      ].join('\n'));
+    });
+
+    it('should split distant changes into separate hunks', () => {
+      const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}\n`);
+      const changed = [...lines];
+      changed[1] = 'second\n';
+      changed[17] = 'eighteenth\n';
+
+      const diff = RevisionService.unifiedDiff(lines.join(''), changed.join(''), 'a.txt');
+      expect(diff.match(/^@@ .* @@$/gm)).toEqual(['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+    });
+
+    it('should diff insertions and deletions', () => {
+      const diff = RevisionService.unifiedDiff('a\nb\nc\n', 'a\nx\nc\nd\n', 'f');
+      expect(diff).toBe('--- a/f\n+++ b/f\n@@ -1,3 +1,4 @@\n a\n-b\n+x\n c\n+d\n');
+    });
+
+    it('should handle added files and a missing final newline', () => {
+      expect(RevisionService.unifiedDiff(undefined, 'x = 1', 'util.py')).toBe(
+        '--- /dev/null\n+++ b/util.py\n@@ -0,0 +1,1 @@\n+x = 1\n\\ No newline at end of file\n'
+      );
+    });
+
+    it('should fall back to a full rewrite for very large changes', () => {
+      jest.replaceProperty(RevisionService, 'MAX_DIFF_EDITS', 2);
+
+      const diff = RevisionService.unifiedDiff('a\nb\nc\n', 'x\ny\nz\n', 'f');
+      expect(diff).toBe('--- a/f\n+++ b/f\n@@ -1,3 +1,3 @@\n-a\n-b\n-c\n+x\n+y\n+z\n');
+    });
+  });
+
+  describe('diffRevisions', () => {
+    it('should list added, deleted and modified files', async () => {
+      SessionRevision.find.mockImplementation(async (id, number) => (number === 1
+        ? revision(1, 'main.py', 'print(1)\n', [{ path: 'old.py', content: 'y = 2\n' }])
+        : revision(2, 'main.py', 'print(2)\n', [{ path: 'util.py', content: 'x = 1\n' }])));
+
+      const diff = await RevisionService.diffRevisions(sessionId, '1', '2');
+
+      expect(diff).toMatchObject({ session_id: sessionId, from: 1, to: 2 });
+      expect(diff.files.map(({ path, status }) => [path, status])).toEqual([
+        ['main.py', 'modified'],
+        ['old.py', 'deleted'],
+        ['util.py', 'added'],
+      ]);
+      expect(diff.entry_point).toBeUndefined();
+    });
+
+    it('should compare against the latest revision by default', async () => {
+      SessionRevision.findLatest.mockResolvedValue({ revision: 5 });
+      SessionRevision.find.mockImplementation(async (id, number) => revision(number, 'main.py', `print(${number})\n`));
+
+      const diff = await RevisionService.diffRevisions(sessionId, '3');
+      expect(diff).toMatchObject({ from: 3, to: 5 });
+    });
+
+    it('should reject missing or invalid revision numbers', async () => {
+      await expect(RevisionService.diffRevisions(sessionId)).rejects.toMatchObject({ status: 400 });
+      await expect(RevisionService.diffRevisions(sessionId, 'abc', '2')).rejects.toMatchObject({ status: 400 });
+
+      SessionRevision.find.mockResolvedValue(undefined);
+      await expect(RevisionService.diffRevisions(sessionId, '1', '9')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('restoreRevision', () => {
+    it('should replace the code and files and record a new revision', async () => {
+      SessionRevision.find.mockResolvedValue(revision(2, 'app.py', 'print(2)\n', [{ path: 'util.py', content: 'x = 1\n' }]));
+      SessionRevision.findLatest.mockResolvedValue({ revision: 6, source_hash: 'other' });
+      SessionRevision.create.mockImplementation(async (data) => ({ ...data, revision: 7 }));
+
+      const result = await RevisionService.restoreRevision(sessionId, '2');
+
+      expect(SessionFile.deleteBySessionId).toHaveBeenCalledWith(sessionId, {});
+      expect(SessionFile.create).toHaveBeenCalledWith({ session_id: sessionId, path: 'util.py', content: 'x = 1\n' }, {});
+      expect(Session.update).toHaveBeenCalledWith(sessionId, { source_code: 'print(2)\n', entry_point: 'app.py' }, {});
+      expect(SessionRevision.create).toHaveBeenCalledWith(expect.objectContaining({ restored_from: 2 }), {});
+      expect(result).toEqual({ session_id: sessionId, revision: 7, restored_from: 2, entry_point: 'app.py' });
+    });
+
+    it('should save live edits first and reload collab clients when the entry point changes', async () => {
+      SessionRevision.find.mockResolvedValue(revision(2, 'app.py', 'print(2)\n'));
+
+      await RevisionService.restoreRevision(sessionId, '2');
+
+      expect(CollabService.flush).toHaveBeenCalledWith(sessionId);
+      expect(CollabService.flush.mock.invocationCallOrder[0])
+        .toBeLessThan(SessionFile.deleteBySessionId.mock.invocationCallOrder[0]);
+      expect(CollabService.resetDocument).toHaveBeenCalledWith(sessionId, expect.stringContaining('app.py'));
+    });
+
+    it('should keep the collab document when the entry point stays the same', async () => {
+      SessionRevision.find.mockResolvedValue(revision(2, 'main.py', 'print(2)\n'));
+
+      await RevisionService.restoreRevision(sessionId, '2');
+
+      expect(CollabService.flush).toHaveBeenCalledWith(sessionId);
+      expect(CollabService.resetDocument).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown sessions', async () => {
+      Session.findById.mockResolvedValue(undefined);
+      await expect(RevisionService.restoreRevision(sessionId, '1')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
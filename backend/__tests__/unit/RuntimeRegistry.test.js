@@ -0,0 +1,117 @@
+import RuntimeRegistry from '../../src/runtimes/RuntimeRegistry.js';
+
+describe('RuntimeRegistry', () => {
+  describe('built-in adapters', () => {
+    it.each(['python', 'node', 'typescript', 'gcc', 'g++', 'java', 'go', 'php', 'ruby'])(
+      'should register an adapter for %s',
+      (runtime) => {
+        const adapter = RuntimeRegistry.get(runtime);
+        expect(adapter).toBeDefined();
+        expect(adapter.sourceFile).toBeTruthy();
+        expect(adapter.toolchain.length).toBeGreaterThan(0);
+        expect(Array.isArray(adapter.run({ sourceFile: adapter.sourceFile, artifact: adapter.artifact }))).toBe(true);
+      }
+    );
+
+    it('should share one compile definition for C and C++', () => {
+      const ctx = { sourceFile: 'main.c', sources: ['main.c'], artifact: 'main' };
+      expect(RuntimeRegistry.get('gcc').compile(ctx)).toEqual(['gcc', '-o', 'main', 'main.c']);
+      expect(RuntimeRegistry.get('g++').compile({ ...ctx, sourceFile: 'main.cpp', sources: ['main.cpp'] })).toEqual(['g++', '-o', 'main', 'main.cpp']);
+    });
+
+    it('should compile every source of a multi-file project', () => {
+      const ctx = { sourceFile: 'main.c', sources: ['main.c', 'lib/util.c'], artifact: 'main' };
+      expect(RuntimeRegistry.get('gcc').compile(ctx)).toEqual(['gcc', '-o', 'main', 'main.c', 'lib/util.c']);
+    });
+
+    it('should derive the Java main class from the entry path', () => {
+      const adapter = RuntimeRegistry.get('java');
+      expect(adapter.run({ sourceFile: 'app/Main.java', memoryLimit: 256 }).at(-1)).toBe('app.Main');
+    });
+  });
+
+  describe('resolve', () => {
+    it('should use the built-in adapter when the row stores no commands', () => {
+      expect(RuntimeRegistry.resolve({ runtime: 'python', file_name: 'main.py' })).toBe(RuntimeRegistry.get('python'));
+    });
+
+    it('should expand stored command templates', () => {
+      const adapter = RuntimeRegistry.resolve({
+        runtime: 'gcc',
+        file_name: 'main.c',
+        compile_command: ['gcc', '-O2', '-std=c11', '-o', '{artifact}', '{sources}', '-lm'],
+        run_command: ['./{artifact}'],
+        artifact: 'prog',
+      });
+      const ctx = { sourceFile: 'main.c', sources: ['main.c', 'lib/util.c'], artifact: adapter.artifact('main.c') };
+
+      expect(adapter.compile(ctx)).toEqual(['gcc', '-O2', '-std=c11', '-o', 'prog', 'main.c', 'lib/util.c', '-lm']);
+      expect(adapter.run(ctx)).toEqual(['./prog']);
+      expect(adapter.toolchain).toEqual(['gcc']);
+      // Runtime traits of the built-in adapter still apply
+      expect(adapter.addressSpaceLimit).toBe(true);
+    });
+
+    it('should substitute entry, class and memory placeholders', () => {
+      const adapter = RuntimeRegistry.resolve({
+        runtime: 'java',
+        file_name: 'Main.java',
+        run_command: ['java', '-Xmx{memory_mb}m', '-cp', '.', '{entry_class}'],
+      });
+
+      expect(adapter.run({ sourceFile: 'app/Main.java', memoryLimit: 128 })).toEqual(['java', '-Xmx128m', '-cp', '.', 'app.Main']);
+      expect(adapter.toolchain).toEqual(['javac', 'java']);
+    });
+
+    it('should run runtimes that only exist in the database', () => {
+      const adapter = RuntimeRegistry.resolve({
+        runtime: 'lua',
+        file_name: 'main.lua',
+        run_command: ['lua5.4', '{entry}'],
+      });
+
+      expect(adapter.sourceFile).toBe('main.lua');
+      expect(adapter.compile).toBeUndefined();
+      expect(adapter.run({ sourceFile: 'main.lua' })).toEqual(['lua5.4', 'main.lua']);
+      expect(adapter.toolchain).toEqual(['lua5.4']);
+    });
+
+    it('should not resolve unknown runtimes without a run command', () => {
+      expect(RuntimeRegistry.resolve({ runtime: 'lua', file_name: 'main.lua' })).toBeUndefined();
+    });
+  });
+
+  describe('detectLanguages', () => {
+    it('should check the executables of stored commands', async () => {
+      const available = await RuntimeRegistry.detectLanguages([
+        { runtime: 'custom-node', file_name: 'index.js', run_command: ['node', '{entry}'] },
+        { runtime: 'custom-missing', file_name: 'main.x', run_command: ['definitely-not-installed', '{entry}'] },
+      ]);
+
+      expect(available).toEqual(['custom-node']);
+    });
+  });
+
+  describe('register', () => {
+    afterEach(() => {
+      RuntimeRegistry.adapters.delete('test-runtime');
+      RuntimeRegistry.availability = null;
+    });
+
+    it('should reject adapters without a run step', () => {
+      expect(() => RuntimeRegistry.register('test-runtime', { sourceFile: 'main.x' })).toThrow('Invalid runtime adapter');
+    });
+
+    it('should not advertise runtimes whose toolchain is missing', async () => {
+      RuntimeRegistry.register('test-runtime', {
+        sourceFile: 'main.x',
+        toolchain: ['definitely-not-an-installed-compiler'],
+        run: (ctx) => ['x', ctx.sourceFile],
+      });
+
+      const available = await RuntimeRegistry.detectAvailable();
+      expect(available).not.toContain('test-runtime');
+      expect(available).toContain('node');
+    });
+  });
+});
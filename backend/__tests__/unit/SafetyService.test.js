@@ -65,6 +65,62 @@ describe('SafetyService', () => {
       const result = SafetyService.validateExecutionParams(100, 32, {});
       expect(result.valid).toBe(true);
     });
+
+    it('should reject non-integer limits', () => {
+      const result = SafetyService.validateExecutionParams('5000', 12.5, {});
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Time limit must be an integer number of milliseconds',
+        'Memory limit must be an integer number of megabytes',
+      ]);
+    });
+
+    it('should apply the language maximums', () => {
+      const language = { max_time_limit_ms: 10000, max_memory_mb: 512 };
+      expect(SafetyService.validateExecutionParams(10000, 512, language).valid).toBe(true);
+
+      const result = SafetyService.validateExecutionParams(20000, 1024, language);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Time limit must be between 100ms and 10000ms',
+        'Memory limit must be between 32MB and 512MB',
+      ]);
+    });
+  });
+
+  describe('validateRunOptions', () => {
+    it('should accept arguments and environment variables', () => {
+      const result = SafetyService.validateRunOptions(['--verbose', 'input file.txt'], { MODE: 'fast', API_URL: 'http://x' });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should accept missing args and env', () => {
+      expect(SafetyService.validateRunOptions(undefined, undefined).valid).toBe(true);
+    });
+
+    it('should reject non-string arguments', () => {
+      const result = SafetyService.validateRunOptions(['ok', 42], undefined);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('args');
+    });
+
+    it('should reject too many arguments', () => {
+      const result = SafetyService.validateRunOptions(new Array(100).fill('x'), undefined);
+      expect(result.valid).toBe(false);
+    });
+
+    it('should refuse to override PATH or loader variables', () => {
+      expect(SafetyService.validateRunOptions(undefined, { PATH: '/tmp' }).valid).toBe(false);
+      expect(SafetyService.validateRunOptions(undefined, { LD_PRELOAD: '/tmp/x.so' }).valid).toBe(false);
+      expect(SafetyService.validateRunOptions(undefined, { ld_library_path: '/tmp' }).valid).toBe(false);
+      expect(SafetyService.validateRunOptions(undefined, { NODE_OPTIONS: '--require=/tmp/x' }).valid).toBe(false);
+    });
+
+    it('should reject invalid names and oversized values', () => {
+      expect(SafetyService.validateRunOptions(undefined, { 'BAD-NAME': 'x' }).valid).toBe(false);
+      expect(SafetyService.validateRunOptions(undefined, { BIG: 'x'.repeat(5000) }).valid).toBe(false);
+      expect(SafetyService.validateRunOptions(undefined, { NUM: 1 }).valid).toBe(false);
+    });
   });
 
   describe('checkExecutionAbuse', () => {
@@ -75,6 +131,13 @@ describe('SafetyService', () => {
       // Should return { allowed: true/false }
       expect(result).toHaveProperty('allowed');
     });
+
+    it('should only count failures caused by the submitted code', () => {
+      expect(SafetyService.USER_FAILURE_STATUSES).toContain('RUNTIME_ERROR');
+      expect(SafetyService.USER_FAILURE_STATUSES).toContain('COMPILATION_ERROR');
+      expect(SafetyService.USER_FAILURE_STATUSES).not.toContain('INTERNAL_ERROR');
+      expect(SafetyService.USER_FAILURE_STATUSES).not.toContain('CANCELLED');
+    });
   });
 
   describe('logExecutionEvent', () => {
@@ -0,0 +1,196 @@
+import { execFileSync } from 'child_process';
+import ProcessRunner from '../../src/runtimes/ProcessRunner.js';
+import Sandbox from '../../src/runtimes/Sandbox.js';
+import CodeExecutionService from '../../src/services/CodeExecutionService.js';
+
+// Namespaces need Linux, util-linux and unprivileged user namespaces; gcc builds the probes
+function canSandbox() {
+  try {
+    execFileSync('unshare', ['--user', '--map-root-user', '--mount', '--net', '--pid', '--fork', 'true'], { stdio: 'ignore' });
+    execFileSync('gcc', ['--version'], { stdio: 'ignore' });
+    return process.platform === 'linux';
+  } catch {
+    return false;
+  }
+}
+
+const describeIfSandbox = canSandbox() ? describe : describe.skip;
+
+describe('Sandbox', () => {
+  describe('buildEnv', () => {
+    it('should not pass worker secrets through', () => {
+      process.env.PG_PASSWORD_TEST_SECRET = 'hunter2';
+      const env = Sandbox.buildEnv({ home: '/sandbox' });
+      delete process.env.PG_PASSWORD_TEST_SECRET;
+
+      expect(env.HOME).toBe('/sandbox');
+      expect(env.PATH).toBeTruthy();
+      expect(Object.values(env)).not.toContain('hunter2');
+    });
+  });
+
+  describe('withUserEnv', () => {
+    it('should set run variables through env right before the program', () => {
+      expect(Sandbox.withUserEnv(['./main', 'a'], { MODE: 'fast', EMPTY: '' }))
+        .toEqual([Sandbox.ENV_COMMAND, 'MODE=fast', 'EMPTY=', './main', 'a']);
+      expect(Sandbox.withUserEnv(['./main'], {})).toEqual(['./main']);
+    });
+  });
+
+  describeIfSandbox('isolation', () => {
+    const language = { runtime: 'gcc' };
+    const previous = {};
+
+    beforeAll(() => {
+      previous.SANDBOX_ENABLED = process.env.SANDBOX_ENABLED;
+      previous.PG_PASSWORD = process.env.PG_PASSWORD;
+      process.env.SANDBOX_ENABLED = 'true';
+      process.env.PG_PASSWORD = 'worker-secret';
+    });
+
+    afterAll(() => {
+      for (const [name, value] of Object.entries(previous)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+
+    it('should give the program its project subdirectories', async () => {
+      const files = [
+        { path: 'include/answer.h', content: '#define ANSWER 42\n' },
+        { path: 'data/input.txt', content: 'seed\n' },
+      ];
+      const code = `#include <stdio.h>
+#include "include/answer.h"
+int main() {
+  char line[16] = {0};
+  FILE *in = fopen("data/input.txt", "r");
+  if (in) fgets(line, sizeof line, in);
+  printf("%d %s", ANSWER, line);
+  printf("%s\\n", fopen("data/output.txt", "w") ? "subdir:writable" : "subdir:readonly");
+  return 0;
+}`;
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 128, '', { files });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout).toBe('42 seed\nsubdir:writable\n');
+    });
+
+    it('should hide host files and keep the root read-only', async () => {
+      const code = `#include <stdio.h>
+int main() {
+  printf("%s\\n", fopen("/etc/passwd", "r") ? "passwd:visible" : "passwd:hidden");
+  printf("%s\\n", fopen("/usr/sandbox-escape", "w") ? "usr:writable" : "usr:readonly");
+  printf("%s\\n", fopen("result.txt", "w") ? "workdir:writable" : "workdir:readonly");
+  return 0;
+}`;
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 128);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(result.stdout).toContain('passwd:hidden');
+      expect(result.stdout).toContain('usr:readonly');
+      expect(result.stdout).toContain('workdir:writable');
+    });
+
+    it('should scrub the worker environment', async () => {
+      const code = `#include <stdio.h>
+#include <stdlib.h>
+int main() {
+  const char *secret = getenv("PG_PASSWORD");
+  printf("%s\\n", secret ? secret : "no-secret");
+  return 0;
+}`;
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 128);
+
+      expect(result.stdout.trim()).toBe('no-secret');
+    });
+
+    it('should give run variables to the program but not to the setup shell', async () => {
+      const run = jest.spyOn(ProcessRunner, 'run');
+      const code = `#include <stdio.h>
+#include <stdlib.h>
+int main() {
+  const char *mode = getenv("RUN_MODE");
+  printf("%s\\n", mode ? mode : "unset");
+  return 0;
+}`;
+
+      try {
+        const result = await CodeExecutionService.executeCode(language, code, 5000, 128, '', {
+          env: { RUN_MODE: 'fast' },
+        });
+
+        expect(result.stdout.trim()).toBe('fast');
+
+        // The wrapper chain (unshare, the setup shell, mount, chroot, setpriv,
+        // prlimit) starts with this environment; the variable is only set by
+        // the env command in front of the program
+        const [argv, { env }] = run.mock.calls[run.mock.calls.length - 1];
+        expect(env).not.toHaveProperty('RUN_MODE');
+        expect(argv.slice(-3)).toEqual([Sandbox.ENV_COMMAND, 'RUN_MODE=fast', './main']);
+      } finally {
+        run.mockRestore();
+      }
+    });
+
+    it('should not allow network access', async () => {
+      const code = `#include <stdio.h>
+#include <sys/socket.h>
+#include <netinet/in.h>
+#include <arpa/inet.h>
+int main() {
+  int fd = socket(AF_INET, SOCK_STREAM, 0);
+  struct sockaddr_in addr = {0};
+  addr.sin_family = AF_INET;
+  addr.sin_port = htons(53);
+  inet_pton(AF_INET, "1.1.1.1", &addr.sin_addr);
+  printf("%s\\n", connect(fd, (struct sockaddr *)&addr, sizeof addr) == 0 ? "connected" : "blocked");
+  return 0;
+}`;
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 128);
+
+      expect(result.stdout.trim()).toBe('blocked');
+    });
+
+    it('should run in its own PID namespace', async () => {
+      const code = '#include <stdio.h>\n#include <unistd.h>\nint main() { printf("%d\\n", getpid()); return 0; }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 128);
+
+      expect(result.stdout.trim()).toBe('1');
+    });
+
+    it('should cap the number of processes', async () => {
+      const code = `#include <stdio.h>
+#include <unistd.h>
+int main() {
+  int forked = 0;
+  for (int i = 0; i < 1000; i++) {
+    pid_t pid = fork();
+    if (pid == 0) { sleep(2); _exit(0); }
+    if (pid < 0) break;
+    forked++;
+  }
+  printf("%d\\n", forked);
+  return 0;
+}`;
+
+      const result = await CodeExecutionService.executeCode(language, code, 5000, 256);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(parseInt(result.stdout)).toBeLessThan(Sandbox.MAX_PROCESSES);
+    });
+
+    it('should contain a fork bomb', async () => {
+      const code = '#include <unistd.h>\nint main() { for (;;) fork(); }';
+
+      const result = await CodeExecutionService.executeCode(language, code, 1000, 256);
+
+      expect(result.status).toBe('TIMEOUT');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../src/libs/redis.js', () => ({
+  __esModule: true,
+  default: {},
+  createRedisConnection: jest.fn(),
+}));
+
+jest.mock('../../src/libs/db.js', () => ({
+  __esModule: true,
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+
+jest.mock('../../src/libs/queue.js', () => ({
+  __esModule: true,
+  codeExecutionQueue: { add: jest.fn(), getRepeatableJobs: jest.fn(), removeRepeatableByKey: jest.fn() },
+  default: {},
+}));
+
+jest.mock('../../src/models/Session.js', () => ({
+  __esModule: true,
+  default: { closeIdle: jest.fn() },
+}));
+
+import { codeExecutionQueue } from '../../src/libs/queue.js';
+import Session from '../../src/models/Session.js';
+import SessionReaperService from '../../src/services/SessionReaperService.js';
+import StreamService from '../../src/services/StreamService.js';
+
+const idleSession = (n) => ({
+  id: `7b0c3a64-7d1e-4b8e-9c39-${String(n).padStart(12, '0')}`,
+  last_activity_at: new Date('2026-01-21T10:00:00.000Z'),
+});
+
+describe('SessionReaperService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(StreamService, 'publishLifecycleEvent').mockResolvedValue();
+    jest.replaceProperty(SessionReaperService, 'IDLE_TTL_SECONDS', 3600);
+    jest.replaceProperty(SessionReaperService, 'INTERVAL_MS', 60000);
+
+    codeExecutionQueue.getRepeatableJobs.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('closeIdleSessions', () => {
+    it('should close idle sessions and announce each one', async () => {
+      Session.closeIdle.mockResolvedValueOnce([idleSession(1), idleSession(2)]);
+
+      expect(await SessionReaperService.closeIdleSessions()).toBe(2);
+      expect(Session.closeIdle).toHaveBeenCalledWith(3600, SessionReaperService.BATCH_SIZE);
+      expect(StreamService.publishLifecycleEvent).toHaveBeenCalledTimes(2);
+      expect(StreamService.publishLifecycleEvent).toHaveBeenCalledWith(expect.objectContaining({
+        session_id: idleSession(1).id,
+        stage: 'SESSION_CLOSED',
+        reason: 'idle',
+        last_activity_at: '2026-01-21T10:00:00.000Z',
+      }));
+    });
+
+    it('should keep going while batches come back full', async () => {
+      jest.replaceProperty(SessionReaperService, 'BATCH_SIZE', 2);
+      Session.closeIdle
+        .mockResolvedValueOnce([idleSession(1), idleSession(2)])
+        .mockResolvedValueOnce([idleSession(3), idleSession(4)])
+        .mockResolvedValueOnce([idleSession(5)]);
+
+      expect(await SessionReaperService.closeIdleSessions()).toBe(5);
+      expect(Session.closeIdle).toHaveBeenCalledTimes(3);
+    });
+
+    it('should still count sessions whose event could not be sent', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      StreamService.publishLifecycleEvent.mockRejectedValue(new Error('Redis is down'));
+      Session.closeIdle.mockResolvedValueOnce([idleSession(1)]);
+
+      expect(await SessionReaperService.closeIdleSessions()).toBe(1);
+    });
+
+    it('should do nothing when disabled', async () => {
+      jest.replaceProperty(SessionReaperService, 'IDLE_TTL_SECONDS', 0);
+
+      expect(await SessionReaperService.closeIdleSessions()).toBe(0);
+      expect(Session.closeIdle).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('schedule', () => {
+    it('should register a repeatable job and drop ones with another interval', async () => {
+      codeExecutionQueue.getRepeatableJobs.mockResolvedValue([
+        { name: SessionReaperService.JOB_NAME, key: 'old', every: '300000' },
+        { name: SessionReaperService.JOB_NAME, key: 'current', every: '60000' },
+        { name: 'other', key: 'other', every: '1000' },
+      ]);
+
+      expect(await SessionReaperService.schedule()).toBe(true);
+      expect(codeExecutionQueue.removeRepeatableByKey).toHaveBeenCalledTimes(1);
+      expect(codeExecutionQueue.removeRepeatableByKey).toHaveBeenCalledWith('old');
+      expect(codeExecutionQueue.add).toHaveBeenCalledWith(
+        SessionReaperService.JOB_NAME,
+        {},
+        expect.objectContaining({ repeat: { every: 60000 } })
+      );
+    });
+
+    it('should remove the job when disabled', async () => {
+      jest.replaceProperty(SessionReaperService, 'IDLE_TTL_SECONDS', 0);
+      codeExecutionQueue.getRepeatableJobs.mockResolvedValue([
+        { name: SessionReaperService.JOB_NAME, key: 'current', every: '60000' },
+      ]);
+
+      expect(await SessionReaperService.schedule()).toBe(false);
+      expect(codeExecutionQueue.removeRepeatableByKey).toHaveBeenCalledWith('current');
+      expect(codeExecutionQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getExpiresAt', () => {
+    it('should add the TTL to the last activity of active sessions', () => {
+      expect(SessionReaperService.getExpiresAt({ status: 'ACTIVE', last_activity_at: '2026-01-21T10:00:00.000Z' }))
+        .toBe('2026-01-21T11:00:00.000Z');
+      expect(SessionReaperService.getExpiresAt({ status: 'INACTIVE', last_activity_at: '2026-01-21T10:00:00.000Z' }))
+        .toBeNull();
+    });
+  });
+});
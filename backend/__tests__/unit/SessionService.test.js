@@ -0,0 +1,179 @@
+jest.mock('../../src/libs/redis.js', () => ({
+  __esModule: true,
+  default: {},
+  createRedisConnection: jest.fn(),
+}));
+
+jest.mock('../../src/libs/queue.js', () => ({
+  __esModule: true,
+  codeExecutionQueue: {},
+  default: {},
+}));
+
+jest.mock('../../src/libs/db.js', () => ({
+  __esModule: true,
+  query: jest.fn(),
+  transaction: jest.fn(async (callback) => callback({})),
+}));
+
+jest.mock('../../src/models/Session.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn(), findWithLanguage: jest.fn(), update: jest.fn(), create: jest.fn(), lock: jest.fn() },
+}));
+
+jest.mock('../../src/models/SessionFile.js', () => ({
+  __esModule: true,
+  default: { findBySessionId: jest.fn(), create: jest.fn() },
+}));
+
+jest.mock('../../src/models/Execution.js', () => ({
+  __esModule: true,
+  default: { copySessionReferences: jest.fn() },
+}));
+
+import Execution from '../../src/models/Execution.js';
+import Session from '../../src/models/Session.js';
+import SessionFile from '../../src/models/SessionFile.js';
+import CollabService from '../../src/services/CollabService.js';
+import RevisionService from '../../src/services/RevisionService.js';
+import SessionReaperService from '../../src/services/SessionReaperService.js';
+import SessionService from '../../src/services/SessionService.js';
+
+const sessionId = '7b0c3a64-7d1e-4b8e-9c39-0c5e6f1a2b3c';
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(RevisionService, 'record').mockResolvedValue(null);
+    jest.spyOn(CollabService, 'flush').mockResolvedValue();
+
+    Session.findById.mockResolvedValue({ id: sessionId, status: 'ACTIVE', lock_version: 3 });
+    Session.update.mockImplementation(async (id, data) => ({
+      id,
+      status: 'ACTIVE',
+      source_code: data.source_code,
+      lock_version: 4,
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('updateSessionCode', () => {
+    it('should save unconditionally without an expected version', async () => {
+      const result = await SessionService.updateSessionCode(sessionId, 'print(1)');
+
+      expect(Session.update).toHaveBeenCalledWith(sessionId, { source_code: 'print(1)', expected_version: undefined }, {});
+      expect(result).toEqual({ session_id: sessionId, status: 'ACTIVE', lock_version: 4 });
+      expect(RevisionService.record).toHaveBeenCalledWith(sessionId, {});
+    });
+
+    it('should only save while the expected version is current', async () => {
+      await SessionService.updateSessionCode(sessionId, 'print(1)', 3);
+      expect(Session.update).toHaveBeenCalledWith(sessionId, { source_code: 'print(1)', expected_version: 3 }, {});
+    });
+
+    it('should report the current version to stale clients', async () => {
+      Session.update.mockResolvedValue(undefined);
+      Session.findById
+        .mockResolvedValueOnce({ id: sessionId, lock_version: 3 })
+        .mockResolvedValueOnce({ id: sessionId, lock_version: 5 });
+
+      await expect(SessionService.updateSessionCode(sessionId, 'print(1)', 3))
+        .rejects.toMatchObject({ status: 409, currentVersion: 5 });
+      expect(RevisionService.record).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown sessions', async () => {
+      Session.findById.mockResolvedValue(undefined);
+      await expect(SessionService.updateSessionCode(sessionId, 'print(1)')).rejects.toThrow('Session not found');
+    });
+  });
+
+  describe('getSession', () => {
+    beforeEach(() => {
+      SessionFile.findBySessionId.mockResolvedValue([]);
+      Session.findWithLanguage.mockResolvedValue({
+        id: sessionId,
+        status: 'ACTIVE',
+        file_name: 'main.py',
+        entry_point: null,
+        lock_version: 2,
+        last_activity_at: new Date('2026-01-21T10:00:00.000Z'),
+      });
+    });
+
+    it('should report when an idle session will be closed', async () => {
+      jest.replaceProperty(SessionReaperService, 'IDLE_TTL_SECONDS', 3600);
+
+      const session = await SessionService.getSession(sessionId);
+      expect(session.expires_at).toBe('2026-01-21T11:00:00.000Z');
+    });
+
+    it('should not expire closed sessions or when the reaper is disabled', async () => {
+      jest.replaceProperty(SessionReaperService, 'IDLE_TTL_SECONDS', 0);
+      expect((await SessionService.getSession(sessionId)).expires_at).toBeNull();
+
+      jest.replaceProperty(SessionReaperService, 'IDLE_TTL_SECONDS', 3600);
+      Session.findWithLanguage.mockResolvedValue({ id: sessionId, status: 'INACTIVE', last_activity_at: new Date() });
+      expect((await SessionService.getSession(sessionId)).expires_at).toBeNull();
+    });
+  });
+
+  describe('forkSession', () => {
+    const forkId = '1f3d9a2e-5b6c-4d7e-8f90-a1b2c3d4e5f6';
+
+    beforeEach(() => {
+      Session.findById.mockResolvedValue({
+        id: sessionId,
+        language_id: 1,
+        status: 'INACTIVE',
+        source_code: 'from util import x\nprint(x)',
+        entry_point: 'main.py',
+      });
+      Session.create.mockImplementation(async (data) => ({ ...data, id: forkId, lock_version: 1 }));
+      SessionFile.findBySessionId.mockResolvedValue([{ id: 3, session_id: sessionId, path: 'util.py', content: 'x = 1' }]);
+      Execution.copySessionReferences.mockResolvedValue(4);
+    });
+
+    it('should copy the code and files into a new active session', async () => {
+      const result = await SessionService.forkSession(sessionId);
+
+      expect(CollabService.flush).toHaveBeenCalledWith(sessionId);
+      expect(Session.lock).toHaveBeenCalledWith(sessionId, {});
+      expect(Session.findById).toHaveBeenCalledWith(sessionId, {});
+      expect(SessionFile.findBySessionId).toHaveBeenCalledWith(sessionId, {});
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+        language_id: 1,
+        source_code: 'from util import x\nprint(x)',
+        entry_point: 'main.py',
+        status: 'ACTIVE',
+        forked_from: sessionId,
+      }), {});
+      expect(SessionFile.create).toHaveBeenCalledWith({ session_id: forkId, path: 'util.py', content: 'x = 1' }, {});
+      expect(Execution.copySessionReferences).not.toHaveBeenCalled();
+      expect(RevisionService.record).toHaveBeenCalledWith(forkId, {});
+      expect(result).toEqual({
+        session_id: forkId,
+        status: 'ACTIVE',
+        lock_version: 1,
+        forked_from: sessionId,
+        inherited_executions: 0,
+      });
+    });
+
+    it('should reference the execution history on request', async () => {
+      const result = await SessionService.forkSession(sessionId, { includeExecutions: true });
+
+      expect(Execution.copySessionReferences).toHaveBeenCalledWith(sessionId, forkId, {});
+      expect(result.inherited_executions).toBe(4);
+    });
+
+    it('should reject unknown sessions', async () => {
+      Session.findById.mockResolvedValue(undefined);
+      await expect(SessionService.forkSession(sessionId)).rejects.toMatchObject({ status: 404 });
+      expect(Session.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../../src/libs/redis.js', () => ({
+  __esModule: true,
+  default: {},
+  createRedisConnection: jest.fn(),
+}));
+
+jest.mock('../../src/libs/db.js', () => ({
+  __esModule: true,
+  query: jest.fn(),
+  transaction: jest.fn(async (callback) => callback({})),
+}));
+
+jest.mock('../../src/models/Session.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn(), findWithLanguage: jest.fn() },
+}));
+
+jest.mock('../../src/models/SessionFile.js', () => ({
+  __esModule: true,
+  default: { findBySessionId: jest.fn() },
+}));
+
+jest.mock('../../src/models/SessionShare.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(), findActiveByTokenHash: jest.fn(), findBySessionId: jest.fn(), revoke: jest.fn() },
+}));
+
+jest.mock('../../src/models/Execution.js', () => ({
+  __esModule: true,
+  default: { findBySessionId: jest.fn(), existsWithSource: jest.fn() },
+}));
+
+jest.mock('../../src/models/SourceSnapshot.js', () => ({
+  __esModule: true,
+  default: { findByHash: jest.fn() },
+}));
+
+import Execution from '../../src/models/Execution.js';
+import Session from '../../src/models/Session.js';
+import SessionFile from '../../src/models/SessionFile.js';
+import SessionShare from '../../src/models/SessionShare.js';
+import SourceSnapshot from '../../src/models/SourceSnapshot.js';
+import CollabService from '../../src/services/CollabService.js';
+import ShareService from '../../src/services/ShareService.js';
+
+const sessionId = '7b0c3a64-7d1e-4b8e-9c39-0c5e6f1a2b3c';
+const shareId = '1f3d9a2e-5b6c-4d7e-8f90-a1b2c3d4e5f6';
+const sourceHash = 'a'.repeat(64);
+
+const session = {
+  id: sessionId,
+  status: 'ACTIVE',
+  language_id: 1,
+  language_name: 'Python',
+  runtime: 'python',
+  version: '3.11',
+  file_name: 'main.py',
+  entry_point: null,
+  source_code: 'print(1)',
+};
+
+describe('ShareService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(CollabService, 'flush').mockResolvedValue();
+    jest.spyOn(CollabService, 'getLiveDocument').mockResolvedValue(null);
+
+    Session.findById.mockResolvedValue(session);
+    Session.findWithLanguage.mockResolvedValue(session);
+    SessionFile.findBySessionId.mockResolvedValue([{ id: 3, path: 'util.py', content: 'x = 1' }]);
+    SessionShare.create.mockImplementation(async (data) => ({ id: shareId, ...data, created_at: new Date(), revoked_at: null }));
+  });
+
+  describe('createShare', () => {
+    it('should return a token that is only stored hashed', async () => {
+      const share = await ShareService.createShare(sessionId);
+
+      expect(share.token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+      expect(share.url).toBe(`/shared/${share.token}`);
+      expect(share).toMatchObject({ share_id: shareId, active: true });
+
+      const stored = SessionShare.create.mock.calls[0][0];
+      expect(stored.token_hash).toBe(ShareService.hashToken(share.token));
+      expect(stored.token_hash).not.toContain(share.token);
+      expect(stored.expires_at.getTime() - Date.now()).toBeGreaterThan((ShareService.DEFAULT_EXPIRES_IN - 60) * 1000);
+    });
+
+    it('should allow links without expiry and reject invalid lifetimes', async () => {
+      await ShareService.createShare(sessionId, null);
+      expect(SessionShare.create.mock.calls[0][0].expires_at).toBeNull();
+
+      await expect(ShareService.createShare(sessionId, 10)).rejects.toMatchObject({ status: 400 });
+      await expect(ShareService.createShare(sessionId, '3600')).rejects.toMatchObject({ status: 400 });
+      await expect(ShareService.createShare(sessionId, ShareService.MAX_EXPIRES_IN + 1)).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should reject unknown sessions', async () => {
+      Session.findById.mockResolvedValue(undefined);
+      await expect(ShareService.createShare(sessionId)).rejects.toMatchObject({ status: 404 });
+      expect(SessionShare.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeShare', () => {
+    it('should revoke a share of the session', async () => {
+      SessionShare.revoke.mockResolvedValue({ id: shareId, created_at: new Date(), expires_at: null, revoked_at: new Date() });
+
+      const share = await ShareService.revokeShare(sessionId, shareId);
+      expect(SessionShare.revoke).toHaveBeenCalledWith(sessionId, shareId);
+      expect(share.active).toBe(false);
+    });
+
+    it('should return 404 for unknown shares', async () => {
+      SessionShare.revoke.mockResolvedValue(undefined);
+      await expect(ShareService.revokeShare(sessionId, shareId)).rejects.toMatchObject({ status: 404 });
+      await expect(ShareService.revokeShare(sessionId, 'abc')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('shared views', () => {
+    beforeEach(() => {
+      SessionShare.findActiveByTokenHash.mockResolvedValue({ id: shareId, session_id: sessionId });
+    });
+
+    it('should show the code without the session id', async () => {
+      const view = await ShareService.getSharedSession('token');
+
+      expect(SessionShare.findActiveByTokenHash).toHaveBeenCalledWith(ShareService.hashToken('token'));
+      expect(CollabService.getLiveDocument).toHaveBeenCalledWith(sessionId);
+      expect(view).toMatchObject({
+        status: 'ACTIVE',
+        language_name: 'Python',
+        entry_point: 'main.py',
+        source_code: 'print(1)',
+        files: [{ path: 'util.py', content: 'x = 1' }],
+      });
+      expect(JSON.stringify(view)).not.toContain(sessionId);
+    });
+
+    it('should show live edits without saving them', async () => {
+      CollabService.getLiveDocument.mockResolvedValue('print(2)');
+
+      const view = await ShareService.getSharedSession('token');
+
+      expect(view.source_code).toBe('print(2)');
+      expect(CollabService.flush).not.toHaveBeenCalled();
+    });
+
+    it('should list runs without their ids', async () => {
+      Execution.findBySessionId.mockResolvedValue([
+        { id: shareId, session_id: sessionId, status: 'COMPLETED', source_hash: sourceHash, stdout: '1\n', exit_code: 0 },
+      ]);
+
+      const { executions } = await ShareService.getSharedExecutions('token', 5);
+
+      expect(Execution.findBySessionId).toHaveBeenCalledWith(sessionId, 5);
+      expect(executions[0]).toMatchObject({ status: 'COMPLETED', source_hash: sourceHash, stdout: '1\n' });
+      expect(JSON.stringify(executions)).not.toContain(shareId);
+      expect(JSON.stringify(executions)).not.toContain(sessionId);
+      await expect(ShareService.getSharedExecutions('token', 0)).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should only show sources used by the session\'s runs', async () => {
+      SourceSnapshot.findByHash.mockResolvedValue({ hash: sourceHash, entry_point: 'main.py', source_code: 'print(1)', files: [] });
+      Execution.existsWithSource.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const source = await ShareService.getSharedSource('token', sourceHash);
+      expect(source).toEqual({ source_hash: sourceHash, entry_point: 'main.py', source_code: 'print(1)', files: [] });
+
+      await expect(ShareService.getSharedSource('token', sourceHash)).rejects.toMatchObject({ status: 404 });
+      await expect(ShareService.getSharedSource('token', 'nothex')).rejects.toMatchObject({ status: 404 });
+      expect(Execution.existsWithSource).toHaveBeenCalledTimes(2);
+    });
+
+    it('should treat unknown, expired and revoked tokens alike', async () => {
+      SessionShare.findActiveByTokenHash.mockResolvedValue(undefined);
+
+      await expect(ShareService.getSharedSession('token')).rejects.toMatchObject({
+        status: 404,
+        message: 'Share link not found or expired',
+      });
+      await expect(ShareService.getSharedExecutions('token')).rejects.toMatchObject({ status: 404 });
+      expect(Execution.findBySessionId).not.toHaveBeenCalled();
+    });
+  });
+});
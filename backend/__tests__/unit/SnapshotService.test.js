@@ -0,0 +1,81 @@
+jest.mock('../../src/models/SessionFile.js', () => ({
+  __esModule: true,
+  default: { findBySessionId: jest.fn() },
+}));
+
+jest.mock('../../src/models/SourceSnapshot.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(async (data) => data) },
+}));
+
+import SessionFile from '../../src/models/SessionFile.js';
+import SourceSnapshot from '../../src/models/SourceSnapshot.js';
+import SnapshotService from '../../src/services/SnapshotService.js';
+
+const session = {
+  id: '7b0c3a64-7d1e-4b8e-9c39-0c5e6f1a2b3c',
+  source_code: 'from util import x\nprint(x)',
+  entry_point: null,
+  file_name: 'main.py',
+};
+
+describe('SnapshotService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SessionFile.findBySessionId.mockResolvedValue([
+      { id: 4, path: 'util.py', content: 'x = 1', updated_at: new Date() },
+    ]);
+  });
+
+  describe('getHash', () => {
+    const snapshot = {
+      entry_point: 'main.py',
+      source_code: 'print(1)',
+      files: [{ path: 'a.py', content: 'a' }, { path: 'b.py', content: 'b' }],
+    };
+
+    it('should be a stable SHA-256 hex digest', () => {
+      const hash = SnapshotService.getHash(snapshot);
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(SnapshotService.getHash({ ...snapshot })).toBe(hash);
+    });
+
+    it('should not depend on file order', () => {
+      const reversed = { ...snapshot, files: [...snapshot.files].reverse() };
+      expect(SnapshotService.getHash(reversed)).toBe(SnapshotService.getHash(snapshot));
+    });
+
+    it('should change with the code, the files or the entry point', () => {
+      const hash = SnapshotService.getHash(snapshot);
+      expect(SnapshotService.getHash({ ...snapshot, source_code: 'print(2)' })).not.toBe(hash);
+      expect(SnapshotService.getHash({ ...snapshot, files: [{ path: 'a.py', content: 'a' }] })).not.toBe(hash);
+      expect(SnapshotService.getHash({ ...snapshot, entry_point: 'other.py' })).not.toBe(hash);
+    });
+  });
+
+  describe('capture', () => {
+    it('should store the entry file and every project file under their hash', async () => {
+      const client = {};
+      const snapshot = await SnapshotService.capture(session, client);
+
+      const expected = {
+        entry_point: 'main.py',
+        source_code: session.source_code,
+        files: [{ path: 'util.py', content: 'x = 1' }],
+      };
+      expect(snapshot).toEqual({ hash: SnapshotService.getHash(expected), ...expected });
+      expect(SourceSnapshot.create).toHaveBeenCalledWith(snapshot, client);
+    });
+
+    it('should use the session entry point when it is set', async () => {
+      const snapshot = await SnapshotService.capture({ ...session, entry_point: 'app/main.py' });
+      expect(snapshot.entry_point).toBe('app/main.py');
+    });
+
+    it('should give unchanged code the same hash', async () => {
+      const first = await SnapshotService.capture(session);
+      const second = await SnapshotService.capture(session);
+      expect(second.hash).toBe(first.hash);
+    });
+  });
+});
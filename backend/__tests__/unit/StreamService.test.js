@@ -0,0 +1,98 @@
+jest.mock('../../src/libs/redis.js', () => {
+  const { EventEmitter } = require('events');
+  const lists = new Map();
+  const bus = new EventEmitter();
+
+  const client = {
+    lists,
+    rpush: async (key, value) => {
+      const list = lists.get(key) || [];
+      list.push(value);
+      lists.set(key, list);
+      return list.length;
+    },
+    expire: async () => 1,
+    publish: async (channel, message) => {
+      bus.emit('publish', channel, message);
+      return 1;
+    },
+    lrange: async (key, start, end) => (lists.get(key) || []).slice(start, end === -1 ? undefined : end + 1),
+  };
+
+  const createRedisConnection = () => {
+    const subscriber = new EventEmitter();
+    const channels = new Set();
+    subscriber.subscribe = async (channel) => channels.add(channel);
+    subscriber.unsubscribe = async (channel) => channels.delete(channel);
+    bus.on('publish', (channel, message) => {
+      if (channels.has(channel)) subscriber.emit('message', channel, message);
+    });
+    return subscriber;
+  };
+
+  return { __esModule: true, default: client, createRedisConnection };
+});
+
+import redis from '../../src/libs/redis.js';
+import StreamService from '../../src/services/StreamService.js';
+
+describe('StreamService', () => {
+  beforeEach(() => {
+    redis.lists.clear();
+  });
+
+  describe('append', () => {
+    it('should number events by their position in the stream', async () => {
+      const first = await StreamService.append('exec-1', { type: 'status', stage: 'RUNNING' });
+      const second = await StreamService.append('exec-1', { type: 'stdout', data: 'hi' });
+
+      expect(first.seq).toBe(1);
+      expect(second.seq).toBe(2);
+    });
+  });
+
+  describe('createPublisher', () => {
+    it('should coalesce consecutive chunks of the same stream in order', async () => {
+      const output = StreamService.createPublisher('exec-2');
+      output.write('stdout', Buffer.from('a'));
+      output.write('stdout', Buffer.from('b'));
+      output.write('stderr', Buffer.from('oops'));
+      output.write('stdout', Buffer.from('c'));
+      await output.flush();
+
+      const stored = redis.lists.get(StreamService.getKey('exec-2')).map(JSON.parse);
+      expect(stored).toEqual([
+        { type: 'stdout', data: 'ab' },
+        { type: 'stderr', data: 'oops' },
+        { type: 'stdout', data: 'c' },
+      ]);
+    });
+  });
+
+  describe('follow', () => {
+    it('should replay stored events then deliver live ones once', async () => {
+      await StreamService.append('exec-3', { type: 'status', stage: 'RUNNING' });
+      await StreamService.append('exec-3', { type: 'stdout', data: '1\n' });
+
+      const received = [];
+      const unsubscribe = await StreamService.follow('exec-3', event => received.push(event));
+      await StreamService.append('exec-3', { type: 'stdout', data: '2\n' });
+      await unsubscribe();
+      await StreamService.append('exec-3', { type: 'stdout', data: '3\n' });
+
+      expect(received.map(event => event.seq)).toEqual([1, 2, 3]);
+      expect(received.map(event => event.data)).toEqual([undefined, '1\n', '2\n']);
+    });
+
+    it('should resume after a given sequence number', async () => {
+      await StreamService.append('exec-4', { type: 'stdout', data: 'a' });
+      await StreamService.append('exec-4', { type: 'stdout', data: 'b' });
+
+      const received = [];
+      const unsubscribe = await StreamService.follow('exec-4', event => received.push(event), { afterSeq: 1 });
+      await unsubscribe();
+
+      expect(received).toEqual([{ seq: 2, type: 'stdout', data: 'b' }]);
+    });
+  });
+});
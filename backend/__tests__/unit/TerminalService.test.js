@@ -0,0 +1,90 @@
+jest.mock('../../src/services/StreamService.js', () => {
+  const mockStreamService = {
+    handler: null,
+    unsubscribe: jest.fn(async () => {}),
+    follow: jest.fn(async (executionId, handler) => {
+      mockStreamService.handler = handler;
+      return mockStreamService.unsubscribe;
+    }),
+    append: jest.fn(async (executionId, event) => event),
+  };
+  return { __esModule: true, default: mockStreamService };
+});
+
+import StreamService from '../../src/services/StreamService.js';
+import TerminalService from '../../src/services/TerminalService.js';
+
+const EXECUTION_ID = '11111111-1111-4111-8111-111111111111';
+
+const readAll = (stream) => new Promise((resolve) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+});
+
+describe('TerminalService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should append input to the execution stream', async () => {
+    await TerminalService.sendInput(EXECUTION_ID, 'y\n');
+    await TerminalService.closeInput(EXECUTION_ID);
+
+    expect(StreamService.append).toHaveBeenNthCalledWith(1, EXECUTION_ID, { type: 'stdin', data: 'y\n' });
+    expect(StreamService.append).toHaveBeenNthCalledWith(2, EXECUTION_ID, { type: 'stdin_close' });
+  });
+
+  it('should feed stdin events to the program until stdin is closed', async () => {
+    const terminal = await TerminalService.attach(EXECUTION_ID);
+    const received = readAll(terminal.input);
+
+    StreamService.handler({ seq: 1, type: 'status', stage: 'RUNNING' });
+    StreamService.handler({ seq: 2, type: 'stdin', data: 'first\n' });
+    StreamService.handler({ seq: 3, type: 'stdout', data: 'ignored' });
+    StreamService.handler({ seq: 4, type: 'stdin', data: 'second\n' });
+    StreamService.handler({ seq: 5, type: 'stdin_close' });
+    StreamService.handler({ seq: 6, type: 'stdin', data: 'too late\n' });
+
+    expect(await received).toBe('first\nsecond\n');
+
+    await terminal.close();
+    expect(StreamService.unsubscribe).toHaveBeenCalled();
+  });
+
+  it('should record input and output in order, merging chunks of one stream', async () => {
+    const terminal = await TerminalService.attach(EXECUTION_ID);
+
+    terminal.record('stdout', Buffer.from('Name? '));
+    StreamService.handler({ seq: 1, type: 'stdin', data: 'A' });
+    StreamService.handler({ seq: 2, type: 'stdin', data: 'da\n' });
+    terminal.record('stdout', 'Hello, Ada\n');
+
+    expect(terminal.getTranscript().map(({ stream, data }) => ({ stream, data }))).toEqual([
+      { stream: 'stdout', data: 'Name? ' },
+      { stream: 'stdin', data: 'Ada\n' },
+      { stream: 'stdout', data: 'Hello, Ada\n' },
+    ]);
+    expect(terminal.getTranscript()[0].at_ms).toBeGreaterThanOrEqual(0);
+    await terminal.close();
+  });
+
+  it('should drop input beyond the per-execution limit', async () => {
+    const terminal = await TerminalService.attach(EXECUTION_ID);
+    const chunk = 'x'.repeat(TerminalService.MAX_INPUT_BYTES);
+
+    StreamService.handler({ seq: 1, type: 'stdin', data: chunk });
+    StreamService.handler({ seq: 2, type: 'stdin', data: 'more' });
+
+    expect(terminal.getTranscript()).toHaveLength(1);
+    expect(terminal.getTranscript()[0].data).toHaveLength(TerminalService.MAX_INPUT_BYTES);
+    await terminal.close();
+  });
+
+  it('should validate input messages', () => {
+    expect(TerminalService.validateInput('ls\n').valid).toBe(true);
+    expect(TerminalService.validateInput('').valid).toBe(false);
+    expect(TerminalService.validateInput(42).valid).toBe(false);
+    expect(TerminalService.validateInput('x'.repeat(TerminalService.MAX_MESSAGE_BYTES + 1)).valid).toBe(false);
+  });
+});
@@ -0,0 +1,215 @@
+jest.mock('../../src/services/CollabService.js', () => {
+  // One shared document, with channel events delivered synchronously
+  const mockCollabService = {
+    document: 'hello',
+    revision: 0,
+    handlers: new Set(),
+    peers: new Map(),
+    emit: (event) => mockCollabService.handlers.forEach(handler => handler(event)),
+    subscribe: jest.fn(async (sessionId, handler) => {
+      mockCollabService.handlers.add(handler);
+      return async () => mockCollabService.handlers.delete(handler);
+    }),
+    join: jest.fn(async (sessionId, clientId, name) => {
+      const peer = { client_id: clientId, name: name || 'Guest', cursor: null };
+      mockCollabService.peers.set(clientId, peer);
+      mockCollabService.emit({ type: 'join', ...peer });
+      return peer;
+    }),
+    leave: jest.fn(async (sessionId, clientId) => {
+      mockCollabService.peers.delete(clientId);
+      mockCollabService.emit({ type: 'leave', client_id: clientId });
+    }),
+    getDocument: jest.fn(async () => ({ document: mockCollabService.document, revision: mockCollabService.revision })),
+    getPeers: jest.fn(async () => [...mockCollabService.peers.values()]),
+    submitOperation: jest.fn(async (sessionId, revision, op, clientId) => {
+      if (revision !== mockCollabService.revision) {
+        const error = new Error('Revision is out of date; reload the document');
+        error.status = 409;
+        error.resync = true;
+        throw error;
+      }
+      mockCollabService.revision++;
+      mockCollabService.emit({ type: 'op', revision: mockCollabService.revision, op, client_id: clientId });
+      return { revision: mockCollabService.revision, op };
+    }),
+    validateCursor: jest.fn((cursor) => (Number.isInteger(cursor?.position)
+      ? { valid: true }
+      : { valid: false, error: 'cursor must be null or { position, selection_end } with non-negative integers' })),
+    updateCursor: jest.fn(async (sessionId, peer, cursor) => {
+      peer.cursor = cursor;
+      mockCollabService.emit({ type: 'presence', ...peer });
+    }),
+    setPresence: jest.fn(async () => {}),
+  };
+  return { __esModule: true, default: mockCollabService };
+});
+
+jest.mock('../../src/models/Session.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() },
+}));
+
+// Dependencies of the execution and terminal endpoints, mounted by the same sockets() call
+jest.mock('../../src/services/StreamService.js', () => ({
+  __esModule: true,
+  default: { onLifecycleEvent: async () => async () => {} },
+}));
+jest.mock('../../src/services/SafetyService.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../src/models/Execution.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../src/services/ExecutionService.js', () => ({
+  __esModule: true,
+  default: { TERMINAL_STATUSES: [] },
+}));
+
+import http from 'http';
+import WebSocket from 'ws';
+import CollabService from '../../src/services/CollabService.js';
+import Session from '../../src/models/Session.js';
+import sockets from '../../src/sockets/index.js';
+
+const SESSION_ID = '33333333-3333-4333-8333-333333333333';
+
+describe('collab WebSocket', () => {
+  let server;
+  let endpoints;
+  let baseUrl;
+
+  const connect = (query) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl}?${query}`);
+    const messages = [];
+    const waiters = [];
+    ws.on('message', (raw) => {
+      messages.push(JSON.parse(raw.toString()));
+      waiters.splice(0).forEach(wake => wake());
+    });
+    ws.next = async (count = 1) => {
+      while (messages.length < count) {
+        await new Promise(wake => waiters.push(wake));
+      }
+      return messages.splice(0, count);
+    };
+    ws.closed = new Promise(resolveClose => ws.on('close', (code) => resolveClose(code)));
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+
+  beforeAll(async () => {
+    server = http.createServer();
+    endpoints = sockets(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `ws://localhost:${server.address().port}/ws/collab`;
+  });
+
+  afterAll(async () => {
+    Object.values(endpoints).forEach(wss => wss.close());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CollabService.document = 'hello';
+    CollabService.revision = 3;
+    CollabService.handlers.clear();
+    CollabService.peers.clear();
+    Session.findById.mockResolvedValue({ id: SESSION_ID });
+  });
+
+  // Let the previous test's clients leave before the next one listens
+  afterEach(async () => {
+    while (endpoints['/ws/collab'].clients.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  });
+
+  it('should send the document and the peers already editing', async () => {
+    const alice = await connect(`session_id=${SESSION_ID}&name=Alice`);
+    const [aliceInit] = await alice.next();
+    expect(aliceInit).toMatchObject({ type: 'init', name: 'Alice', revision: 3, document: 'hello', peers: [] });
+
+    const bob = await connect(`session_id=${SESSION_ID}&name=Bob`);
+    const [bobInit] = await bob.next();
+    expect(bobInit.peers).toEqual([{ client_id: aliceInit.client_id, name: 'Alice', cursor: null }]);
+
+    const [joined] = await alice.next();
+    expect(joined).toEqual({ type: 'join', client_id: bobInit.client_id, name: 'Bob', cursor: null });
+
+    bob.close();
+    const [left] = await alice.next();
+    expect(left).toEqual({ type: 'leave', client_id: bobInit.client_id });
+    alice.close();
+  });
+
+  it('should acknowledge operations and relay them to the other clients', async () => {
+    const alice = await connect(`session_id=${SESSION_ID}&name=Alice`);
+    const [aliceInit] = await alice.next();
+    const bob = await connect(`session_id=${SESSION_ID}&name=Bob`);
+    await bob.next();
+    await alice.next(); // Bob joined
+
+    alice.send(JSON.stringify({ type: 'op', revision: 3, op: [5, '!'] }));
+
+    const [ack] = await alice.next();
+    expect(ack).toEqual({ type: 'ack', revision: 4 });
+    const [relayed] = await bob.next();
+    expect(relayed).toEqual({ type: 'op', revision: 4, op: [5, '!'], client_id: aliceInit.client_id });
+    expect(CollabService.submitOperation).toHaveBeenCalledWith(SESSION_ID, 3, [5, '!'], aliceInit.client_id);
+
+    alice.close();
+    bob.close();
+  });
+
+  it('should broadcast cursor moves', async () => {
+    const alice = await connect(`session_id=${SESSION_ID}&name=Alice`);
+    const [aliceInit] = await alice.next();
+    const bob = await connect(`session_id=${SESSION_ID}&name=Bob`);
+    await bob.next();
+
+    alice.send(JSON.stringify({ type: 'cursor', cursor: { position: 2, selection_end: 4 } }));
+
+    const [presence] = await bob.next();
+    expect(presence).toEqual({
+      type: 'presence',
+      client_id: aliceInit.client_id,
+      name: 'Alice',
+      cursor: { position: 2, selection_end: 4 },
+    });
+
+    alice.close();
+    bob.close();
+  });
+
+  it('should report invalid messages and out of date revisions', async () => {
+    const ws = await connect(`session_id=${SESSION_ID}`);
+    await ws.next();
+
+    ws.send('not json');
+    ws.send(JSON.stringify({ type: 'cursor', cursor: { position: 'x' } }));
+    ws.send(JSON.stringify({ type: 'select' }));
+    const errors = await ws.next(3);
+    expect(errors.map(error => error.error)).toEqual([
+      'Invalid JSON message',
+      expect.stringContaining('cursor must be'),
+      'type must be op or cursor',
+    ]);
+
+    ws.send(JSON.stringify({ type: 'op', revision: 1, op: [5, '!'] }));
+    const [stale] = await ws.next();
+    expect(stale).toMatchObject({ type: 'error', resync: true });
+    ws.close();
+  });
+
+  it('should refuse unknown sessions and invalid ids', async () => {
+    Session.findById.mockResolvedValue(null);
+    const unknown = await connect(`session_id=${SESSION_ID}`);
+    const [notFound] = await unknown.next();
+    expect(notFound.error).toContain('Session not found');
+    expect(await unknown.closed).toBe(1008);
+
+    const invalid = await connect('session_id=abc');
+    const [error] = await invalid.next();
+    expect(error.error).toBe('session_id must be a valid id');
+    expect(await invalid.closed).toBe(1008);
+    expect(CollabService.subscribe).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../../src/services/StreamService.js', () => {
+  const mockStreamService = {
+    handler: null,
+    onLifecycleEvent: async (handler) => {
+      mockStreamService.handler = handler;
+      return async () => {};
+    },
+  };
+  return { __esModule: true, default: mockStreamService };
+});
+
+jest.mock('../../src/services/SafetyService.js', () => ({
+  __esModule: true,
+  default: {
+    getExecutionEvents: async (id) => (id === '11111111-1111-4111-8111-111111111111'
+      ? [{ execution_id: id, stage: 'QUEUED' }]
+      : []),
+  },
+}));
+
+// Dependencies of the terminal and collab endpoints, mounted by the same sockets() call
+jest.mock('../../src/models/Execution.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../src/services/ExecutionService.js', () => ({
+  __esModule: true,
+  default: { TERMINAL_STATUSES: [] },
+}));
+jest.mock('../../src/models/Session.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../src/services/CollabService.js', () => ({ __esModule: true, default: {} }));
+
+import http from 'http';
+import WebSocket from 'ws';
+import StreamService from '../../src/services/StreamService.js';
+import sockets from '../../src/sockets/index.js';
+
+const EXECUTION_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_EXECUTION_ID = '22222222-2222-4222-8222-222222222222';
+const SESSION_ID = '33333333-3333-4333-8333-333333333333';
+
+describe('execution WebSocket', () => {
+  let server;
+  let endpoints;
+  let url;
+
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    const messages = [];
+    const waiters = [];
+    ws.on('message', (raw) => {
+      messages.push(JSON.parse(raw.toString()));
+      waiters.splice(0).forEach(wake => wake());
+    });
+    ws.next = async (count = 1) => {
+      while (messages.length < count) {
+        await new Promise(wake => waiters.push(wake));
+      }
+      return messages.splice(0, count);
+    };
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+
+  beforeAll(async () => {
+    server = http.createServer();
+    endpoints = sockets(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `ws://localhost:${server.address().port}/ws/executions`;
+  });
+
+  afterAll(async () => {
+    Object.values(endpoints).forEach(wss => wss.close());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should push events for subscribed executions with a snapshot of earlier ones', async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ action: 'subscribe', execution_ids: [EXECUTION_ID] }));
+
+    const [subscribed, snapshot] = await ws.next(2);
+    expect(subscribed).toEqual({ type: 'subscribed', execution_ids: [EXECUTION_ID], session_ids: [] });
+    expect(snapshot.type).toBe('snapshot');
+    expect(snapshot.events[0].stage).toBe('QUEUED');
+
+    StreamService.handler({ execution_id: OTHER_EXECUTION_ID, stage: 'RUNNING' });
+    StreamService.handler({ execution_id: EXECUTION_ID, stage: 'RUNNING' });
+
+    const [event] = await ws.next();
+    expect(event).toEqual({ type: 'event', execution_id: EXECUTION_ID, stage: 'RUNNING' });
+    ws.close();
+  });
+
+  it('should push every execution of a subscribed session', async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ action: 'subscribe', session_ids: [SESSION_ID] }));
+    await ws.next();
+
+    StreamService.handler({ execution_id: OTHER_EXECUTION_ID, session_id: SESSION_ID, stage: 'COMPLETED' });
+
+    const [event] = await ws.next();
+    expect(event.execution_id).toBe(OTHER_EXECUTION_ID);
+    expect(event.stage).toBe('COMPLETED');
+    ws.close();
+  });
+
+  it('should stop pushing after unsubscribe', async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ action: 'subscribe', execution_ids: OTHER_EXECUTION_ID }));
+    await ws.next();
+    ws.send(JSON.stringify({ action: 'unsubscribe', execution_ids: [OTHER_EXECUTION_ID] }));
+    await ws.next();
+
+    StreamService.handler({ execution_id: OTHER_EXECUTION_ID, stage: 'RUNNING' });
+    ws.send(JSON.stringify({ action: 'ping' }));
+
+    const [message] = await ws.next();
+    expect(message.type).toBe('error');
+    ws.close();
+  });
+
+  it('should reject invalid ids', async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ action: 'subscribe', execution_ids: ['not-a-uuid'] }));
+
+    const [message] = await ws.next();
+    expect(message).toEqual({ type: 'error', error: 'Invalid id: not-a-uuid' });
+    ws.close();
+  });
+
+  it('should refuse upgrades on unknown paths', async () => {
+    const ws = new WebSocket(url.replace('/ws/executions', '/ws/unknown'));
+    await expect(new Promise((resolve, reject) => {
+      ws.on('open', resolve);
+      ws.on('error', reject);
+    })).rejects.toThrow('404');
+  });
+});
@@ -0,0 +1,31 @@
+import request from 'supertest';
+import express from 'express';
+import requireAdmin from '../../src/middlewares/requireAdmin.js';
+
+describe('requireAdmin', () => {
+  const app = express();
+  app.post('/admin', requireAdmin, (req, res) => res.json({ ok: true }));
+
+  afterEach(() => {
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  it('should disable admin endpoints without a configured token', async () => {
+    const response = await request(app).post('/admin').set('Authorization', 'Bearer anything');
+    expect(response.status).toBe(403);
+  });
+
+  it('should reject missing or wrong tokens', async () => {
+    process.env.ADMIN_TOKEN = 'secret-token';
+
+    expect((await request(app).post('/admin')).status).toBe(401);
+    expect((await request(app).post('/admin').set('Authorization', 'Bearer wrong')).status).toBe(401);
+  });
+
+  it('should allow the configured token', async () => {
+    process.env.ADMIN_TOKEN = 'secret-token';
+
+    const response = await request(app).post('/admin').set('Authorization', 'Bearer secret-token');
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,85 @@
+jest.mock('../../src/services/SessionService.js', () => ({
+  __esModule: true,
+  default: { updateSessionCode: jest.fn(), getSession: jest.fn() },
+}));
+
+jest.mock('../../src/services/ExecutionService.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../src/services/BatchService.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../src/services/RevisionService.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../src/services/SessionFileService.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../src/services/ShareService.js', () => ({ __esModule: true, default: {} }));
+
+import request from 'supertest';
+import express from 'express';
+import SessionService from '../../src/services/SessionService.js';
+import * as sessionController from '../../src/controllers/sessionController.js';
+
+const sessionId = '7b0c3a64-7d1e-4b8e-9c39-0c5e6f1a2b3c';
+
+describe('sessionController optimistic concurrency', () => {
+  const app = express();
+  app.use(express.json());
+  app.get('/code-sessions/:session_id', sessionController.getSession);
+  app.patch('/code-sessions/:session_id', sessionController.updateSession);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    SessionService.getSession.mockResolvedValue({ session_id: sessionId, lock_version: 3 });
+    SessionService.updateSessionCode.mockResolvedValue({ session_id: sessionId, status: 'ACTIVE', lock_version: 4 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return the lock version as the ETag', async () => {
+    const response = await request(app).get(`/code-sessions/${sessionId}`);
+    expect(response.headers.etag).toBe('"3"');
+  });
+
+  it('should pass If-Match to the save and return the new ETag', async () => {
+    const response = await request(app)
+      .patch(`/code-sessions/${sessionId}`)
+      .set('If-Match', '"3"')
+      .send({ source_code: 'print(1)' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe('"4"');
+    expect(SessionService.updateSessionCode).toHaveBeenCalledWith(sessionId, 'print(1)', 3);
+  });
+
+  it('should save unconditionally without If-Match or with *', async () => {
+    await request(app).patch(`/code-sessions/${sessionId}`).send({ source_code: 'print(1)' });
+    await request(app).patch(`/code-sessions/${sessionId}`).set('If-Match', '*').send({ source_code: 'print(1)' });
+
+    expect(SessionService.updateSessionCode.mock.calls.map(call => call[2])).toEqual([null, null]);
+  });
+
+  it('should answer a stale save with 409 and the current version', async () => {
+    const error = new Error('Session was modified by another client; reload it and retry');
+    error.status = 409;
+    error.currentVersion = 5;
+    SessionService.updateSessionCode.mockRejectedValue(error);
+
+    const response = await request(app)
+      .patch(`/code-sessions/${sessionId}`)
+      .set('If-Match', '"3"')
+      .send({ source_code: 'print(1)' });
+
+    expect(response.status).toBe(409);
+    expect(response.headers.etag).toBe('"5"');
+    expect(response.body).toEqual({ error: error.message, current_lock_version: 5 });
+  });
+
+  it('should reject malformed If-Match headers', async () => {
+    const response = await request(app)
+      .patch(`/code-sessions/${sessionId}`)
+      .set('If-Match', 'W/"3"')
+      .send({ source_code: 'print(1)' });
+
+    expect(response.status).toBe(400);
+    expect(SessionService.updateSessionCode).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+jest.mock('../../src/services/StreamService.js', () => {
+  const mockStreamService = {
+    events: [],
+    handler: null,
+    follow: jest.fn(async (executionId, handler, { afterSeq = 0 } = {}) => {
+      mockStreamService.events.filter(event => event.seq > afterSeq).forEach(handler);
+      mockStreamService.handler = handler;
+      return async () => {};
+    }),
+    append: jest.fn(async (executionId, event) => event),
+    onLifecycleEvent: async () => async () => {},
+  };
+  return { __esModule: true, default: mockStreamService };
+});
+
+jest.mock('../../src/models/Execution.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() },
+}));
+
+jest.mock('../../src/services/ExecutionService.js', () => ({
+  __esModule: true,
+  default: { TERMINAL_STATUSES: ['COMPLETED', 'RUNTIME_ERROR', 'TIMEOUT'] },
+}));
+
+jest.mock('../../src/services/SafetyService.js', () => ({
+  __esModule: true,
+  default: { getExecutionEvents: async () => [] },
+}));
+
+// Dependencies of the collab endpoint, mounted by the same sockets() call
+jest.mock('../../src/models/Session.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../src/services/CollabService.js', () => ({ __esModule: true, default: {} }));
+
+import http from 'http';
+import WebSocket from 'ws';
+import StreamService from '../../src/services/StreamService.js';
+import Execution from '../../src/models/Execution.js';
+import sockets from '../../src/sockets/index.js';
+
+const EXECUTION_ID = '11111111-1111-4111-8111-111111111111';
+
+describe('terminal WebSocket', () => {
+  let server;
+  let endpoints;
+  let baseUrl;
+
+  const connect = (query) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl}?${query}`);
+    const messages = [];
+    const waiters = [];
+    ws.on('message', (raw) => {
+      messages.push(JSON.parse(raw.toString()));
+      waiters.splice(0).forEach(wake => wake());
+    });
+    ws.next = async (count = 1) => {
+      while (messages.length < count) {
+        await new Promise(wake => waiters.push(wake));
+      }
+      return messages.splice(0, count);
+    };
+    ws.closed = new Promise(resolveClose => ws.on('close', (code) => resolveClose(code)));
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+
+  beforeAll(async () => {
+    server = http.createServer();
+    endpoints = sockets(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `ws://localhost:${server.address().port}/ws/terminal`;
+  });
+
+  afterAll(async () => {
+    Object.values(endpoints).forEach(wss => wss.close());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    StreamService.events = [];
+    Execution.findById.mockResolvedValue({ id: EXECUTION_ID, interactive: true, status: 'RUNNING' });
+  });
+
+  it('should replay the stream and relay input to the execution', async () => {
+    StreamService.events = [
+      { seq: 1, type: 'status', stage: 'RUNNING' },
+      { seq: 2, type: 'stdout', data: 'Name? ' },
+    ];
+
+    const ws = await connect(`execution_id=${EXECUTION_ID}`);
+    const replayed = await ws.next(2);
+    expect(replayed.map(event => event.seq)).toEqual([1, 2]);
+
+    ws.send(JSON.stringify({ type: 'input', data: 'Ada\n' }));
+    ws.send(JSON.stringify({ type: 'eof' }));
+
+    while (StreamService.append.mock.calls.length < 2) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(StreamService.append).toHaveBeenNthCalledWith(1, EXECUTION_ID, { type: 'stdin', data: 'Ada\n' });
+    expect(StreamService.append).toHaveBeenNthCalledWith(2, EXECUTION_ID, { type: 'stdin_close' });
+
+    // Input comes back to every viewer through the stream
+    StreamService.handler({ seq: 3, type: 'stdin', data: 'Ada\n' });
+    const [echo] = await ws.next();
+    expect(echo).toEqual({ seq: 3, type: 'stdin', data: 'Ada\n' });
+    ws.close();
+  });
+
+  it('should resume after last_seq', async () => {
+    StreamService.events = [
+      { seq: 1, type: 'status', stage: 'RUNNING' },
+      { seq: 2, type: 'stdout', data: 'a' },
+    ];
+
+    const ws = await connect(`execution_id=${EXECUTION_ID}&last_seq=1`);
+    const [event] = await ws.next();
+    expect(event.seq).toBe(2);
+    ws.close();
+  });
+
+  it('should close after the terminal status', async () => {
+    const ws = await connect(`execution_id=${EXECUTION_ID}`);
+    await new Promise(resolve => setImmediate(resolve));
+
+    StreamService.handler({ seq: 1, type: 'status', stage: 'COMPLETED' });
+    const [status] = await ws.next();
+
+    expect(status.stage).toBe('COMPLETED');
+    expect(await ws.closed).toBe(1000);
+  });
+
+  it('should reject invalid input messages', async () => {
+    const ws = await connect(`execution_id=${EXECUTION_ID}`);
+
+    ws.send(JSON.stringify({ type: 'input', data: '' }));
+    ws.send(JSON.stringify({ type: 'resize' }));
+
+    const errors = await ws.next(2);
+    expect(errors[0].error).toContain('non-empty string');
+    expect(errors[1].error).toBe('type must be input or eof');
+    expect(StreamService.append).not.toHaveBeenCalled();
+    ws.close();
+  });
+
+  it('should refuse executions that are not interactive', async () => {
+    Execution.findById.mockResolvedValue({ id: EXECUTION_ID, interactive: false, status: 'RUNNING' });
+
+    const ws = await connect(`execution_id=${EXECUTION_ID}`);
+    const [error] = await ws.next();
+
+    expect(error.error).toContain('not interactive');
+    expect(await ws.closed).toBe(1008);
+  });
+
+  it('should refuse invalid execution ids', async () => {
+    const ws = await connect('execution_id=abc');
+    const [error] = await ws.next();
+
+    expect(error.type).toBe('error');
+    expect(await ws.closed).toBe(1008);
+    expect(Execution.findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,13 @@
+import BatchService from '../services/BatchService.js';
+
+export async function getBatch(req, res, next) {
+  try {
+    const { batch_id } = req.params;
+    const batch = await BatchService.getBatch(batch_id);
+
+    return res.json(batch);
+  } catch (error) {
+    console.error('[Controller] Get batch error:', error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
@@ -1,5 +1,6 @@
 import ExecutionService from '../services/ExecutionService.js';
 import SafetyService from '../services/SafetyService.js';
+import StreamService from '../services/StreamService.js';
 
 export async function getExecution(req, res, next) {
   try {
@@ -13,9 +14,33 @@ export async function getExecution(req, res, next) {
   }
 }
 
+export async function getExecutionSource(req, res, next) {
+  try {
+    const { execution_id } = req.params;
+    const source = await ExecutionService.getExecutionSource(execution_id);
+
+    return res.json(source);
+  } catch (error) {
+    console.error('[Controller] Get execution source error:', error);
+    return res.status(error.status || 404).json({ error: error.message });
+  }
+}
+
+export async function cancelExecution(req, res, next) {
+  try {
+    const { execution_id } = req.params;
+    const result = await ExecutionService.cancelExecution(execution_id);
+
+    return res.status(result.cancel_requested ? 202 : 200).json(result);
+  } catch (error) {
+    console.error('[Controller] Cancel execution error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
 export async function submitExecution(req, res, next) {
   try {
-    const { session_id, time_limit, memory_limit } = req.body;
+    const { session_id, time_limit, memory_limit, stdin, args, env, test_cases, interactive } = req.body;
 
     if (!session_id) {
       return res.status(400).json({ error: 'session_id is required' });
@@ -24,7 +49,8 @@ export async function submitExecution(req, res, next) {
     const result = await ExecutionService.submitExecution(
       session_id,
       time_limit,
-      memory_limit
+      memory_limit,
+      { stdin, args, env, test_cases, interactive }
     );
 
     return res.status(202).json(result);
@@ -42,3 +68,96 @@ export async function submitExecution(req, res, next) {
     return res.status(400).json({ error: error.message });
   }
 }
+
+export async function rerunExecution(req, res, next) {
+  try {
+    const { execution_id } = req.params;
+    const result = await ExecutionService.rerunExecution(execution_id);
+
+    return res.status(202).json(result);
+  } catch (error) {
+    console.error('[Controller] Rerun execution error:', error);
+
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: error.message,
+        retryAfter: error.retryAfter,
+      });
+    }
+
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function streamExecution(req, res, next) {
+  const { execution_id } = req.params;
+  let execution;
+
+  try {
+    execution = await ExecutionService.getExecution(execution_id);
+  } catch (error) {
+    console.error('[Controller] Stream execution error:', error);
+    return res.status(404).json({ error: error.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  let closed = false;
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), StreamService.HEARTBEAT_MS);
+
+  const send = (event, data, id) => {
+    if (closed) return;
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = async () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    res.end();
+    await unsubscribe?.();
+  };
+
+  const finish = async () => {
+    if (closed) return;
+    try {
+      send('result', await ExecutionService.getExecution(execution_id));
+    } catch (error) {
+      send('error', { error: error.message });
+    }
+    await close();
+  };
+
+  req.on('close', close);
+
+  try {
+    unsubscribe = await StreamService.follow(execution_id, ({ seq, type, ...data }) => {
+      send(type, data, seq);
+      if (type === 'status' && ExecutionService.TERMINAL_STATUSES.includes(data.stage)) {
+        finish();
+      }
+    }, { afterSeq: parseInt(req.get('Last-Event-ID')) || 0 });
+
+    if (closed) {
+      await unsubscribe();
+      return;
+    }
+
+    // Finished before the stream was opened (or its events expired)
+    execution = await ExecutionService.getExecution(execution_id);
+    if (ExecutionService.TERMINAL_STATUSES.includes(execution.status)) {
+      await finish();
+    }
+  } catch (error) {
+    console.error('[Controller] Stream execution error:', error);
+    send('error', { error: error.message });
+    await close();
+  }
+}
@@ -1,8 +1,17 @@
 import Language from '../models/Language.js';
+import RuntimeService from '../services/RuntimeService.js';
+import LanguageService from '../services/LanguageService.js';
 
 export async function listLanguages(req, res, next) {
   try {
-    const languages = await Language.findAll();
+    const allLanguages = await Language.findAll();
+
+    // Only advertise languages whose toolchain a live worker has detected
+    const availableRuntimes = await RuntimeService.getAvailableRuntimes();
+    const languages = availableRuntimes
+      ? allLanguages.filter(lang => availableRuntimes.has(lang.runtime))
+      : allLanguages;
+
     return res.json({
       total: languages.length,
       languages: languages.map(lang => ({
@@ -12,6 +21,8 @@ export async function listLanguages(req, res, next) {
         version: lang.version,
         default_time_limit_ms: lang.default_time_limit_ms,
         default_memory_mb: lang.default_memory_mb,
+        max_time_limit_ms: lang.max_time_limit_ms,
+        max_memory_mb: lang.max_memory_mb,
       })),
     });
   } catch (error) {
@@ -29,18 +40,41 @@ export async function getLanguage(req, res, next) {
       return res.status(404).json({ error: 'Language not found' });
     }
 
-    return res.json({
-      id: language.id,
-      name: language.name,
-      runtime: language.runtime,
-      version: language.version,
-      template_code: language.template_code,
-      file_name: language.file_name,
-      default_time_limit_ms: language.default_time_limit_ms,
-      default_memory_mb: language.default_memory_mb,
-    });
+    return res.json(LanguageService.formatLanguage(language));
   } catch (error) {
     console.error('[Controller] Get language error:', error);
     return res.status(500).json({ error: error.message });
   }
 }
+
+export async function createLanguage(req, res, next) {
+  try {
+    const language = await LanguageService.createLanguage(req.body || {});
+    return res.status(201).json(language);
+  } catch (error) {
+    console.error('[Controller] Create language error:', error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+export async function updateLanguage(req, res, next) {
+  try {
+    const { language_id } = req.params;
+    const language = await LanguageService.updateLanguage(language_id, req.body || {});
+    return res.json(language);
+  } catch (error) {
+    console.error('[Controller] Update language error:', error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+export async function deleteLanguage(req, res, next) {
+  try {
+    const { language_id } = req.params;
+    await LanguageService.deleteLanguage(language_id);
+    return res.status(204).end();
+  } catch (error) {
+    console.error('[Controller] Delete language error:', error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
@@ -1,7 +1,27 @@
 import SessionService from '../services/SessionService.js';
+import SessionFileService from '../services/SessionFileService.js';
 import ExecutionService from '../services/ExecutionService.js';
+import BatchService from '../services/BatchService.js';
+import RevisionService from '../services/RevisionService.js';
+import ShareService from '../services/ShareService.js';
 import CodeExecutionService from '../services/CodeExecutionService.js';
 
+// Sessions are versioned by lock_version, served as a strong ETag: "7"
+const formatETag = (lockVersion) => `"${lockVersion}"`;
+
+/**
+ * Version required by an If-Match header: null when absent or `*`,
+ * NaN when it is not an ETag handed out by this API
+ */
+function parseIfMatch(header) {
+  if (header === undefined || header.trim() === '*') {
+    return null;
+  }
+
+  const match = /^"(\d+)"$/.exec(header.trim());
+  return match ? parseInt(match[1]) : NaN;
+}
+
 export async function createSession(req, res, next) {
   try {
     const { language_id } = req.body;
@@ -11,6 +31,7 @@ export async function createSession(req, res, next) {
     }
 
     const session = await SessionService.createSession(language_id);
+    res.set('ETag', formatETag(session.lock_version));
     return res.status(201).json(session);
   } catch (error) {
     console.error('[Controller] Create session error:', error);
@@ -18,6 +39,24 @@ export async function createSession(req, res, next) {
   }
 }
 
+export async function forkSession(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const { include_executions = false } = req.body || {};
+
+    if (typeof include_executions !== 'boolean') {
+      return res.status(400).json({ error: 'include_executions must be a boolean' });
+    }
+
+    const session = await SessionService.forkSession(session_id, { includeExecutions: include_executions });
+    res.set('ETag', formatETag(session.lock_version));
+    return res.status(201).json(session);
+  } catch (error) {
+    console.error('[Controller] Fork session error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
 export async function updateSession(req, res, next) {
   try {
     const { session_id } = req.params;
@@ -32,10 +71,28 @@ export async function updateSession(req, res, next) {
       return res.status(400).json({ error: validation.error });
     }
 
-    const session = await SessionService.updateSessionCode(session_id, source_code);
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ error: 'If-Match must be an ETag returned by this API, e.g. "7"' });
+    }
+
+    const session = await SessionService.updateSessionCode(session_id, source_code, expectedVersion);
+    res.set('ETag', formatETag(session.lock_version));
     return res.json(session);
   } catch (error) {
     console.error('[Controller] Update session error:', error);
+
+    // Stale If-Match: tell the client which version the server has
+    if (error.status === 409) {
+      if (error.currentVersion !== null) {
+        res.set('ETag', formatETag(error.currentVersion));
+      }
+      return res.status(409).json({
+        error: error.message,
+        current_lock_version: error.currentVersion,
+      });
+    }
+
     return res.status(400).json({ error: error.message });
   }
 }
@@ -44,6 +101,7 @@ export async function getSession(req, res, next) {
   try {
     const { session_id } = req.params;
     const session = await SessionService.getSession(session_id);
+    res.set('ETag', formatETag(session.lock_version));
     return res.json(session);
   } catch (error) {
     console.error('[Controller] Get session error:', error);
@@ -65,14 +123,17 @@ export async function closeSession(req, res, next) {
 export async function runCode(req, res, next) {
   try {
     const { session_id } = req.params;
+    const { time_limit, memory_limit, stdin, args, env, test_cases, interactive } = req.body || {};
 
-    // Fetch session with language to get per-language default limits
-    const session = await SessionService.getSessionWithLimits(session_id);
+    // Only active sessions can run
+    await SessionService.getSessionWithLimits(session_id);
 
+    // Omitted limits fall back to the language defaults
     const execution = await ExecutionService.submitExecution(
       session_id,
-      session.default_time_limit_ms || parseInt(process.env.DEFAULT_TIME_LIMIT_MS || 5000),
-      session.default_memory_mb || parseInt(process.env.DEFAULT_MEMORY_MB || 256)
+      time_limit,
+      memory_limit,
+      { stdin, args, env, test_cases, interactive }
     );
 
     return res.status(202).json(execution);
@@ -88,6 +149,26 @@ export async function runCode(req, res, next) {
   }
 }
 
+export async function runBatch(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const { inputs, time_limit, memory_limit, args, env } = req.body || {};
+
+    const batch = await BatchService.submitBatch(session_id, inputs, time_limit, memory_limit, { args, env });
+
+    return res.status(202).json(batch);
+  } catch (error) {
+    console.error('[Controller] Run batch error:', error);
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
 export async function getSessionExecutions(req, res, next) {
   try {
     const { session_id } = req.params;
@@ -102,4 +183,160 @@ export async function getSessionExecutions(req, res, next) {
     console.error('[Controller] Get executions error:', error);
     return res.status(400).json({ error: error.message });
   }
-}
\ No newline at end of file
+}
+export async function listRevisions(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const { limit } = req.query;
+
+    const revisions = await RevisionService.listRevisions(session_id, limit ? parseInt(limit) : undefined);
+    return res.json(revisions);
+  } catch (error) {
+    console.error('[Controller] List revisions error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function diffRevisions(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const { from, to } = req.query;
+
+    const diff = await RevisionService.diffRevisions(session_id, from, to);
+    return res.json(diff);
+  } catch (error) {
+    console.error('[Controller] Diff revisions error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function getRevision(req, res, next) {
+  try {
+    const { session_id, revision } = req.params;
+
+    const result = await RevisionService.getRevision(session_id, revision);
+    return res.json(result);
+  } catch (error) {
+    console.error('[Controller] Get revision error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function restoreRevision(req, res, next) {
+  try {
+    const { session_id, revision } = req.params;
+
+    const result = await RevisionService.restoreRevision(session_id, revision);
+    return res.json(result);
+  } catch (error) {
+    console.error('[Controller] Restore revision error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+// Express 5 wildcard params arrive as an array of path segments
+const filePathParam = (req) => [].concat(req.params.path).join('/');
+
+export async function listFiles(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const project = await SessionFileService.listFiles(session_id);
+    return res.json(project);
+  } catch (error) {
+    console.error('[Controller] List files error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function createFile(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const { path, content = '' } = req.body || {};
+
+    if (!path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+
+    const project = await SessionFileService.createFile(session_id, path, content);
+    return res.status(201).json(project);
+  } catch (error) {
+    console.error('[Controller] Create file error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function updateFile(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const { content, new_path } = req.body || {};
+
+    const project = await SessionFileService.updateFile(session_id, filePathParam(req), { content, new_path });
+    return res.json(project);
+  } catch (error) {
+    console.error('[Controller] Update file error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function deleteFile(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const project = await SessionFileService.deleteFile(session_id, filePathParam(req));
+    return res.json(project);
+  } catch (error) {
+    console.error('[Controller] Delete file error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function setEntryPoint(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const { path } = req.body || {};
+
+    if (!path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+
+    const project = await SessionFileService.setEntryPoint(session_id, path);
+    return res.json(project);
+  } catch (error) {
+    console.error('[Controller] Set entry point error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function createShare(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const { expires_in } = req.body || {};
+
+    const share = await ShareService.createShare(session_id, expires_in);
+    return res.status(201).json(share);
+  } catch (error) {
+    console.error('[Controller] Create share error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function listShares(req, res, next) {
+  try {
+    const { session_id } = req.params;
+    const shares = await ShareService.listShares(session_id);
+    return res.json(shares);
+  } catch (error) {
+    console.error('[Controller] List shares error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
+
+export async function revokeShare(req, res, next) {
+  try {
+    const { session_id, share_id } = req.params;
+    const share = await ShareService.revokeShare(session_id, share_id);
+    return res.json(share);
+  } catch (error) {
+    console.error('[Controller] Revoke share error:', error);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+}
@@ -0,0 +1,38 @@
+import ShareService from '../services/ShareService.js';
+
+export async function getSharedSession(req, res, next) {
+  try {
+    const { token } = req.params;
+    const session = await ShareService.getSharedSession(token);
+
+    return res.json(session);
+  } catch (error) {
+    console.error('[Controller] Get shared session error:', error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+export async function getSharedExecutions(req, res, next) {
+  try {
+    const { token } = req.params;
+    const { limit } = req.query;
+
+    const executions = await ShareService.getSharedExecutions(token, limit ? Number(limit) : undefined);
+    return res.json(executions);
+  } catch (error) {
+    console.error('[Controller] Get shared executions error:', error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+export async function getSharedSource(req, res, next) {
+  try {
+    const { token, source_hash } = req.params;
+    const source = await ShareService.getSharedSource(token, source_hash);
+
+    return res.json(source);
+  } catch (error) {
+    console.error('[Controller] Get shared source error:', error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
@@ -1,6 +1,7 @@
 import 'dotenv/config';
 import express from "express";
 import route from "./routes/index.js";
+import sockets from "./sockets/index.js";
 import { query } from './libs/db.js';
 import redis from './libs/redis.js';
 
@@ -29,9 +30,10 @@ async function initialize() {
     const pong = await redis.ping();
     console.log('[Server] Redis connection successful:', pong);
 
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`[Server] Listening on port ${PORT}`);
     });
+    sockets(server);
   } catch (error) {
     console.error('[Server] Initialization failed:', error);
     process.exit(1);
@@ -50,3 +50,22 @@ export const query = async (text, params) => {
         throw error;
     }
 };
+
+/**
+ * Run callback(client) inside a transaction on a dedicated connection
+ * Rolls back and rethrows if the callback throws
+ */
+export const transaction = async (callback) => {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
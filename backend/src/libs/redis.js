@@ -3,19 +3,31 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const redis = new Redis({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-  maxRetriesPerRequest: null,
-  enableReadyCheck: false,
-  enableOfflineQueue: false,
-  retryStrategy: (times) => {
-    const delay = Math.min(times * 50, 2000);
-    return delay;
-  },
-});
+/**
+ * Create a Redis connection with the shared settings
+ * Pub/sub subscribers need their own connection, since a subscribed
+ * connection cannot issue regular commands
+ */
+export function createRedisConnection(overrides = {}) {
+  const connection = new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    maxRetriesPerRequest: null,
+    enableReadyCheck: false,
+    enableOfflineQueue: false,
+    retryStrategy: (times) => {
+      const delay = Math.min(times * 50, 2000);
+      return delay;
+    },
+    ...overrides,
+  });
 
-redis.on('error', (err) => console.error('[Redis] Error:', err));
-redis.on('connect', () => console.log('[Redis] Connected'));
+  connection.on('error', (err) => console.error('[Redis] Error:', err));
+  connection.on('connect', () => console.log('[Redis] Connected'));
+
+  return connection;
+}
+
+const redis = createRedisConnection();
 
 export default redis;
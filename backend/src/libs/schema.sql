@@ -9,8 +9,14 @@ CREATE TYPE execution_status_enum AS ENUM (
   'QUEUED',
   'RUNNING',
   'COMPLETED',
-  'FAILED',
-  'TIMEOUT'
+  'FAILED',                -- legacy catch-all, no longer assigned
+  'TIMEOUT',
+  'MEMORY_LIMIT_EXCEEDED',
+  'COMPILATION_ERROR',
+  'CANCELLED',
+  'RUNTIME_ERROR',         -- non-zero exit code or killed by a signal
+  'OUTPUT_LIMIT_EXCEEDED',
+  'INTERNAL_ERROR'         -- the worker failed, not the program
 );
 
 CREATE TABLE languages (
@@ -19,14 +25,25 @@ CREATE TABLE languages (
   name VARCHAR(50) NOT NULL UNIQUE,
   template_code TEXT NOT NULL,
 
-  runtime VARCHAR(50) NOT NULL,        -- e.g. python, node, gcc
+  runtime VARCHAR(50) NOT NULL,        -- runtime adapter key, e.g. python, node, gcc
   version VARCHAR(50) NOT NULL,         -- e.g. 3.11, 18.x
 
   file_name VARCHAR(100) NOT NULL,      -- e.g. main.py, index.js
 
+  -- Command templates (JSON arrays of argv elements); NULL falls back to the
+  -- runtime adapter built into the worker. Placeholders: {entry}, {entry_name},
+  -- {entry_class}, {sources}, {artifact}, {memory_mb}
+  compile_command JSONB,
+  run_command JSONB,
+  artifact VARCHAR(255),                -- compile output, e.g. main, {entry_name}.js
+
   default_time_limit_ms INTEGER NOT NULL CHECK (default_time_limit_ms > 0),
   default_memory_mb INTEGER NOT NULL CHECK (default_memory_mb > 0),
 
+  -- Highest limits a run may request; NULL means the global maximum
+  max_time_limit_ms INTEGER CHECK (max_time_limit_ms >= default_time_limit_ms),
+  max_memory_mb INTEGER CHECK (max_memory_mb >= default_memory_mb),
+
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -37,7 +54,14 @@ CREATE TABLE sessions (
   language_id INTEGER NOT NULL,
   status session_status_enum NOT NULL DEFAULT 'ACTIVE',
 
-  source_code TEXT NOT NULL,
+  source_code TEXT NOT NULL,             -- content of the entry point file
+  entry_point VARCHAR(255),              -- path of the entry file, NULL = language file_name
+
+  -- Bumped on every update; served as the ETag for optimistic concurrency
+  lock_version INTEGER NOT NULL DEFAULT 1,
+
+  -- Session this one was copied from (POST /code-sessions/:id/fork)
+  forked_from UUID,
 
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
@@ -45,7 +69,106 @@ CREATE TABLE sessions (
   CONSTRAINT fk_sessions_language
     FOREIGN KEY (language_id)
     REFERENCES languages(id)
-    ON DELETE RESTRICT
+    ON DELETE RESTRICT,
+
+  CONSTRAINT fk_sessions_forked_from
+    FOREIGN KEY (forked_from)
+    REFERENCES sessions(id)
+    ON DELETE SET NULL
+);
+
+-- Additional files of multi-file sessions (the entry file lives in sessions.source_code)
+CREATE TABLE session_files (
+  id SERIAL PRIMARY KEY,
+
+  session_id UUID NOT NULL,
+  path VARCHAR(255) NOT NULL,           -- relative path, e.g. utils/helpers.py
+  content TEXT NOT NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_session_files_session
+    FOREIGN KEY (session_id)
+    REFERENCES sessions(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT uq_session_files_path
+    UNIQUE (session_id, path)
+);
+
+-- Code as submitted for a run, deduplicated by a SHA-256 of the content
+CREATE TABLE source_snapshots (
+  hash CHAR(64) PRIMARY KEY,
+
+  entry_point VARCHAR(255) NOT NULL,
+  source_code TEXT NOT NULL,            -- content of the entry point file
+  files JSONB NOT NULL DEFAULT '[]',    -- [{ path, content }] besides the entry point
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Saved versions of a session's code, one per change (autosave, file edits, restore)
+CREATE TABLE session_revisions (
+  id BIGSERIAL PRIMARY KEY,
+
+  session_id UUID NOT NULL,
+  revision INTEGER NOT NULL CHECK (revision > 0),  -- 1, 2, ... per session
+
+  source_hash CHAR(64) NOT NULL,        -- whole project, see source_snapshots
+  size_bytes INTEGER NOT NULL CHECK (size_bytes >= 0),
+  restored_from INTEGER,                -- revision brought back by a restore
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_session_revisions_session
+    FOREIGN KEY (session_id)
+    REFERENCES sessions(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_session_revisions_source
+    FOREIGN KEY (source_hash)
+    REFERENCES source_snapshots(hash)
+    ON DELETE RESTRICT,
+
+  CONSTRAINT uq_session_revisions_revision
+    UNIQUE (session_id, revision)
+);
+
+-- Batch runs: one snapshot of a session's code run against many inputs
+CREATE TABLE batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  session_id UUID NOT NULL,
+
+  -- QUEUED until the items are dispatched (after the single compile), then
+  -- RUNNING until every item finished; COMPILATION_ERROR / INTERNAL_ERROR
+  -- end every item without running it
+  status execution_status_enum NOT NULL DEFAULT 'QUEUED',
+
+  -- Code snapshot taken at submission, so edits do not affect running items
+  source_code TEXT NOT NULL,
+  entry_point VARCHAR(255) NOT NULL,
+  files JSONB NOT NULL DEFAULT '[]',    -- [{ path, content }] besides the entry point
+
+  args JSONB,
+  env JSONB,
+  time_limit_ms INTEGER NOT NULL CHECK (time_limit_ms > 0),
+  memory_limit_mb INTEGER NOT NULL CHECK (memory_limit_mb > 0),
+  total_items INTEGER NOT NULL CHECK (total_items > 0),
+
+  compile_output TEXT,
+  compile_time_ms REAL CHECK (compile_time_ms >= 0),
+  compile_exit_code INTEGER,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+
+  CONSTRAINT fk_batches_session
+    FOREIGN KEY (session_id)
+    REFERENCES sessions(id)
+    ON DELETE CASCADE
 );
 
 CREATE TABLE executions (
@@ -53,8 +176,33 @@ CREATE TABLE executions (
 
   session_id UUID NOT NULL,
 
+  -- Items of a batch run (NULL for single runs)
+  batch_id UUID,
+  batch_index INTEGER CHECK (batch_index >= 0),
+
   status execution_status_enum NOT NULL DEFAULT 'QUEUED',
 
+  -- Code captured at submission (NULL for runs submitted before snapshots)
+  source_hash CHAR(64),
+
+  -- Execution this one repeats (POST /executions/:id/rerun)
+  rerun_of UUID,
+
+  stdin TEXT,
+
+  -- Interactive runs: stdin comes from a terminal WebSocket; the transcript
+  -- records input and output in order ([{ stream, data, at_ms }])
+  interactive BOOLEAN NOT NULL DEFAULT FALSE,
+  transcript JSONB,
+
+  -- Run options: command-line arguments (array) and extra environment (object)
+  args JSONB,
+  env JSONB,
+
+  -- Limits applied to the run (language defaults or per-run overrides)
+  time_limit_ms INTEGER CHECK (time_limit_ms > 0),
+  memory_limit_mb INTEGER CHECK (memory_limit_mb > 0),
+
   stdout TEXT,
   stderr TEXT,
 
@@ -67,16 +215,96 @@ CREATE TABLE executions (
 
   timeout BOOLEAN NOT NULL DEFAULT FALSE,
 
+  -- Resource usage of the run (sampled from /proc, NULL when unavailable)
+  cpu_user_ms REAL CHECK (cpu_user_ms >= 0),
+  cpu_system_ms REAL CHECK (cpu_system_ms >= 0),
+  wall_time_ms REAL CHECK (wall_time_ms >= 0),
+  peak_memory_kb INTEGER CHECK (peak_memory_kb >= 0),
+  signal VARCHAR(16),                   -- terminating signal, e.g. SIGKILL
+
+  -- Compile phase (compiled languages only); output kept even on success for warnings
+  compile_output TEXT,
+  compile_time_ms REAL CHECK (compile_time_ms >= 0),
+  compile_exit_code INTEGER,
+  compile_cached BOOLEAN NOT NULL DEFAULT FALSE, -- artifact reused from the worker's cache
+
+  -- Judging mode: submitted cases and per-case verdicts
+  test_cases JSONB,
+  test_results JSONB,
+  passed_cases INTEGER,
+  total_cases INTEGER,
+  score REAL CHECK (score >= 0 AND score <= 100),
+
   CONSTRAINT fk_executions_session
     FOREIGN KEY (session_id)
     REFERENCES sessions(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_executions_batch
+    FOREIGN KEY (batch_id)
+    REFERENCES batches(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_executions_source
+    FOREIGN KEY (source_hash)
+    REFERENCES source_snapshots(hash)
+    ON DELETE RESTRICT,
+
+  CONSTRAINT fk_executions_rerun_of
+    FOREIGN KEY (rerun_of)
+    REFERENCES executions(id)
+    ON DELETE SET NULL
+);
+
+-- Executions of another session listed with a fork (its history at fork time)
+CREATE TABLE session_execution_refs (
+  session_id UUID NOT NULL,
+  execution_id UUID NOT NULL,
+
+  PRIMARY KEY (session_id, execution_id),
+
+  CONSTRAINT fk_session_execution_refs_session
+    FOREIGN KEY (session_id)
+    REFERENCES sessions(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_session_execution_refs_execution
+    FOREIGN KEY (execution_id)
+    REFERENCES executions(id)
     ON DELETE CASCADE
 );
 
+-- Read-only share links; only a SHA-256 of the token is stored
+CREATE TABLE session_shares (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  session_id UUID NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,               -- NULL = never
+  revoked_at TIMESTAMPTZ,
+
+  CONSTRAINT fk_session_shares_session
+    FOREIGN KEY (session_id)
+    REFERENCES sessions(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_session_shares_session_id
+ON session_shares(session_id);
+
 -- Nhanh khi lấy execution theo session
 CREATE INDEX idx_executions_session_id
 ON executions(session_id);
 
+-- Items of a batch, in input order
+CREATE INDEX idx_executions_batch_id
+ON executions(batch_id, batch_index);
+
+CREATE INDEX idx_batches_session_id
+ON batches(session_id);
+
 -- Nhanh khi poll execution status
 CREATE INDEX idx_executions_status
 ON executions(status);
@@ -98,6 +326,26 @@ BEFORE UPDATE ON sessions
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
 
+CREATE OR REPLACE FUNCTION increment_lock_version_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.lock_version = OLD.lock_version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Any change to the session (code, files via touch, entry point, status)
+-- invalidates ETags handed out before it
+CREATE TRIGGER trg_sessions_lock_version
+BEFORE UPDATE ON sessions
+FOR EACH ROW
+EXECUTE FUNCTION increment_lock_version_column();
+
+CREATE TRIGGER trg_session_files_updated_at
+BEFORE UPDATE ON session_files
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER trg_languages_updated_at
 BEFORE UPDATE ON languages
 FOR EACH ROW
@@ -109,8 +357,13 @@ INSERT INTO languages (
   runtime,
   version,
   file_name,
+  compile_command,
+  run_command,
+  artifact,
   default_time_limit_ms,
-  default_memory_mb
+  default_memory_mb,
+  max_time_limit_ms,
+  max_memory_mb
 ) VALUES
 (
   'Python',
@@ -118,8 +371,13 @@ INSERT INTO languages (
   'python',
   '3.11',
   'main.py',
+  NULL,
+  '["python3", "{entry}"]',
+  NULL,
   5000,
-  256
+  256,
+  15000,
+  1024
 ),
 (
   'JavaScript',
@@ -127,17 +385,27 @@ INSERT INTO languages (
   'node',
   '18',
   'index.js',
+  NULL,
+  '["node", "--max-old-space-size={memory_mb}", "{entry}"]',
+  NULL,
   5000,
-  256
+  256,
+  15000,
+  1024
 ),
 (
   'TypeScript',
   'console.log("Hello, World!");',
-  'node',
-  '18',
+  'typescript',
+  '5',
   'index.ts',
+  '["tsc", "--outDir", ".", "--rootDir", ".", "{entry}"]',
+  '["node", "--max-old-space-size={memory_mb}", "{artifact}"]',
+  '{entry_name}.js',
   5000,
-  256
+  256,
+  15000,
+  1024
 ),
 (
   'C',
@@ -145,8 +413,13 @@ INSERT INTO languages (
   'gcc',
   '12',
   'main.c',
+  '["gcc", "-o", "{artifact}", "{sources}"]',
+  '["./{artifact}"]',
+  'main',
   3000,
-  128
+  128,
+  10000,
+  1024
 ),
 (
   'C++',
@@ -154,8 +427,13 @@ INSERT INTO languages (
   'g++',
   '12',
   'main.cpp',
+  '["g++", "-o", "{artifact}", "{sources}"]',
+  '["./{artifact}"]',
+  'main',
   3000,
-  128
+  128,
+  10000,
+  1024
 ),
 (
   'Java',
@@ -163,8 +441,13 @@ INSERT INTO languages (
   'java',
   '17',
   'Main.java',
+  '["javac", "{sources}"]',
+  '["java", "-Xmx{memory_mb}m", "-cp", ".", "{entry_class}"]',
+  NULL,
   5000,
-  256
+  256,
+  20000,
+  2048
 ),
 (
   'Go',
@@ -172,8 +455,13 @@ INSERT INTO languages (
   'go',
   '1.22',
   'main.go',
+  '["go", "build", "-o", "{artifact}", "{sources}"]',
+  '["./{artifact}"]',
+  'main',
   5000,
-  256
+  256,
+  15000,
+  1024
 ),
 (
   'PHP',
@@ -181,8 +469,13 @@ INSERT INTO languages (
   'php',
   '8.2',
   'index.php',
+  NULL,
+  '["php", "{entry}"]',
+  NULL,
   5000,
-  256
+  256,
+  15000,
+  1024
 ),
 (
   'Ruby',
@@ -190,6 +483,11 @@ INSERT INTO languages (
   'ruby',
   '3.3',
   'main.rb',
+  NULL,
+  '["ruby", "{entry}"]',
+  NULL,
   5000,
-  256
+  256,
+  15000,
+  1024
 );
@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+
+/**
+ * Guard for admin endpoints: requires `Authorization: Bearer <ADMIN_TOKEN>`
+ * Admin endpoints are disabled entirely while ADMIN_TOKEN is not configured.
+ */
+export default function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN is not set)' });
+  }
+
+  const header = req.get('Authorization') || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+
+  return next();
+}
@@ -0,0 +1,93 @@
+import { query } from '../libs/db.js';
+
+// Use the transaction client when one is given
+const runner = (client) => (client ? client.query.bind(client) : query);
+
+export class Batch {
+  static async findById(id) {
+    const res = await query('SELECT * FROM batches WHERE id = $1', [id]);
+    return res.rows[0];
+  }
+
+  static async create(data, client = null) {
+    const {
+      id,
+      session_id,
+      source_code,
+      entry_point,
+      files = [],
+      args = null,
+      env = null,
+      time_limit_ms,
+      memory_limit_mb,
+      total_items,
+    } = data;
+    const res = await runner(client)(
+      `INSERT INTO batches (id, session_id, source_code, entry_point, files, args, env,
+                            time_limit_ms, memory_limit_mb, total_items)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        id,
+        session_id,
+        source_code,
+        entry_point,
+        JSON.stringify(files),
+        args ? JSON.stringify(args) : null,
+        env ? JSON.stringify(env) : null,
+        time_limit_ms,
+        memory_limit_mb,
+        total_items,
+      ]
+    );
+    return res.rows[0];
+  }
+
+  static async updateStarted(id) {
+    const res = await query(
+      `UPDATE batches SET started_at = COALESCE(started_at, NOW()) WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return res.rows[0];
+  }
+
+  static async updateCompileResult(id, data) {
+    const { compile_output, compile_time_ms, compile_exit_code } = data;
+    const res = await query(
+      `UPDATE batches
+       SET compile_output = $1, compile_time_ms = $2, compile_exit_code = $3
+       WHERE id = $4
+       RETURNING *`,
+      [compile_output, compile_time_ms, compile_exit_code, id]
+    );
+    return res.rows[0];
+  }
+
+  static async updateStatus(id, status, finishedAt = null) {
+    const res = await query(
+      `UPDATE batches SET status = $1, finished_at = $2 WHERE id = $3 RETURNING *`,
+      [status, finishedAt, id]
+    );
+    return res.rows[0];
+  }
+
+  /**
+   * Mark a running batch COMPLETED once none of its items is queued or running
+   * Every item calls this after finishing; the last one to commit wins.
+   */
+  static async completeIfFinished(id) {
+    const res = await query(
+      `UPDATE batches SET status = 'COMPLETED', finished_at = NOW()
+       WHERE id = $1 AND status = 'RUNNING'
+         AND NOT EXISTS (
+           SELECT 1 FROM executions
+           WHERE batch_id = $1 AND status IN ('QUEUED', 'RUNNING')
+         )
+       RETURNING *`,
+      [id]
+    );
+    return res.rows[0];
+  }
+}
+
+export default Batch;
@@ -1,5 +1,8 @@
 import { query } from '../libs/db.js';
 
+// Use the transaction client when one is given
+const runner = (client) => (client ? client.query.bind(client) : query);
+
 export class Execution {
   static async findById(id) {
     const res = await query(
@@ -9,21 +12,100 @@ export class Execution {
     return res.rows[0];
   }
 
+  /**
+   * Single runs of a session, including those a fork inherited
+   */
   static async findBySessionId(sessionId, limit = 10) {
     const res = await query(
-      `SELECT * FROM executions WHERE session_id = $1 ORDER BY created_at DESC LIMIT $2`,
+      `SELECT * FROM executions
+       WHERE batch_id IS NULL
+         AND (session_id = $1
+              OR id IN (SELECT execution_id FROM session_execution_refs WHERE session_id = $1))
+       ORDER BY created_at DESC LIMIT $2`,
       [sessionId, limit]
     );
     return res.rows;
   }
 
-  static async create(data) {
-    const { id, session_id, status = 'QUEUED' } = data;
+  /**
+   * Whether a run of the session (or one it inherited) used this source
+   */
+  static async existsWithSource(sessionId, sourceHash) {
     const res = await query(
-      `INSERT INTO executions (id, session_id, status)
-       VALUES ($1, $2, $3)
+      `SELECT 1 FROM executions
+       WHERE source_hash = $2
+         AND (session_id = $1
+              OR id IN (SELECT execution_id FROM session_execution_refs WHERE session_id = $1))
+       LIMIT 1`,
+      [sessionId, sourceHash]
+    );
+    return res.rows.length > 0;
+  }
+
+  /**
+   * List a session's runs (its own and inherited ones) with another session
+   * Returns the number of runs referenced.
+   */
+  static async copySessionReferences(fromSessionId, toSessionId, client = null) {
+    const res = await runner(client)(
+      `INSERT INTO session_execution_refs (session_id, execution_id)
+       SELECT $2, id FROM executions WHERE session_id = $1 AND batch_id IS NULL
+       UNION
+       SELECT $2, execution_id FROM session_execution_refs WHERE session_id = $1
+       ON CONFLICT DO NOTHING`,
+      [fromSessionId, toSessionId]
+    );
+    return res.rowCount;
+  }
+
+  static async findByBatchId(batchId) {
+    const res = await query(
+      'SELECT * FROM executions WHERE batch_id = $1 ORDER BY batch_index',
+      [batchId]
+    );
+    return res.rows;
+  }
+
+  static async create(data, client = null) {
+    const {
+      id,
+      session_id,
+      status = 'QUEUED',
+      stdin = null,
+      args = null,
+      env = null,
+      test_cases = null,
+      time_limit_ms = null,
+      memory_limit_mb = null,
+      batch_id = null,
+      batch_index = null,
+      interactive = false,
+      source_hash = null,
+      rerun_of = null,
+    } = data;
+    const res = await runner(client)(
+      `INSERT INTO executions (id, session_id, status, stdin, args, env, test_cases, total_cases,
+                               time_limit_ms, memory_limit_mb, batch_id, batch_index, interactive,
+                               source_hash, rerun_of)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
        RETURNING *`,
-      [id, session_id, status]
+      [
+        id,
+        session_id,
+        status,
+        stdin,
+        args ? JSON.stringify(args) : null,
+        env ? JSON.stringify(env) : null,
+        test_cases ? JSON.stringify(test_cases) : null,
+        test_cases ? test_cases.length : null,
+        time_limit_ms,
+        memory_limit_mb,
+        batch_id,
+        batch_index,
+        interactive,
+        source_hash,
+        rerun_of,
+      ]
     );
     return res.rows[0];
   }
@@ -40,6 +122,67 @@ export class Execution {
     return res.rows[0];
   }
 
+  static async updateTestResults(id, data) {
+    const { test_results, passed_cases, total_cases, score } = data;
+    const res = await query(
+      `UPDATE executions
+       SET test_results = $1, passed_cases = $2, total_cases = $3, score = $4
+       WHERE id = $5
+       RETURNING *`,
+      [JSON.stringify(test_results), passed_cases, total_cases, score, id]
+    );
+    return res.rows[0];
+  }
+
+  static async updateTranscript(id, transcript) {
+    const res = await query(
+      'UPDATE executions SET transcript = $1 WHERE id = $2 RETURNING *',
+      [JSON.stringify(transcript), id]
+    );
+    return res.rows[0];
+  }
+
+  static async updateCompileResult(id, data) {
+    const { compile_output, compile_time_ms, compile_exit_code, compile_cached = false } = data;
+    const res = await query(
+      `UPDATE executions
+       SET compile_output = $1, compile_time_ms = $2, compile_exit_code = $3, compile_cached = $4
+       WHERE id = $5
+       RETURNING *`,
+      [compile_output, compile_time_ms, compile_exit_code, compile_cached, id]
+    );
+    return res.rows[0];
+  }
+
+  static async updateMetrics(id, data) {
+    const { cpu_user_ms, cpu_system_ms, wall_time_ms, peak_memory_kb, signal } = data;
+    const res = await query(
+      `UPDATE executions
+       SET cpu_user_ms = $1, cpu_system_ms = $2, wall_time_ms = $3, peak_memory_kb = $4, signal = $5
+       WHERE id = $6
+       RETURNING *`,
+      [cpu_user_ms, cpu_system_ms, wall_time_ms, peak_memory_kb, signal, id]
+    );
+    return res.rows[0];
+  }
+
+  /**
+   * End every unfinished item of a batch with the batch's own result
+   * (compilation error or internal error); returns the updated rows
+   */
+  static async finishBatchItems(batchId, data) {
+    const { status, stderr, compile_output = null, compile_time_ms = null, compile_exit_code = null } = data;
+    const res = await query(
+      `UPDATE executions
+       SET status = $1, stdout = '', stderr = $2, exit_code = NULL, finished_at = NOW(),
+           compile_output = $3, compile_time_ms = $4, compile_exit_code = $5
+       WHERE batch_id = $6 AND status IN ('QUEUED', 'RUNNING')
+       RETURNING *`,
+      [status, stderr, compile_output, compile_time_ms, compile_exit_code, batchId]
+    );
+    return res.rows;
+  }
+
   static async updateStarted(id) {
     const res = await query(
       `UPDATE executions SET status = 'RUNNING', started_at = NOW() WHERE id = $1 RETURNING *`,
@@ -21,6 +21,79 @@ export class Language {
     const res = await query('SELECT * FROM languages ORDER BY name');
     return res.rows;
   }
+
+  static async create(data) {
+    const {
+      name,
+      template_code,
+      runtime,
+      version,
+      file_name,
+      compile_command = null,
+      run_command = null,
+      artifact = null,
+      default_time_limit_ms,
+      default_memory_mb,
+      max_time_limit_ms = null,
+      max_memory_mb = null,
+    } = data;
+    const res = await query(
+      `INSERT INTO languages (name, template_code, runtime, version, file_name, compile_command, run_command,
+                              artifact, default_time_limit_ms, default_memory_mb, max_time_limit_ms, max_memory_mb)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        name,
+        template_code,
+        runtime,
+        version,
+        file_name,
+        compile_command ? JSON.stringify(compile_command) : null,
+        run_command ? JSON.stringify(run_command) : null,
+        artifact,
+        default_time_limit_ms,
+        default_memory_mb,
+        max_time_limit_ms,
+        max_memory_mb,
+      ]
+    );
+    return res.rows[0];
+  }
+
+  static async update(id, data) {
+    const columns = [
+      'name', 'template_code', 'runtime', 'version', 'file_name', 'compile_command', 'run_command',
+      'artifact', 'default_time_limit_ms', 'default_memory_mb', 'max_time_limit_ms', 'max_memory_mb',
+    ];
+    const jsonColumns = ['compile_command', 'run_command'];
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const column of columns) {
+      if (data[column] === undefined) continue;
+      fields.push(`${column} = $${paramCount++}`);
+      values.push(jsonColumns.includes(column) && data[column] !== null ? JSON.stringify(data[column]) : data[column]);
+    }
+
+    if (fields.length === 0) return null;
+
+    values.push(id);
+
+    const res = await query(
+      `UPDATE languages SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    return res.rows[0];
+  }
+
+  static async delete(id) {
+    const res = await query(
+      'DELETE FROM languages WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return res.rows[0];
+  }
 }
 
 export default Language;
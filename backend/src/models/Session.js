@@ -1,18 +1,30 @@
 import { query } from '../libs/db.js';
 
+// Use the transaction client when one is given
+const runner = (client) => (client ? client.query.bind(client) : query);
+
+// Last change to session `s` or start/end of one of its runs; queued and
+// running executions count as activity now
+const LAST_ACTIVITY = `GREATEST(s.updated_at, (
+  SELECT MAX(CASE WHEN e.status IN ('QUEUED', 'RUNNING') THEN NOW() ELSE COALESCE(e.finished_at, e.created_at) END)
+  FROM executions e
+  WHERE e.session_id = s.id
+))`;
+
 export class Session {
-  static async findById(id) {
-    const res = await query(
+  static async findById(id, client = null) {
+    const res = await runner(client)(
       'SELECT * FROM sessions WHERE id = $1',
       [id]
     );
     return res.rows[0];
   }
 
-  static async findWithLanguage(id) {
-    const res = await query(
+  static async findWithLanguage(id, client = null) {
+    const res = await runner(client)(
       `SELECT s.*, l.name as language_name, l.template_code, l.runtime, l.version, l.file_name,
-              l.default_time_limit_ms, l.default_memory_mb
+              l.default_time_limit_ms, l.default_memory_mb, l.max_time_limit_ms, l.max_memory_mb,
+              ${LAST_ACTIVITY} AS last_activity_at
        FROM sessions s
        JOIN languages l ON s.language_id = l.id
        WHERE s.id = $1`,
@@ -21,19 +33,23 @@ export class Session {
     return res.rows[0];
   }
 
-  static async create(data) {
-    const { id, language_id, source_code, status = 'ACTIVE' } = data;
-    const res = await query(
-      `INSERT INTO sessions (id, language_id, source_code, status)
-       VALUES ($1, $2, $3, $4)
+  static async create(data, client = null) {
+    const { id, language_id, source_code, status = 'ACTIVE', entry_point = null, forked_from = null } = data;
+    const res = await runner(client)(
+      `INSERT INTO sessions (id, language_id, source_code, status, entry_point, forked_from)
+       VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING *`,
-      [id, language_id, source_code, status]
+      [id, language_id, source_code, status, entry_point, forked_from]
     );
     return res.rows[0];
   }
 
-  static async update(id, data) {
-    const { source_code, status } = data;
+  /**
+   * Update the given fields; with expected_version the row is only updated
+   * while its lock_version still matches (returns undefined otherwise)
+   */
+  static async update(id, data, client = null) {
+    const { source_code, status, entry_point, expected_version } = data;
     const fields = [];
     const values = [];
     let paramCount = 1;
@@ -48,17 +64,75 @@ export class Session {
       values.push(status);
     }
 
+    if (entry_point !== undefined) {
+      fields.push(`entry_point = $${paramCount++}`);
+      values.push(entry_point);
+    }
+
     if (fields.length === 0) return null;
 
     fields.push(`updated_at = NOW()`);
     values.push(id);
 
-    const res = await query(
-      `UPDATE sessions SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+    let condition = `id = $${paramCount++}`;
+    if (expected_version !== undefined) {
+      condition += ` AND lock_version = $${paramCount++}`;
+      values.push(expected_version);
+    }
+
+    const res = await runner(client)(
+      `UPDATE sessions SET ${fields.join(', ')} WHERE ${condition} RETURNING *`,
       values
     );
     return res.rows[0];
   }
+
+  /**
+   * Lock the session row until the transaction ends (serializes writers)
+   */
+  static async lock(id, client) {
+    const res = await client.query(
+      'SELECT id FROM sessions WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    return res.rows[0];
+  }
+
+  /**
+   * Close up to `limit` ACTIVE sessions without activity for idleSeconds
+   * Resolves with the closed sessions ({ id, last_activity_at }).
+   */
+  static async closeIdle(idleSeconds, limit) {
+    const res = await query(
+      `WITH idle AS (
+         SELECT s.id, ${LAST_ACTIVITY} AS last_activity_at
+         FROM sessions s
+         WHERE s.status = 'ACTIVE'
+           AND s.updated_at < NOW() - make_interval(secs => $1)
+           AND ${LAST_ACTIVITY} < NOW() - make_interval(secs => $1)
+         ORDER BY s.updated_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       UPDATE sessions SET status = 'INACTIVE'
+       FROM idle
+       WHERE sessions.id = idle.id
+       RETURNING sessions.id, idle.last_activity_at`,
+      [idleSeconds, limit]
+    );
+    return res.rows;
+  }
+
+  /**
+   * Mark the session as modified (e.g. after a file change)
+   */
+  static async touch(id, client = null) {
+    const res = await runner(client)(
+      'UPDATE sessions SET updated_at = NOW() WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return res.rows[0];
+  }
 }
 
 export default Session;
@@ -0,0 +1,80 @@
+import { query } from '../libs/db.js';
+
+// Use the transaction client when one is given
+const runner = (client) => (client ? client.query.bind(client) : query);
+
+export class SessionFile {
+  static async findBySessionId(sessionId, client = null) {
+    const res = await runner(client)(
+      'SELECT * FROM session_files WHERE session_id = $1 ORDER BY path',
+      [sessionId]
+    );
+    return res.rows;
+  }
+
+  static async find(sessionId, path, client = null) {
+    const res = await runner(client)(
+      'SELECT * FROM session_files WHERE session_id = $1 AND path = $2',
+      [sessionId, path]
+    );
+    return res.rows[0];
+  }
+
+  static async create(data, client = null) {
+    const { session_id, path, content } = data;
+    const res = await runner(client)(
+      `INSERT INTO session_files (session_id, path, content)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [session_id, path, content]
+    );
+    return res.rows[0];
+  }
+
+  static async update(sessionId, path, data, client = null) {
+    const { content, new_path } = data;
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (content !== undefined) {
+      fields.push(`content = $${paramCount++}`);
+      values.push(content);
+    }
+
+    if (new_path !== undefined) {
+      fields.push(`path = $${paramCount++}`);
+      values.push(new_path);
+    }
+
+    if (fields.length === 0) return null;
+
+    values.push(sessionId, path);
+
+    const res = await runner(client)(
+      `UPDATE session_files SET ${fields.join(', ')}
+       WHERE session_id = $${paramCount} AND path = $${paramCount + 1}
+       RETURNING *`,
+      values
+    );
+    return res.rows[0];
+  }
+
+  static async deleteBySessionId(sessionId, client = null) {
+    const res = await runner(client)(
+      'DELETE FROM session_files WHERE session_id = $1 RETURNING *',
+      [sessionId]
+    );
+    return res.rows;
+  }
+
+  static async delete(sessionId, path, client = null) {
+    const res = await runner(client)(
+      'DELETE FROM session_files WHERE session_id = $1 AND path = $2 RETURNING *',
+      [sessionId, path]
+    );
+    return res.rows[0];
+  }
+}
+
+export default SessionFile;
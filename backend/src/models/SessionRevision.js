@@ -0,0 +1,54 @@
+import { query } from '../libs/db.js';
+
+// Use the transaction client when one is given
+const runner = (client) => (client ? client.query.bind(client) : query);
+
+export class SessionRevision {
+  static async findBySessionId(sessionId, limit = 50) {
+    const res = await query(
+      `SELECT * FROM session_revisions WHERE session_id = $1 ORDER BY revision DESC LIMIT $2`,
+      [sessionId, limit]
+    );
+    return res.rows;
+  }
+
+  /**
+   * A revision with its snapshot (entry_point, source_code, files)
+   */
+  static async find(sessionId, revision) {
+    const res = await query(
+      `SELECT r.*, s.entry_point, s.source_code, s.files
+       FROM session_revisions r
+       JOIN source_snapshots s ON s.hash = r.source_hash
+       WHERE r.session_id = $1 AND r.revision = $2`,
+      [sessionId, revision]
+    );
+    return res.rows[0];
+  }
+
+  static async findLatest(sessionId, client = null) {
+    const res = await runner(client)(
+      `SELECT * FROM session_revisions WHERE session_id = $1 ORDER BY revision DESC LIMIT 1`,
+      [sessionId]
+    );
+    return res.rows[0];
+  }
+
+  /**
+   * Append the next revision of a session
+   * Callers hold the session row lock, so revision numbers cannot collide.
+   */
+  static async create(data, client = null) {
+    const { session_id, source_hash, size_bytes, restored_from = null } = data;
+    const res = await runner(client)(
+      `INSERT INTO session_revisions (session_id, revision, source_hash, size_bytes, restored_from)
+       SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3, $4
+       FROM session_revisions WHERE session_id = $1
+       RETURNING *`,
+      [session_id, source_hash, size_bytes, restored_from]
+    );
+    return res.rows[0];
+  }
+}
+
+export default SessionRevision;
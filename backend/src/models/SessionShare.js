@@ -0,0 +1,48 @@
+import { query } from '../libs/db.js';
+
+export class SessionShare {
+  static async create(data) {
+    const { session_id, token_hash, expires_at = null } = data;
+    const res = await query(
+      `INSERT INTO session_shares (session_id, token_hash, expires_at)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [session_id, token_hash, expires_at]
+    );
+    return res.rows[0];
+  }
+
+  /**
+   * The share a token opens, unless it was revoked or has expired
+   */
+  static async findActiveByTokenHash(tokenHash) {
+    const res = await query(
+      `SELECT * FROM session_shares
+       WHERE token_hash = $1
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())`,
+      [tokenHash]
+    );
+    return res.rows[0];
+  }
+
+  static async findBySessionId(sessionId) {
+    const res = await query(
+      'SELECT * FROM session_shares WHERE session_id = $1 ORDER BY created_at DESC',
+      [sessionId]
+    );
+    return res.rows;
+  }
+
+  static async revoke(sessionId, id) {
+    const res = await query(
+      `UPDATE session_shares SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE session_id = $1 AND id = $2
+       RETURNING *`,
+      [sessionId, id]
+    );
+    return res.rows[0];
+  }
+}
+
+export default SessionShare;
@@ -0,0 +1,30 @@
+import { query } from '../libs/db.js';
+
+// Use the transaction client when one is given
+const runner = (client) => (client ? client.query.bind(client) : query);
+
+export class SourceSnapshot {
+  static async findByHash(hash) {
+    const res = await query(
+      'SELECT * FROM source_snapshots WHERE hash = $1',
+      [hash]
+    );
+    return res.rows[0];
+  }
+
+  /**
+   * Store a snapshot unless one with the same hash (same content) exists
+   */
+  static async create(data, client = null) {
+    const { hash, entry_point, source_code, files = [] } = data;
+    await runner(client)(
+      `INSERT INTO source_snapshots (hash, entry_point, source_code, files)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (hash) DO NOTHING`,
+      [hash, entry_point, source_code, JSON.stringify(files)]
+    );
+    return { hash, entry_point, source_code, files };
+  }
+}
+
+export default SourceSnapshot;
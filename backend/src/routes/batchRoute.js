@@ -0,0 +1,12 @@
+import express from 'express';
+import * as batchController from '../controllers/batchController.js';
+
+const router = express.Router();
+
+/**
+ * GET /batches/:batch_id
+ * Get the aggregate status of a batch run and the result of every item
+ */
+router.get('/:batch_id', batchController.getBatch);
+
+export default router;
@@ -9,4 +9,28 @@ const router = express.Router();
  */
 router.get('/:execution_id', executionController.getExecution);
 
+/**
+ * GET /executions/:execution_id/source
+ * Get the code an execution ran, as captured when it was submitted
+ */
+router.get('/:execution_id/source', executionController.getExecutionSource);
+
+/**
+ * GET /executions/:execution_id/stream
+ * Stream status changes and program output as Server-Sent Events
+ */
+router.get('/:execution_id/stream', executionController.streamExecution);
+
+/**
+ * POST /executions/:execution_id/rerun
+ * Run an execution again with the same code and parameters
+ */
+router.post('/:execution_id/rerun', executionController.rerunExecution);
+
+/**
+ * POST /executions/:execution_id/cancel
+ * Cancel a queued or running execution
+ */
+router.post('/:execution_id/cancel', executionController.cancelExecution);
+
 export default router;
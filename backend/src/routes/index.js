@@ -1,6 +1,8 @@
 import languageRoute from './languageRoute.js';
 import sessionRoute from './sessionRoute.js';
 import executionRoute from './executionRoute.js';
+import batchRoute from './batchRoute.js';
+import shareRoute from './shareRoute.js';
 
 export default function route(app) {
   // Health check endpoint
@@ -12,6 +14,8 @@ export default function route(app) {
   app.use('/languages', languageRoute);
   app.use('/code-sessions', sessionRoute);
   app.use('/executions', executionRoute);
+  app.use('/batches', batchRoute);
+  app.use('/shared', shareRoute);
 
   // 404 handler
   app.use((req, res) => {
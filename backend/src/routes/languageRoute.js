@@ -1,5 +1,6 @@
 import express from 'express';
 import * as languageController from '../controllers/languageController.js';
+import requireAdmin from '../middlewares/requireAdmin.js';
 
 const router = express.Router();
 
@@ -15,4 +16,22 @@ router.get('/', languageController.listLanguages);
  */
 router.get('/:language_id', languageController.getLanguage);
 
+/**
+ * POST /languages
+ * Add a language with its commands and limits (admin)
+ */
+router.post('/', requireAdmin, languageController.createLanguage);
+
+/**
+ * PATCH /languages/:language_id
+ * Change a language's commands, file name or limits (admin)
+ */
+router.patch('/:language_id', requireAdmin, languageController.updateLanguage);
+
+/**
+ * DELETE /languages/:language_id
+ * Remove a language that no session uses (admin)
+ */
+router.delete('/:language_id', requireAdmin, languageController.deleteLanguage);
+
 export default router;
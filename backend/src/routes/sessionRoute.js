@@ -15,6 +15,12 @@ router.post('/', sessionController.createSession);
  */
 router.get('/:session_id', sessionController.getSession);
 
+/**
+ * POST /code-sessions/:session_id/fork
+ * Copy the session's code into a new session
+ */
+router.post('/:session_id/fork', sessionController.forkSession);
+
 /**
  * PATCH /code-sessions/:session_id
  * Update session code
@@ -27,6 +33,12 @@ router.patch('/:session_id', sessionController.updateSession);
  */
 router.post('/:session_id/run', sessionController.runCode);
 
+/**
+ * POST /code-sessions/:session_id/batch
+ * Run the current code once per input (compiled once, items run in parallel)
+ */
+router.post('/:session_id/batch', sessionController.runBatch);
+
 /**
  * PATCH /code-sessions/:session_id/close
  * Close a session
@@ -39,4 +51,76 @@ router.patch('/:session_id/close', sessionController.closeSession);
  */
 router.get('/:session_id/executions', sessionController.getSessionExecutions);
 
+/**
+ * GET /code-sessions/:session_id/revisions
+ * List saved versions of the session's code, newest first
+ */
+router.get('/:session_id/revisions', sessionController.listRevisions);
+
+/**
+ * GET /code-sessions/:session_id/revisions/diff?from=&to=
+ * Unified diff between two revisions (to defaults to the latest)
+ */
+router.get('/:session_id/revisions/diff', sessionController.diffRevisions);
+
+/**
+ * GET /code-sessions/:session_id/revisions/:revision
+ * Get the code of one revision
+ */
+router.get('/:session_id/revisions/:revision', sessionController.getRevision);
+
+/**
+ * POST /code-sessions/:session_id/revisions/:revision/restore
+ * Make an earlier revision the current code
+ */
+router.post('/:session_id/revisions/:revision/restore', sessionController.restoreRevision);
+
+/**
+ * POST /code-sessions/:session_id/shares
+ * Create a read-only share link
+ */
+router.post('/:session_id/shares', sessionController.createShare);
+
+/**
+ * GET /code-sessions/:session_id/shares
+ * List the session's share links
+ */
+router.get('/:session_id/shares', sessionController.listShares);
+
+/**
+ * DELETE /code-sessions/:session_id/shares/:share_id
+ * Revoke a share link
+ */
+router.delete('/:session_id/shares/:share_id', sessionController.revokeShare);
+
+/**
+ * GET /code-sessions/:session_id/files
+ * List the session's files with their content and the entry point
+ */
+router.get('/:session_id/files', sessionController.listFiles);
+
+/**
+ * POST /code-sessions/:session_id/files
+ * Create a file in the session
+ */
+router.post('/:session_id/files', sessionController.createFile);
+
+/**
+ * PATCH /code-sessions/:session_id/files/*path
+ * Update a file's content and/or rename it
+ */
+router.patch('/:session_id/files/*path', sessionController.updateFile);
+
+/**
+ * DELETE /code-sessions/:session_id/files/*path
+ * Delete a file (the entry point cannot be deleted)
+ */
+router.delete('/:session_id/files/*path', sessionController.deleteFile);
+
+/**
+ * PATCH /code-sessions/:session_id/entry-point
+ * Choose which file is compiled/run
+ */
+router.patch('/:session_id/entry-point', sessionController.setEntryPoint);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+import express from 'express';
+import * as shareController from '../controllers/shareController.js';
+
+const router = express.Router();
+
+/**
+ * GET /shared/:token
+ * View the shared session's code (read-only)
+ */
+router.get('/:token', shareController.getSharedSession);
+
+/**
+ * GET /shared/:token/executions
+ * View the shared session's latest runs and their output
+ */
+router.get('/:token/executions', shareController.getSharedExecutions);
+
+/**
+ * GET /shared/:token/sources/:source_hash
+ * View the code one of those runs used
+ */
+router.get('/:token/sources/:source_hash', shareController.getSharedSource);
+
+export default router;
@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * On-disk cache of compiled programs, shared by the runs on one worker host
+ *
+ * Entries are keyed by a hash of everything that determines the binary: the
+ * runtime, the language version, the compile argv (compiler and flags) and
+ * every project file. Each entry is a directory holding the artifact and the
+ * compiler output (so warnings are still reported on a hit). Entries are
+ * written to a temp directory and renamed into place, so concurrent workers
+ * never see a partial entry. The directory mtime is bumped on every hit and
+ * the least recently used entries are evicted once the cache exceeds MAX_BYTES.
+ */
+export class ArtifactCache {
+  // Configuration
+  static ENABLED = process.env.ARTIFACT_CACHE_ENABLED !== 'false';
+  static DIR = process.env.ARTIFACT_CACHE_DIR || path.join(os.tmpdir(), 'code-exec-artifact-cache');
+  static MAX_BYTES = parseInt(process.env.ARTIFACT_CACHE_MAX_MB || 512) * 1024 * 1024;
+
+  static ARTIFACT_FILE = 'artifact';
+  static META_FILE = 'meta.json';
+  static TMP_PREFIX = '.tmp-';
+
+  static getKey({ runtime, version = null, argv, files }) {
+    const sortedFiles = [...files]
+      .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+      .map(file => [file.path, file.content]);
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ runtime, version, argv, files: sortedFiles }))
+      .digest('hex');
+  }
+
+  /**
+   * Copy a cached artifact to `target`
+   * Resolves with the stored metadata ({ compile_output }), or null on a miss
+   */
+  static async lookup(key, target) {
+    const entryDir = path.join(this.DIR, key);
+
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(entryDir, this.META_FILE), 'utf8'));
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(path.join(entryDir, this.ARTIFACT_FILE), target);
+      await fs.chmod(target, 0o755);
+
+      const now = new Date();
+      await fs.utimes(entryDir, now, now).catch(() => {});
+      return meta;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[ArtifactCache] Failed to read entry ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store a freshly compiled artifact, then evict old entries
+   * Failures are logged, never thrown: the run already has its binary.
+   */
+  static async store(key, source, meta = {}) {
+    const entryDir = path.join(this.DIR, key);
+    const tmpDir = path.join(this.DIR, `${this.TMP_PREFIX}${key}-${process.pid}-${Math.random().toString(36).substr(2, 9)}`);
+
+    try {
+      await fs.mkdir(tmpDir, { recursive: true });
+      await fs.copyFile(source, path.join(tmpDir, this.ARTIFACT_FILE));
+      await fs.writeFile(path.join(tmpDir, this.META_FILE), JSON.stringify(meta));
+
+      try {
+        await fs.rename(tmpDir, entryDir);
+      } catch (error) {
+        // Another run stored the same entry first
+        if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      await this.prune();
+    } catch (error) {
+      console.warn(`[ArtifactCache] Failed to store entry ${key}:`, error.message);
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Evict least recently used entries until the cache fits in MAX_BYTES
+   */
+  static async prune() {
+    const names = await fs.readdir(this.DIR);
+    const entries = [];
+
+    for (const name of names) {
+      if (name.startsWith(this.TMP_PREFIX)) continue;
+
+      const entryDir = path.join(this.DIR, name);
+      try {
+        const [dirStat, artifactStat] = await Promise.all([
+          fs.stat(entryDir),
+          fs.stat(path.join(entryDir, this.ARTIFACT_FILE)),
+        ]);
+        entries.push({ entryDir, usedAt: dirStat.mtimeMs, size: artifactStat.size });
+      } catch {
+        // Removed concurrently
+      }
+    }
+
+    entries.sort((a, b) => b.usedAt - a.usedAt);
+
+    let total = 0;
+    for (const entry of entries) {
+      total += entry.size;
+      if (total > this.MAX_BYTES) {
+        await fs.rm(entry.entryDir, { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+export default ArtifactCache;
@@ -0,0 +1,286 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+
+export class ProcessRunner {
+  // Configuration
+  static MEMORY_POLL_INTERVAL_MS = parseInt(process.env.MEMORY_POLL_INTERVAL_MS || 50);
+  static ADDRESS_SPACE_MULTIPLIER = 2; // hard backstop relative to the RSS limit
+  static ADDRESS_SPACE_SLACK_MB = 64;
+  static CLOCK_TICKS_PER_SECOND = 100; // USER_HZ, the unit of /proc/<pid>/stat CPU times
+
+  /**
+   * Run a command in its own process group
+   *
+   * Options:
+   * - cwd, env: passed to spawn
+   * - stdin: string written to the program, stdin is always closed afterwards;
+   *   or a Readable piped to the program as data arrives (interactive runs),
+   *   stdin closes when the stream ends
+   * - timeoutMs: wall-clock limit, the whole process group is killed when hit
+   * - idleTimeoutMs: the group is also killed after this long without any
+   *   input or output (idleTimedOut)
+   * - memoryLimitMb: resident memory limit for the process group, enforced by
+   *   polling /proc and killing the group when exceeded
+   * - addressSpaceLimit: also apply RLIMIT_AS (ulimit -v) as a hard backstop;
+   *   only safe for runtimes that do not reserve large virtual ranges up front
+   * - maxOutputBytes: combined stdout/stderr cap, the group is killed when hit
+   * - onOutput(stream, chunk): called with each stdout/stderr chunk as it is
+   *   read, stream is 'stdout' or 'stderr'; output past the cap is not reported
+   * - signal: AbortSignal, the whole process group is killed when it aborts
+   *
+   * Resolves with { stdout, stderr, exitCode, signal, timedOut, idleTimedOut,
+   * memoryExceeded, outputExceeded, cancelled, durationMs, usage }. Rejects only when the
+   * process cannot be spawned.
+   *
+   * usage is { cpuUserMs, cpuSystemMs, wallTimeMs, peakMemoryKb }. Wall time
+   * uses the monotonic clock; CPU time and peak memory are sampled from /proc
+   * every MEMORY_POLL_INTERVAL_MS (CPU time is each process's last sample,
+   * peak memory the larger of the group's highest combined RSS and any one
+   * process's VmHWM). They are null where /proc is unavailable.
+   */
+  static run(argv, options = {}) {
+    const {
+      cwd,
+      env,
+      stdin = '',
+      timeoutMs,
+      idleTimeoutMs,
+      memoryLimitMb,
+      addressSpaceLimit = false,
+      maxOutputBytes = Infinity,
+      onOutput = null,
+      signal: abortSignal = null,
+    } = options;
+
+    let [command, ...args] = argv;
+    if (memoryLimitMb && addressSpaceLimit) {
+      const limitKb = (memoryLimitMb * this.ADDRESS_SPACE_MULTIPLIER + this.ADDRESS_SPACE_SLACK_MB) * 1024;
+      args = ['-c', 'ulimit -v "$1" || exit 125; shift; exec "$@"', 'sh', String(limitKb), command, ...args];
+      command = '/bin/sh';
+    }
+
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      const startHrtime = process.hrtime.bigint();
+      const child = spawn(command, args, {
+        cwd,
+        env,
+        detached: true, // own process group, so the whole tree can be killed
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+
+      const stdoutChunks = [];
+      const stderrChunks = [];
+      let outputBytes = 0;
+      let timedOut = false;
+      let idleTimedOut = false;
+      let memoryExceeded = false;
+      let outputExceeded = false;
+      let cancelled = false;
+      let finished = false;
+      let timer = null;
+      let idleTimer = null;
+      let memoryTimer = null;
+      const cpuByPid = new Map(); // pid -> { user, system } in clock ticks, last sample
+      let peakMemoryKb = null;
+
+      const killTree = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          // Group already gone
+        }
+      };
+
+      const resetIdleTimer = () => {
+        if (!idleTimeoutMs || finished) return;
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          idleTimedOut = true;
+          killTree();
+        }, idleTimeoutMs);
+      };
+
+      const collect = (stream, chunks) => (chunk) => {
+        resetIdleTimer();
+        if (outputExceeded) return;
+        outputBytes += chunk.length;
+        if (outputBytes > maxOutputBytes) {
+          outputExceeded = true;
+          killTree();
+          return;
+        }
+        chunks.push(chunk);
+        onOutput?.(stream, chunk);
+      };
+
+      child.stdout.on('data', collect('stdout', stdoutChunks));
+      child.stderr.on('data', collect('stderr', stderrChunks));
+
+      // Always close stdin so programs reading input never block on an open
+      // pipe; an interactive stream closes it when it ends
+      const interactive = typeof stdin?.pipe === 'function';
+      child.stdin.on('error', () => {});
+      if (interactive) {
+        stdin.on('data', resetIdleTimer);
+        stdin.pipe(child.stdin);
+      } else {
+        child.stdin.end(stdin || '');
+      }
+      resetIdleTimer();
+
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          killTree();
+        }, timeoutMs);
+      }
+
+      const onAbort = () => {
+        cancelled = true;
+        killTree();
+      };
+      if (abortSignal) {
+        if (abortSignal.aborted) {
+          onAbort();
+        } else {
+          abortSignal.addEventListener('abort', onAbort, { once: true });
+        }
+      }
+
+      // Sample the group for usage metrics, enforcing the memory limit if any
+      const limitKb = memoryLimitMb ? memoryLimitMb * 1024 : Infinity;
+      const poll = async () => {
+        const sample = await this.sampleProcessGroup(child.pid);
+        if (finished) return;
+        if (sample === null) return; // /proc unavailable, rely on other limits
+
+        sample.processes.forEach((cpu, pid) => cpuByPid.set(pid, cpu));
+        peakMemoryKb = Math.max(peakMemoryKb || 0, sample.rssKb, sample.hwmKb);
+
+        if (sample.rssKb > limitKb) {
+          memoryExceeded = true;
+          killTree();
+          return;
+        }
+        memoryTimer = setTimeout(poll, this.MEMORY_POLL_INTERVAL_MS);
+      };
+      memoryTimer = setTimeout(poll, 0);
+
+      const release = () => {
+        finished = true;
+        clearTimeout(timer);
+        clearTimeout(idleTimer);
+        clearTimeout(memoryTimer);
+        if (interactive) {
+          stdin.off('data', resetIdleTimer);
+          stdin.unpipe(child.stdin);
+        }
+      };
+
+      child.on('error', (error) => {
+        release();
+        abortSignal?.removeEventListener('abort', onAbort);
+        reject(error);
+      });
+
+      child.on('close', (exitCode, signal) => {
+        release();
+        abortSignal?.removeEventListener('abort', onAbort);
+        // Reap anything the program left running in its group
+        killTree();
+
+        resolve({
+          stdout: Buffer.concat(stdoutChunks).toString(),
+          stderr: Buffer.concat(stderrChunks).toString(),
+          exitCode,
+          signal,
+          timedOut,
+          idleTimedOut,
+          memoryExceeded,
+          outputExceeded,
+          cancelled,
+          durationMs: Date.now() - startTime,
+          usage: this.buildUsage(cpuByPid, peakMemoryKb, startHrtime),
+        });
+      });
+    });
+  }
+
+  static buildUsage(cpuByPid, peakMemoryKb, startHrtime) {
+    const wallTimeMs = Number(process.hrtime.bigint() - startHrtime) / 1e6;
+    if (peakMemoryKb === null) {
+      return { cpuUserMs: null, cpuSystemMs: null, wallTimeMs, peakMemoryKb: null };
+    }
+
+    const tickMs = 1000 / this.CLOCK_TICKS_PER_SECOND;
+    let user = 0;
+    let system = 0;
+    cpuByPid.forEach((cpu) => {
+      user += cpu.user;
+      system += cpu.system;
+    });
+
+    return {
+      cpuUserMs: user * tickMs,
+      cpuSystemMs: system * tickMs,
+      wallTimeMs,
+      peakMemoryKb,
+    };
+  }
+
+  /**
+   * Sum the resident memory of every process in a process group
+   * Returns null when /proc is not available (non-Linux hosts)
+   */
+  static async getProcessGroupRssKb(pgid) {
+    const sample = await this.sampleProcessGroup(pgid);
+    return sample ? sample.rssKb : null;
+  }
+
+  /**
+   * Read every process of a process group from /proc
+   * Returns { rssKb (combined), hwmKb (largest per-process peak), processes:
+   * Map pid -> { user, system } CPU clock ticks }, or null when /proc is not
+   * available (non-Linux hosts)
+   */
+  static async sampleProcessGroup(pgid) {
+    let entries;
+    try {
+      entries = await fs.readdir('/proc');
+    } catch {
+      return null;
+    }
+
+    let rssKb = 0;
+    let hwmKb = 0;
+    const processes = new Map();
+    await Promise.all(entries.filter(name => /^\d+$/.test(name)).map(async (pid) => {
+      try {
+        const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+        // Fields after the parenthesised command name: state ppid pgrp ...
+        // utime and stime are the 12th and 13th of them
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        if (parseInt(fields[2]) !== pgid) return;
+
+        processes.set(pid, { user: parseInt(fields[11]), system: parseInt(fields[12]) });
+
+        const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+        const rss = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        if (rss) {
+          rssKb += parseInt(rss[1]);
+        }
+        const hwm = status.match(/^VmHWM:\s+(\d+)\s+kB/m);
+        if (hwm) {
+          hwmKb = Math.max(hwmKb, parseInt(hwm[1]));
+        }
+      } catch {
+        // Process exited while we were reading it
+      }
+    }));
+
+    return { rssKb, hwmKb, processes };
+  }
+}
+
+export default ProcessRunner;
@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import { constants as fsConstants } from 'fs';
+import path from 'path';
+import builtinAdapters from './adapters.js';
+
+export class RuntimeRegistry {
+  static adapters = new Map();
+  static availability = null;
+
+  // Placeholders of language command templates; {sources} must be a whole element
+  static PLACEHOLDERS = ['entry', 'entry_name', 'entry_class', 'sources', 'artifact', 'memory_mb'];
+  static PLACEHOLDER_PATTERN = /\{([a-z_]+)\}/g;
+
+  /**
+   * Register an adapter for a runtime, replacing any existing one
+   */
+  static register(runtime, adapter) {
+    if (typeof adapter.run !== 'function' || !adapter.sourceFile) {
+      throw new Error(`Invalid runtime adapter: ${runtime}`);
+    }
+
+    this.adapters.set(runtime, { runtime, ...adapter });
+    this.availability = null;
+  }
+
+  static get(runtime) {
+    return this.adapters.get(runtime);
+  }
+
+  static has(runtime) {
+    return this.adapters.has(runtime);
+  }
+
+  static list() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * Adapter for a languages row
+   * Commands stored on the row (compile_command, run_command, artifact)
+   * replace the built-in adapter's; the rest of the adapter (memory handling,
+   * caches) still applies. A runtime without a built-in adapter runs purely
+   * from the row. Returns undefined when neither defines how to run.
+   */
+  static resolve(language) {
+    const builtin = this.get(language.runtime);
+    const { compile_command: compileCommand, run_command: runCommand, artifact } = language;
+
+    if (!compileCommand && !runCommand && !artifact) {
+      return builtin;
+    }
+    if (!builtin && !runCommand) {
+      return undefined;
+    }
+
+    const adapter = builtin
+      ? { ...builtin }
+      : { runtime: language.runtime, sourceFile: language.file_name };
+
+    if (artifact) {
+      adapter.artifact = (sourceFile) => this.expandTemplate(artifact, { sourceFile });
+    }
+    if (compileCommand) {
+      adapter.compile = (ctx) => this.expandCommand(compileCommand, ctx);
+    }
+    if (runCommand) {
+      adapter.run = (ctx) => this.expandCommand(runCommand, ctx);
+    }
+    adapter.toolchain = this.commandToolchain(adapter, language.file_name || adapter.sourceFile);
+
+    return adapter;
+  }
+
+  /**
+   * Executables an adapter's commands start, except the program it builds
+   */
+  static commandToolchain(adapter, sourceFile) {
+    const ctx = { sourceFile, sources: [sourceFile], memoryLimit: 256 };
+    ctx.artifact = typeof adapter.artifact === 'function' ? adapter.artifact(sourceFile) : adapter.artifact;
+
+    const commands = [adapter.compile?.(ctx), adapter.run(ctx)].filter(Boolean);
+    const executables = commands
+      .map(argv => argv[0])
+      .filter(executable => executable && executable !== ctx.artifact && !executable.startsWith('./'));
+    return [...new Set(executables)];
+  }
+
+  /**
+   * Expand a command template into argv for ctx ({ sourceFile, sources,
+   * artifact, memoryLimit })
+   */
+  static expandCommand(template, ctx) {
+    return template.flatMap(element => (element === '{sources}'
+      ? ctx.sources || [ctx.sourceFile]
+      : [this.expandTemplate(element, ctx)]));
+  }
+
+  static expandTemplate(value, ctx) {
+    const entryName = ctx.sourceFile.replace(/\.[^./]+$/, '');
+    const values = {
+      entry: ctx.sourceFile,
+      entry_name: entryName,
+      entry_class: entryName.replace(/\//g, '.'),
+      sources: (ctx.sources || [ctx.sourceFile]).join(' '),
+      artifact: ctx.artifact,
+      memory_mb: ctx.memoryLimit,
+    };
+
+    return value.replace(this.PLACEHOLDER_PATTERN, (match, name) => (values[name] === undefined ? match : String(values[name])));
+  }
+
+  /**
+   * Find an executable on PATH, returning its full path or null
+   */
+  static async resolveExecutable(command) {
+    if (path.isAbsolute(command)) {
+      try {
+        await fs.access(command, fsConstants.X_OK);
+        return command;
+      } catch {
+        return null;
+      }
+    }
+
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+    for (const dir of dirs) {
+      const candidate = path.join(dir, command);
+      try {
+        await fs.access(candidate, fsConstants.X_OK);
+        return candidate;
+      } catch {
+        // Not in this directory
+      }
+    }
+
+    return null;
+  }
+
+  static async isExecutableOnPath(command) {
+    return (await this.resolveExecutable(command)) !== null;
+  }
+
+  /**
+   * Detect which registered runtimes have their whole toolchain installed
+   * Result is cached until an adapter is (re)registered or refresh is requested
+   */
+  static async detectAvailable({ refresh = false } = {}) {
+    if (this.availability && !refresh) {
+      return this.availability;
+    }
+
+    const available = [];
+    for (const [runtime, adapter] of this.adapters) {
+      const checks = await Promise.all(
+        (adapter.toolchain || []).map(command => this.isExecutableOnPath(command))
+      );
+      if (checks.every(Boolean)) {
+        available.push(runtime);
+      }
+    }
+
+    this.availability = available;
+    return available;
+  }
+
+  /**
+   * Runtimes of languages rows whose resolved toolchain is installed
+   * Not cached: rows change at runtime (see LanguageService)
+   */
+  static async detectLanguages(languages) {
+    const available = new Set();
+    for (const language of languages) {
+      const adapter = this.resolve(language);
+      if (!adapter) continue;
+
+      const checks = await Promise.all(
+        (adapter.toolchain || []).map(command => this.isExecutableOnPath(command))
+      );
+      if (checks.every(Boolean)) {
+        available.add(language.runtime);
+      }
+    }
+    return [...available];
+  }
+}
+
+for (const [runtime, adapter] of Object.entries(builtinAdapters)) {
+  RuntimeRegistry.register(runtime, adapter);
+}
+
+export default RuntimeRegistry;
@@ -0,0 +1,234 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import RuntimeRegistry from './RuntimeRegistry.js';
+
+/**
+ * Builds a throwaway root inside fresh user/mount/net/pid/ipc/uts namespaces:
+ * a read-only tmpfs root with read-only binds of the system directories, an
+ * empty /tmp, and the working directory bound read-write at /sandbox. All
+ * capabilities are dropped and a process-count limit applied before exec.
+ * The script runs with the worker-built environment only; variables supplied
+ * with the run reach the program through argv (see Sandbox.withUserEnv).
+ *
+ * Positional args: root work nproc setpriv prlimit binds buildCache argv...
+ */
+const SETUP_SCRIPT = `
+set -e
+root="$1"; work="$2"; nproc="$3"; setpriv="$4"; prlimit="$5"; binds="$6"; cache="$7"; shift 7
+
+mount -t tmpfs -o size=16m,mode=755 sandbox-root "$root"
+
+bind_ro() {
+  if [ -L "$1" ]; then
+    mkdir -p "$root$(dirname "$1")"; ln -s "$(readlink "$1")" "$root$1"
+  elif [ -d "$1" ]; then
+    mkdir -p "$root$1"; mount --rbind "$1" "$root$1"; mount -o remount,bind,ro "$root$1"
+  elif [ -e "$1" ]; then
+    mkdir -p "$root$(dirname "$1")"; touch "$root$1"; mount --bind "$1" "$root$1"; mount -o remount,bind,ro "$root$1"
+  fi
+}
+
+IFS=:
+for dir in $binds; do
+  [ -n "$dir" ] && bind_ro "$dir"
+done
+unset IFS
+
+mkdir -p "$root/dev" "$root/proc" "$root/tmp" "$root/sandbox"
+for dev in null zero random urandom; do
+  touch "$root/dev/$dev"; mount --bind "/dev/$dev" "$root/dev/$dev"
+done
+mount -t proc proc "$root/proc"
+mount -t tmpfs -o size=64m tmpfs "$root/tmp"
+mount --bind "$work" "$root/sandbox"
+if [ -n "$cache" ]; then
+  mkdir -p "$root/cache"; mount --bind "$cache" "$root/cache"
+fi
+mount -o remount,ro,bind "$root"
+
+cd /
+exec chroot "$root" "$setpriv" --no-new-privs --inh-caps=-all --bounding-set=-all -- \\
+  "$prlimit" --nproc="$nproc" -- /bin/sh -c 'cd /sandbox && exec "$@"' sh "$@"
+`;
+
+export class Sandbox {
+  // Configuration
+  static WORK_DIR = '/sandbox';
+  static CACHE_DIR = '/cache';
+  static MAX_PROCESSES = parseInt(process.env.SANDBOX_MAX_PROCESSES || 64);
+  static SANDBOX_UID = parseInt(process.env.SANDBOX_UID || 65534); // used when the worker runs as root
+  static TOOLS = ['unshare', 'setpriv', 'prlimit', 'chroot', 'mount'];
+  static ENV_COMMAND = '/usr/bin/env';
+  static SYSTEM_PATHS = [
+    '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32',
+    '/etc/alternatives', '/etc/ld.so.cache', '/etc/ld.so.conf', '/etc/ld.so.conf.d',
+    '/etc/ssl', '/etc/localtime',
+  ];
+
+  static tools = null;
+
+  static isEnabled() {
+    return process.env.SANDBOX_ENABLED === 'true';
+  }
+
+  /**
+   * Resolve the helper binaries the sandbox needs
+   * Returns null when the host cannot provide namespaces (non-Linux or missing util-linux)
+   */
+  static async resolveTools() {
+    if (this.tools !== null) {
+      return this.tools || null;
+    }
+
+    const resolved = {};
+    if (process.platform === 'linux') {
+      for (const tool of this.TOOLS) {
+        resolved[tool] = await RuntimeRegistry.resolveExecutable(tool);
+      }
+    }
+
+    const supported = process.platform === 'linux' && Object.values(resolved).every(Boolean);
+    this.tools = supported ? resolved : false;
+    return this.tools || null;
+  }
+
+  static async isSupported() {
+    return (await this.resolveTools()) !== null;
+  }
+
+  /**
+   * Create the mount point for the sandbox root next to the working directory
+   * and hand both over to the sandbox user when the worker runs as root
+   */
+  static async prepare(workDir) {
+    const rootDir = `${workDir}.root`;
+    await fs.mkdir(rootDir, { recursive: true });
+
+    if (process.getuid && process.getuid() === 0) {
+      await this.chownTree(workDir, this.SANDBOX_UID);
+    }
+
+    return {
+      workDir,
+      rootDir,
+      cleanup: () => fs.rm(rootDir, { recursive: true, force: true }),
+    };
+  }
+
+  static async chownTree(dir, uid) {
+    await fs.chown(dir, uid, uid);
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await this.chownTree(entryPath, uid);
+      } else {
+        await fs.chown(entryPath, uid, uid);
+      }
+    }
+  }
+
+  /**
+   * Extra read-only binds needed for a command: the install prefix of
+   * toolchains living outside the system directories (e.g. /opt/node)
+   * plus anything listed in SANDBOX_BIND_PATHS
+   */
+  static async getBindPaths(command) {
+    const binds = [...this.SYSTEM_PATHS];
+
+    const extra = (process.env.SANDBOX_BIND_PATHS || '').split(':').filter(Boolean);
+    binds.push(...extra);
+
+    if (!command.includes('/')) {
+      const resolved = await RuntimeRegistry.resolveExecutable(command);
+      if (resolved) {
+        const real = await fs.realpath(resolved);
+        const prefix = path.dirname(path.dirname(real));
+        const covered = binds.some(dir => prefix === dir || prefix.startsWith(`${dir}/`));
+        if (!covered) {
+          binds.push(prefix);
+        }
+      }
+    }
+
+    return binds;
+  }
+
+  /**
+   * Wrap argv so it runs inside the sandbox
+   * options.cacheDir is a host directory bound read-write at /cache (build caches)
+   * options.userEnv holds variables supplied with the run, set by the final exec
+   */
+  static async wrap(argv, { workDir, rootDir, cacheDir = null, userEnv = {} }) {
+    const tools = await this.resolveTools();
+    if (!tools) {
+      throw new Error('Sandbox is enabled but not supported on this host (requires Linux with util-linux)');
+    }
+
+    const binds = await this.getBindPaths(argv[0]);
+    const wrapped = [
+      tools.unshare,
+      '--user', '--map-root-user',
+      '--mount', '--net', '--pid', '--ipc', '--uts',
+      '--fork', '--kill-child',
+      '--',
+      '/bin/sh', '-c', SETUP_SCRIPT, 'sandbox',
+      rootDir,
+      workDir,
+      String(this.MAX_PROCESSES),
+      tools.setpriv,
+      tools.prlimit,
+      binds.join(':'),
+      cacheDir || '',
+      ...this.withUserEnv(argv, userEnv),
+    ];
+
+    // Process-count limits are not enforced for root, so drop to an unprivileged user first
+    if (process.getuid && process.getuid() === 0) {
+      return [
+        tools.setpriv,
+        `--reuid=${this.SANDBOX_UID}`,
+        `--regid=${this.SANDBOX_UID}`,
+        '--clear-groups',
+        ...wrapped,
+      ];
+    }
+
+    return wrapped;
+  }
+
+  /**
+   * Minimal environment for untrusted programs; nothing from the worker's
+   * environment (database credentials, tokens) is passed through
+   */
+  static buildEnv({ home, extra = {} }) {
+    const env = {
+      PATH: process.env.PATH || '/usr/local/bin:/usr/bin:/bin',
+      HOME: home,
+      LANG: 'C.UTF-8',
+      ...extra,
+    };
+
+    for (const name of ['TZ', 'JAVA_HOME', 'GOROOT']) {
+      if (process.env[name]) {
+        env[name] = process.env[name];
+      }
+    }
+
+    return env;
+  }
+
+  /**
+   * Prefix argv with `env NAME=value...` so only the program itself starts
+   * with the variables supplied with the run. Wrappers before it (the sandbox
+   * setup shell, mount, chroot, prlimit, the ulimit shell) are host binaries
+   * and keep the buildEnv() environment, so loader and libc variables cannot
+   * reach them.
+   */
+  static withUserEnv(argv, userEnv = {}) {
+    const assignments = Object.entries(userEnv).map(([name, value]) => `${name}=${value}`);
+    return assignments.length > 0 ? [this.ENV_COMMAND, ...assignments, ...argv] : argv;
+  }
+}
+
+export default Sandbox;
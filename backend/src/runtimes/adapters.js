@@ -0,0 +1,94 @@
+/**
+ * Built-in runtime adapters, keyed by the `runtime` column of the languages table
+ *
+ * Each adapter describes how to turn a source file into a running program:
+ * - sourceFile: default entry file name the session code is written to
+ * - artifact: file produced by the compile step (compiled runtimes only), or
+ *   a function of the entry file returning it
+ * - toolchain: executables that must be on PATH for the runtime to be usable
+ * - compile(ctx): argv for the compile step, omitted for interpreted runtimes
+ * - run(ctx): argv that starts the program
+ * - addressSpaceLimit: apply RLIMIT_AS on top of the RSS watchdog; only for
+ *   runtimes that do not reserve large virtual ranges at startup (not V8/JVM/Go)
+ * - outOfMemoryPatterns: stderr patterns meaning the runtime ran out of memory
+ * - buildCache: { env, name } persistent compiler cache shared across runs,
+ *   exposed to the compile step only through the given environment variable
+ * - cacheArtifact: the compile step produces a single self-contained artifact
+ *   that can be reused by later runs of the same project (see ArtifactCache)
+ *
+ * Commands run with the temp working directory as cwd, so paths are relative.
+ * ctx carries sourceFile (the entry file), files (every project file),
+ * sources (entry plus the other files sharing its extension), artifact and
+ * memoryLimit (MB).
+ */
+
+const compiled = (compiler, sourceFile, flags = []) => ({
+  sourceFile,
+  artifact: 'main',
+  toolchain: [compiler],
+  addressSpaceLimit: true,
+  cacheArtifact: true,
+  outOfMemoryPatterns: [/std::bad_alloc/],
+  compile: (ctx) => [compiler, ...flags, '-o', ctx.artifact, ...ctx.sources],
+  run: (ctx) => [`./${ctx.artifact}`],
+});
+
+const interpreted = (interpreter, sourceFile, extra = {}) => ({
+  sourceFile,
+  toolchain: [interpreter],
+  run: (ctx) => [interpreter, ctx.sourceFile],
+  ...extra,
+});
+
+export const adapters = {
+  python: interpreted('python3', 'main.py', {
+    addressSpaceLimit: true,
+    outOfMemoryPatterns: [/^MemoryError/m],
+  }),
+
+  node: {
+    sourceFile: 'index.js',
+    toolchain: ['node'],
+    outOfMemoryPatterns: [/JavaScript heap out of memory/],
+    run: (ctx) => ['node', `--max-old-space-size=${ctx.memoryLimit}`, ctx.sourceFile],
+  },
+
+  typescript: {
+    sourceFile: 'index.ts',
+    artifact: (sourceFile) => sourceFile.replace(/\.ts$/, '.js'),
+    toolchain: ['tsc', 'node'],
+    outOfMemoryPatterns: [/JavaScript heap out of memory/],
+    compile: (ctx) => ['tsc', '--outDir', '.', '--rootDir', '.', ctx.sourceFile],
+    run: (ctx) => ['node', `--max-old-space-size=${ctx.memoryLimit}`, ctx.artifact],
+  },
+
+  gcc: compiled('gcc', 'main.c'),
+
+  'g++': compiled('g++', 'main.cpp'),
+
+  java: {
+    sourceFile: 'Main.java',
+    artifact: 'Main.class',
+    toolchain: ['javac', 'java'],
+    outOfMemoryPatterns: [/java\.lang\.OutOfMemoryError/],
+    compile: (ctx) => ['javac', ...ctx.sources],
+    // Main class from the entry path, e.g. app/Main.java -> app.Main
+    run: (ctx) => ['java', `-Xmx${ctx.memoryLimit}m`, '-cp', '.', ctx.sourceFile.replace(/\.java$/, '').replace(/\//g, '.')],
+  },
+
+  go: {
+    sourceFile: 'main.go',
+    artifact: 'main',
+    toolchain: ['go'],
+    buildCache: { env: 'GOCACHE', name: 'go-build' },
+    cacheArtifact: true,
+    compile: (ctx) => ['go', 'build', '-o', ctx.artifact, ...ctx.sources],
+    run: (ctx) => [`./${ctx.artifact}`],
+  },
+
+  php: interpreted('php', 'index.php'),
+
+  ruby: interpreted('ruby', 'main.rb'),
+};
+
+export default adapters;
@@ -0,0 +1,409 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import redis from '../libs/redis.js';
+import { transaction } from '../libs/db.js';
+import { codeExecutionQueue } from '../libs/queue.js';
+import Batch from '../models/Batch.js';
+import Execution from '../models/Execution.js';
+import Session from '../models/Session.js';
+import CodeExecutionService from './CodeExecutionService.js';
+import CollabService from './CollabService.js';
+import ExecutionService from './ExecutionService.js';
+import SafetyService from './SafetyService.js';
+import SnapshotService from './SnapshotService.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Batch runs: one snapshot of a session's code against many inputs
+ *
+ * Submitting creates the batch and one execution per input, then queues a
+ * single `batch` job. The worker that takes it compiles the snapshot once,
+ * shares the compiled files through Redis and queues every item as a regular
+ * execution job, so items run in parallel across the worker pool without
+ * compiling again. Each worker host fetches the build from Redis once per
+ * batch and unpacks it into BUILD_CACHE_DIR, which its items copy from.
+ */
+export class BatchService {
+  // Configuration
+  static JOB_NAME = 'batch';
+  static MAX_ITEMS = 100;
+  static MAX_TOTAL_INPUT_BYTES = 10 * 1024 * 1024;
+  static BUILD_KEY_PREFIX = 'batch:';
+  static BUILD_TTL = parseInt(process.env.BATCH_BUILD_TTL_SECONDS || 3600); // seconds
+  static BUILD_CACHE_DIR = process.env.BATCH_BUILD_CACHE_DIR || path.join(os.tmpdir(), 'code-exec-batch-builds');
+  static BUILD_META_FILE = 'meta.json';
+  static BUILD_FILES_DIR = 'files';
+  static TMP_PREFIX = '.tmp-';
+
+  static buildFetches = new Map(); // batch_id -> pending unpack, per worker process
+
+  static async submitBatch(sessionId, inputs, timeLimit, memoryLimit, options = {}) {
+    const { args = [], env = {} } = options;
+
+    // Live edits not yet written to the session
+    await CollabService.flush(sessionId);
+
+    const session = await Session.findWithLanguage(sessionId);
+    if (!session) {
+      throw httpError(404, `Session not found: ${sessionId}`);
+    }
+
+    if (session.status !== 'ACTIVE') {
+      throw httpError(400, `Session is not active: ${sessionId}`);
+    }
+
+    const inputValidation = this.validateInputs(inputs);
+    if (!inputValidation.valid) {
+      throw httpError(400, inputValidation.error);
+    }
+
+    const limits = ExecutionService.resolveLimits(session, timeLimit, memoryLimit);
+    const validation = SafetyService.validateExecutionParams(limits.timeLimit, limits.memoryLimit, session);
+    if (!validation.valid) {
+      throw httpError(400, `Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const runOptionsValidation = SafetyService.validateRunOptions(args, env);
+    if (!runOptionsValidation.valid) {
+      throw httpError(400, `Validation failed: ${runOptionsValidation.errors.join(', ')}`);
+    }
+
+    // The whole batch counts as one run
+    const abuseCheck = await SafetyService.checkExecutionAbuse(sessionId);
+    if (!abuseCheck.allowed) {
+      const error = httpError(429, abuseCheck.reason);
+      error.retryAfter = abuseCheck.retryAfter;
+      throw error;
+    }
+
+    const batchId = uuidv4();
+
+    const { batch, items } = await transaction(async (client) => {
+      const snapshot = await SnapshotService.capture(session, client);
+
+      const created = await Batch.create({
+        id: batchId,
+        session_id: sessionId,
+        source_code: snapshot.source_code,
+        entry_point: snapshot.entry_point,
+        files: snapshot.files,
+        args,
+        env,
+        time_limit_ms: limits.timeLimit,
+        memory_limit_mb: limits.memoryLimit,
+        total_items: inputs.length,
+      }, client);
+
+      const executions = [];
+      for (let i = 0; i < inputs.length; i++) {
+        executions.push(await Execution.create({
+          id: uuidv4(),
+          session_id: sessionId,
+          source_hash: snapshot.hash,
+          batch_id: batchId,
+          batch_index: i,
+          stdin: inputs[i],
+          args,
+          env,
+          time_limit_ms: limits.timeLimit,
+          memory_limit_mb: limits.memoryLimit,
+        }, client));
+      }
+
+      return { batch: created, items: executions };
+    });
+
+    await Promise.all(items.map(item => SafetyService.logExecutionEvent(item.id, 'QUEUED', {
+      session_id: sessionId,
+      batch_id: batchId,
+      batch_index: item.batch_index,
+    })));
+
+    await codeExecutionQueue.add(
+      this.JOB_NAME,
+      { batch_id: batchId, session_id: sessionId },
+      { jobId: batchId }
+    );
+
+    console.log(`[BatchService] Batch ${batchId} queued with ${items.length} items`);
+
+    return {
+      batch_id: batch.id,
+      status: batch.status,
+      total_items: batch.total_items,
+      time_limit_ms: batch.time_limit_ms,
+      memory_limit_mb: batch.memory_limit_mb,
+      items: items.map(item => ({ index: item.batch_index, execution_id: item.id })),
+    };
+  }
+
+  /**
+   * Inputs are the stdin of each item: a non-empty array of strings
+   */
+  static validateInputs(inputs) {
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      return { valid: false, error: 'inputs must be a non-empty array of strings' };
+    }
+
+    if (inputs.length > this.MAX_ITEMS) {
+      return { valid: false, error: `Too many inputs (max ${this.MAX_ITEMS})` };
+    }
+
+    let totalBytes = 0;
+    for (let i = 0; i < inputs.length; i++) {
+      if (typeof inputs[i] !== 'string') {
+        return { valid: false, error: `inputs[${i}] must be a string` };
+      }
+
+      const stdinValidation = CodeExecutionService.validateStdin(inputs[i]);
+      if (!stdinValidation.valid) {
+        return { valid: false, error: `inputs[${i}]: ${stdinValidation.error}` };
+      }
+
+      totalBytes += Buffer.byteLength(inputs[i]);
+    }
+
+    if (totalBytes > this.MAX_TOTAL_INPUT_BYTES) {
+      return { valid: false, error: `inputs exceed maximum total size (${this.MAX_TOTAL_INPUT_BYTES} bytes)` };
+    }
+
+    return { valid: true };
+  }
+
+  static async getBatch(batchId) {
+    const batch = await this.findBatch(batchId);
+    const items = await Execution.findByBatchId(batch.id);
+
+    const statusCounts = {};
+    for (const item of items) {
+      statusCounts[item.status] = (statusCounts[item.status] || 0) + 1;
+    }
+
+    const response = {
+      batch_id: batch.id,
+      session_id: batch.session_id,
+      status: batch.status,
+      total_items: batch.total_items,
+      finished_items: items.filter(item => ExecutionService.TERMINAL_STATUSES.includes(item.status)).length,
+      status_counts: statusCounts,
+      time_limit_ms: batch.time_limit_ms,
+      memory_limit_mb: batch.memory_limit_mb,
+      created_at: batch.created_at,
+      started_at: batch.started_at,
+      finished_at: batch.finished_at,
+    };
+
+    if (batch.args?.length) {
+      response.args = batch.args;
+    }
+    if (batch.env && Object.keys(batch.env).length > 0) {
+      response.env = batch.env;
+    }
+
+    if (batch.compile_time_ms !== null) {
+      response.compile_output = batch.compile_output || '';
+      response.compile_time_ms = batch.compile_time_ms;
+      response.compile_exit_code = batch.compile_exit_code;
+    }
+
+    response.items = items.map(item => this.formatItem(item));
+    return response;
+  }
+
+  static async findBatch(batchId) {
+    try {
+      const batch = await Batch.findById(batchId);
+      if (batch) {
+        return batch;
+      }
+    } catch (error) {
+      // Not a UUID
+      if (error.code !== '22P02') {
+        throw error;
+      }
+    }
+    throw httpError(404, `Batch not found: ${batchId}`);
+  }
+
+  static formatItem(item) {
+    const formatted = {
+      index: item.batch_index,
+      execution_id: item.id,
+      status: item.status,
+    };
+
+    if (ExecutionService.TERMINAL_STATUSES.includes(item.status)) {
+      formatted.stdout = item.stdout || '';
+      formatted.stderr = item.stderr || '';
+      formatted.exit_code = item.exit_code;
+      formatted.execution_time_ms = item.execution_time_ms;
+      Object.assign(formatted, ExecutionService.getMetrics(item));
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Queue every item that has not run yet
+   * Safe to repeat: queued items keep their job id (the execution id) and
+   * items that already started are skipped.
+   */
+  static async dispatchItems(batch) {
+    const items = (await Execution.findByBatchId(batch.id)).filter(item => item.status === 'QUEUED');
+
+    await codeExecutionQueue.addBulk(items.map(item => ({
+      name: 'execute',
+      data: {
+        execution_id: item.id,
+        session_id: batch.session_id,
+        batch_id: batch.id,
+        time_limit: batch.time_limit_ms,
+        memory_limit: batch.memory_limit_mb,
+        stdin: item.stdin || '',
+        args: batch.args || [],
+        env: batch.env || {},
+      },
+      opts: { jobId: item.id },
+    })));
+
+    return items.length;
+  }
+
+  /**
+   * End a batch whose compile step failed: every item gets the batch's
+   * status (COMPILATION_ERROR or INTERNAL_ERROR) without running
+   */
+  static async failBatch(batch, result) {
+    const items = await Execution.finishBatchItems(batch.id, {
+      status: result.status,
+      stderr: result.stderr || '',
+      compile_output: result.compile_output ?? null,
+      compile_time_ms: result.compile_time_ms ?? null,
+      compile_exit_code: result.compile_exit_code ?? null,
+    });
+    await Batch.updateStatus(batch.id, result.status, new Date());
+
+    for (const item of items) {
+      await SafetyService.logExecutionEvent(item.id, result.status, {
+        session_id: batch.session_id,
+        batch_id: batch.id,
+      });
+    }
+  }
+
+  /**
+   * Called after each item reaches its final status
+   */
+  static async onItemFinished(batchId) {
+    const completed = await Batch.completeIfFinished(batchId);
+    if (completed) {
+      console.log(`[BatchService] Batch ${batchId} completed`);
+    }
+  }
+
+  static getBuildKey(batchId) {
+    return `${this.BUILD_KEY_PREFIX}${batchId}:build`;
+  }
+
+  /**
+   * Share the compiled files with the items
+   * Without them (Redis failure, expiry) items simply compile themselves.
+   */
+  static async saveBuild(batchId, build) {
+    try {
+      await redis.set(this.getBuildKey(batchId), JSON.stringify(build), 'EX', this.BUILD_TTL);
+    } catch (error) {
+      console.error(`[BatchService] Failed to store build of batch ${batchId}:`, error.message);
+    }
+  }
+
+  /**
+   * The batch's build unpacked on this host ({ compile_output, dir }), or null
+   * Only the first item of a batch on a host loads it from Redis; concurrent
+   * items wait for that load instead of starting their own.
+   */
+  static async getBuild(batchId) {
+    const entryDir = path.join(this.BUILD_CACHE_DIR, batchId);
+
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(entryDir, this.BUILD_META_FILE), 'utf8'));
+      return { compile_output: meta.compile_output, dir: path.join(entryDir, this.BUILD_FILES_DIR) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[BatchService] Failed to read local build of batch ${batchId}:`, error.message);
+        return null;
+      }
+    }
+
+    if (!this.buildFetches.has(batchId)) {
+      const fetch = this.fetchBuild(batchId, entryDir).finally(() => this.buildFetches.delete(batchId));
+      this.buildFetches.set(batchId, fetch);
+    }
+    return this.buildFetches.get(batchId);
+  }
+
+  /**
+   * Load the build from Redis into entryDir
+   * Written to a temp directory and renamed into place, so other worker
+   * processes on the host never see a partial build.
+   */
+  static async fetchBuild(batchId, entryDir) {
+    const tmpDir = path.join(this.BUILD_CACHE_DIR, `${this.TMP_PREFIX}${batchId}-${process.pid}-${Math.random().toString(36).substr(2, 9)}`);
+
+    try {
+      const stored = await redis.get(this.getBuildKey(batchId));
+      if (!stored) {
+        return null;
+      }
+
+      const build = JSON.parse(stored);
+      const filesDir = path.join(tmpDir, this.BUILD_FILES_DIR);
+      await fs.mkdir(filesDir, { recursive: true });
+      await CodeExecutionService.writeBuild(filesDir, build.files);
+      await fs.writeFile(path.join(tmpDir, this.BUILD_META_FILE), JSON.stringify({ compile_output: build.compile_output }));
+
+      try {
+        await fs.rename(tmpDir, entryDir);
+      } catch (error) {
+        // Another worker process on this host unpacked it first
+        if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      await this.pruneBuilds();
+      return { compile_output: build.compile_output, dir: path.join(entryDir, this.BUILD_FILES_DIR) };
+    } catch (error) {
+      console.error(`[BatchService] Failed to load build of batch ${batchId}:`, error.message);
+      return null;
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Remove unpacked builds older than BUILD_TTL; their Redis copy is gone too
+   */
+  static async pruneBuilds() {
+    const cutoff = Date.now() - this.BUILD_TTL * 1000;
+
+    for (const name of await fs.readdir(this.BUILD_CACHE_DIR)) {
+      if (name.startsWith(this.TMP_PREFIX)) continue;
+
+      const entryDir = path.join(this.BUILD_CACHE_DIR, name);
+      const stat = await fs.stat(entryDir).catch(() => null);
+      if (stat && stat.mtimeMs < cutoff) {
+        await fs.rm(entryDir, { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+export default BatchService;
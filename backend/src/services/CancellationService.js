@@ -0,0 +1,39 @@
+import redis from '../libs/redis.js';
+import StreamService from './StreamService.js';
+
+/**
+ * Cancellation requests for running executions
+ *
+ * The API cannot reach the worker process that owns a running execution, so
+ * a request is both stored (for a worker that has not registered the job yet)
+ * and published on a shared channel every worker listens to.
+ */
+export class CancellationService {
+  // Configuration
+  static CHANNEL = 'executions:cancel';
+  static KEY_PREFIX = 'execution:';
+  static TTL = 3600; // seconds, longer than any job can wait in the queue
+
+  static getKey(executionId) {
+    return `${this.KEY_PREFIX}${executionId}:cancel`;
+  }
+
+  static async requestCancel(executionId) {
+    await redis.set(this.getKey(executionId), '1', 'EX', this.TTL);
+    await redis.publish(this.CHANNEL, JSON.stringify({ execution_id: executionId }));
+  }
+
+  static async isCancelRequested(executionId) {
+    return (await redis.exists(this.getKey(executionId))) === 1;
+  }
+
+  /**
+   * Receive cancellation requests ({ execution_id }) from any API instance
+   * Returns an unsubscribe function
+   */
+  static onCancelRequest(handler) {
+    return StreamService.listen(this.CHANNEL, handler);
+  }
+}
+
+export default CancellationService;
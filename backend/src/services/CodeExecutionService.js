@@ -1,154 +1,266 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-
-const execAsync = promisify(exec);
+import RuntimeRegistry from '../runtimes/RuntimeRegistry.js';
+import ProcessRunner from '../runtimes/ProcessRunner.js';
+import Sandbox from '../runtimes/Sandbox.js';
+import ArtifactCache from '../runtimes/ArtifactCache.js';
 
 export class CodeExecutionService {
-  static async executeCode(language, sourceCode, timeLimit = 5000, memoryLimit = 256) {
+  static COMPILE_TIMEOUT_MS = parseInt(process.env.COMPILE_TIMEOUT_MS || 10000);
+  static MAX_OUTPUT_BYTES = 10 * 1024 * 1024; // 10MB combined stdout/stderr
+  static MAX_PROJECT_FILES = 50; // files besides the entry point
+  static MAX_PROJECT_BYTES = 5 * 1024 * 1024; // all files of a session together
+  static MAX_PATH_LENGTH = 255;
+  static MAX_PATH_DEPTH = 8;
+  static MAX_BUILD_BYTES = 64 * 1024 * 1024; // compile outputs shared with other runs
+
+  // Reported on stderr when a program killed by a signal printed nothing
+  static SIGNAL_DESCRIPTIONS = {
+    SIGSEGV: 'Segmentation fault',
+    SIGFPE: 'Floating point exception',
+    SIGABRT: 'Aborted',
+    SIGBUS: 'Bus error',
+    SIGILL: 'Illegal instruction',
+    SIGKILL: 'Killed',
+    SIGTERM: 'Terminated',
+    SIGPIPE: 'Broken pipe',
+    SIGXCPU: 'CPU time limit exceeded',
+    SIGXFSZ: 'File size limit exceeded',
+  };
+
+  /**
+   * Compile (when needed) and run a program
+   *
+   * Options:
+   * - onOutput(stream, chunk): receives program stdout/stderr as it is produced
+   * - signal: AbortSignal cancelling the run; compile and run steps are killed
+   *   and the result has status CANCELLED
+   * - files: other project files ([{ path, content }]) written next to the entry file
+   * - entryPoint: path sourceCode is written to, defaults to the adapter's file name
+   * - args: command-line arguments appended to the program's argv
+   * - env: extra environment variables for the program (not the compiler)
+   * - compileOnly: stop after the compile step; a successful result carries
+   *   `build`, the files the compiler produced (see collectBuild)
+   * - build: files from an earlier compileOnly run, unpacked into a local
+   *   directory ({ dir, compile_output }); they are copied instead of
+   *   compiling (compile_cached: true)
+   * - idleTimeoutMs: end the run (TIMEOUT) after this long without input or
+   *   output; meant for interactive runs, whose stdin is a Readable
+   */
+  static async executeCode(language, sourceCode, timeLimit = 5000, memoryLimit = 256, stdin = '', options = {}) {
+    const {
+      onOutput = null,
+      signal = null,
+      files = [],
+      entryPoint = null,
+      args = [],
+      env = {},
+      compileOnly = false,
+      build = null,
+      idleTimeoutMs = null,
+    } = options;
     const tmpDir = path.join(os.tmpdir(), `code-exec-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+    const sandboxed = Sandbox.isEnabled();
+    let sandbox = null;
     
     try {
+      const adapter = RuntimeRegistry.resolve(language);
+      if (!adapter) {
+        throw new Error(`Unsupported language: ${language.runtime}`);
+      }
+
+      if (sandboxed && !(await Sandbox.isSupported())) {
+        throw new Error('Sandbox is enabled but not supported on this host (requires Linux with util-linux)');
+      }
+
       await fs.mkdir(tmpDir, { recursive: true });
 
-      let fileName, executeCommand;
-
-      switch (language.runtime) {
-        case 'python':
-          fileName = 'main.py';
-          executeCommand = `python3 "${path.join(tmpDir, fileName)}"`;
-          break;
-
-        case 'node':
-          fileName = 'index.js';
-          executeCommand = `node "${path.join(tmpDir, fileName)}"`;
-          break;
-
-        case 'gcc':
-          fileName = 'main.c';
-          const execFile = path.join(tmpDir, 'main');
-          await fs.writeFile(path.join(tmpDir, fileName), sourceCode);
-          const compileCmd = `gcc -o "${execFile}" "${path.join(tmpDir, fileName)}" 2>&1`;
-          try {
-            const { stdout: compileOut, stderr: compileErr } = await execAsync(compileCmd, { timeout: Math.max(timeLimit, 10000) });
-            const compileOutput = compileOut || compileErr || '';
-            if (compileOutput.toLowerCase().includes('error') || compileOutput.toLowerCase().includes('not found')) {
-              return {
-                status: 'FAILED',
-                stdout: '',
-                stderr: compileOutput || 'Compilation failed - gcc may not be installed',
-                execution_time_ms: 0,
-                exit_code: 1,
-                timeout: false,
-              };
-            }
-          } catch (compileError) {
-            const errorMsg = compileError.message || 'Compilation failed';
-            const stderr = compileError.stderr || compileError.stdout || errorMsg;
-            return {
-              status: 'FAILED',
-              stdout: '',
-              stderr: stderr || 'Compilation failed - gcc may not be installed',
-              execution_time_ms: 0,
-              exit_code: 1,
-              timeout: false,
-            };
-          }
-          executeCommand = `"${execFile}"`;
-          break;
-
-        case 'g++':
-          fileName = 'main.cpp';
-          const cppExecFile = path.join(tmpDir, 'main');
-          await fs.writeFile(path.join(tmpDir, fileName), sourceCode);
-          const cppCompileCmd = `g++ -o "${cppExecFile}" "${path.join(tmpDir, fileName)}" 2>&1`;
-          try {
-            const { stdout: cppCompileOut, stderr: cppCompileErr } = await execAsync(cppCompileCmd, { timeout: Math.max(timeLimit, 10000) });
-            const compileOutput = cppCompileOut || cppCompileErr || '';
-            if (compileOutput.toLowerCase().includes('error') || compileOutput.toLowerCase().includes('not found')) {
-              return {
-                status: 'FAILED',
-                stdout: '',
-                stderr: compileOutput || 'Compilation failed - g++ may not be installed',
-                execution_time_ms: 0,
-                exit_code: 1,
-                timeout: false,
-              };
-            }
-          } catch (cppCompileError) {
-            const errorMsg = cppCompileError.message || 'Compilation failed';
-            const stderr = cppCompileError.stderr || cppCompileError.stdout || errorMsg;
-            return {
-              status: 'FAILED',
-              stdout: '',
-              stderr: stderr || 'Compilation failed - g++ may not be installed',
-              execution_time_ms: 0,
-              exit_code: 1,
-              timeout: false,
-            };
-          }
-          executeCommand = `"${cppExecFile}"`;
-          break;
-
-        default:
-          throw new Error(`Unsupported language: ${language.runtime}`);
-      }
-
-      await fs.writeFile(path.join(tmpDir, fileName), sourceCode);
-
-      const startTime = Date.now();
-      try {
-        const { stdout, stderr } = await execAsync(executeCommand, { 
-          timeout: timeLimit,
-          maxBuffer: memoryLimit * 1024 * 1024
-        });
-        const executionTime = Date.now() - startTime;
+      const sourceFile = entryPoint || adapter.sourceFile;
+      const project = [
+        ...files.filter(file => file.path !== sourceFile),
+        { path: sourceFile, content: sourceCode },
+      ];
+      await this.writeProject(tmpDir, project);
 
-        return {
-          status: 'COMPLETED',
-          stdout: stdout || '',
-          stderr: stderr || '',
-          execution_time_ms: executionTime,
-          exit_code: 0,
-          timeout: false,
+      let buildWriteMs = null;
+      if (adapter.compile && build) {
+        const writeStart = Date.now();
+        await fs.cp(build.dir, tmpDir, { recursive: true });
+        buildWriteMs = Date.now() - writeStart;
+      }
+
+      const paths = project.map(file => file.path);
+      const ctx = {
+        sourceFile,
+        files: paths,
+        // Entry first, then the other files in the same language (e.g. gcc *.c)
+        sources: [sourceFile, ...paths.filter(p => p !== sourceFile && path.extname(p) === path.extname(sourceFile))],
+        artifact: typeof adapter.artifact === 'function' ? adapter.artifact(sourceFile) : adapter.artifact,
+        memoryLimit,
+      };
+
+      if (sandboxed) {
+        sandbox = await Sandbox.prepare(tmpDir);
+      }
+
+      const home = sandboxed ? Sandbox.WORK_DIR : tmpDir;
+      const launch = (argv, { cacheDir = null, userEnv = {} } = {}) => (sandboxed
+        ? Sandbox.wrap(argv, { workDir: tmpDir, rootDir: sandbox.rootDir, cacheDir, userEnv })
+        : Sandbox.withUserEnv(argv, userEnv));
+
+      let compilation = null;
+      if (adapter.compile && build) {
+        compilation = {
+          compile_output: build.compile_output || '',
+          compile_time_ms: buildWriteMs,
+          compile_exit_code: 0,
+          compile_cached: true,
         };
-      } catch (error) {
-        const executionTime = Date.now() - startTime;
+      } else if (adapter.compile) {
+        compilation = await this.compile(adapter, ctx, {
+          cwd: tmpDir,
+          home,
+          sandboxed,
+          launch,
+          timeLimit,
+          signal,
+          cacheKey: adapter.cacheArtifact && ArtifactCache.ENABLED
+            ? ArtifactCache.getKey({
+              runtime: language.runtime,
+              version: language.version,
+              argv: adapter.compile(ctx),
+              files: project,
+            })
+            : null,
+        });
 
-        if (error.killed) {
+        if (signal?.aborted) {
+          return this.cancelledResult({ ...compilation });
+        }
+
+        if (compilation.compile_exit_code !== 0) {
           return {
-            status: 'TIMEOUT',
-            stdout: error.stdout || '',
-            stderr: error.stderr || 'Execution timeout',
-            execution_time_ms: executionTime,
+            status: 'COMPILATION_ERROR',
+            stdout: '',
+            stderr: '',
+            execution_time_ms: null,
             exit_code: null,
-            timeout: true,
+            timeout: false,
+            ...compilation,
           };
         }
+      }
 
+      if (compileOnly) {
         return {
-          status: 'FAILED',
-          stdout: error.stdout || '',
-          stderr: error.stderr || error.message,
-          execution_time_ms: executionTime,
-          exit_code: error.code || 1,
+          status: 'COMPLETED',
+          stdout: '',
+          stderr: '',
+          execution_time_ms: null,
+          exit_code: null,
           timeout: false,
+          ...compilation,
+          build: compilation ? await this.collectBuild(tmpDir, paths) : null,
+        };
+      }
+
+      // The run's variables never override the ones the worker sets
+      const programEnv = Sandbox.buildEnv({ home });
+      const userEnv = Object.fromEntries(Object.entries(env).filter(([name]) => !(name in programEnv)));
+
+      const result = await ProcessRunner.run(await launch([...adapter.run(ctx), ...args], { userEnv }), {
+        cwd: tmpDir,
+        env: programEnv,
+        stdin,
+        timeoutMs: timeLimit,
+        idleTimeoutMs,
+        memoryLimitMb: memoryLimit,
+        addressSpaceLimit: adapter.addressSpaceLimit,
+        maxOutputBytes: this.MAX_OUTPUT_BYTES,
+        onOutput,
+        signal,
+      });
+
+      const base = {
+        stdout: result.stdout,
+        stderr: result.stderr,
+        execution_time_ms: result.durationMs,
+        timeout: false,
+        ...this.getMetrics(result),
+        ...compilation,
+      };
+
+      if (result.cancelled) {
+        return this.cancelledResult(base);
+      }
+
+      if (result.memoryExceeded || this.isOutOfMemory(adapter, result)) {
+        return {
+          ...base,
+          status: 'MEMORY_LIMIT_EXCEEDED',
+          stderr: result.stderr || `Memory limit exceeded (${memoryLimit}MB)`,
+          exit_code: result.exitCode,
+        };
+      }
+
+      if (result.timedOut) {
+        return {
+          ...base,
+          status: 'TIMEOUT',
+          stderr: result.stderr || 'Execution timeout',
+          exit_code: null,
+          timeout: true,
+        };
+      }
+
+      if (result.idleTimedOut) {
+        return {
+          ...base,
+          status: 'TIMEOUT',
+          stderr: [result.stderr, `Idle timeout: no input or output for ${idleTimeoutMs}ms`].filter(Boolean).join('\n'),
+          exit_code: null,
+          timeout: true,
+        };
+      }
+
+      if (result.outputExceeded) {
+        return {
+          ...base,
+          status: 'OUTPUT_LIMIT_EXCEEDED',
+          stderr: `${result.stderr}\nOutput limit exceeded (${this.MAX_OUTPUT_BYTES} bytes)`,
+          exit_code: null,
+        };
+      }
+
+      // Non-zero exit code, or killed by a signal (exit code null)
+      if (result.exitCode !== 0) {
+        return {
+          ...base,
+          status: 'RUNTIME_ERROR',
+          stderr: result.stderr || this.describeSignal(result.signal),
+          exit_code: result.exitCode,
         };
       }
+
+      return {
+        ...base,
+        status: 'COMPLETED',
+        exit_code: 0,
+      };
     } catch (error) {
       console.error('[CodeExecutionService] Error:', error);
       return {
-        status: 'FAILED',
+        status: 'INTERNAL_ERROR',
         stdout: '',
         stderr: error.message,
-        execution_time_ms: 0,
-        exit_code: 1,
+        execution_time_ms: null,
+        exit_code: null,
         timeout: false,
       };
     } finally {
       try {
+        await sandbox?.cleanup();
         await fs.rm(tmpDir, { recursive: true, force: true });
       } catch (cleanupError) {
         console.warn('[CodeExecutionService] Failed to cleanup temp dir:', cleanupError);
@@ -156,6 +268,228 @@ export class CodeExecutionService {
     }
   }
 
+  /**
+   * Run the adapter's compile step
+   * Success is decided by the compiler's exit code only; warnings are kept in
+   * compile_output without failing the run. With a cacheKey the artifact is
+   * taken from ArtifactCache when present (compile_cached: true) and stored
+   * there after a successful compile.
+   */
+  static async compile(adapter, ctx, { cwd, home, sandboxed, launch, timeLimit, signal = null, cacheKey = null }) {
+    const artifactPath = path.join(cwd, ctx.artifact);
+    if (cacheKey) {
+      const lookupStart = Date.now();
+      const cached = await ArtifactCache.lookup(cacheKey, artifactPath);
+      if (cached) {
+        return {
+          compile_output: cached.compile_output || '',
+          compile_time_ms: Date.now() - lookupStart,
+          compile_exit_code: 0,
+          compile_cached: true,
+        };
+      }
+    }
+
+    const compileArgv = adapter.compile(ctx);
+    const extraEnv = {};
+    let cacheDir = null;
+    if (adapter.buildCache) {
+      cacheDir = await this.getBuildCacheDir(adapter.buildCache.name, sandboxed);
+      extraEnv[adapter.buildCache.env] = sandboxed ? Sandbox.CACHE_DIR : cacheDir;
+    }
+
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await ProcessRunner.run(await launch(compileArgv, { cacheDir }), {
+        cwd,
+        env: Sandbox.buildEnv({ home, extra: extraEnv }),
+        timeoutMs: Math.max(timeLimit, this.COMPILE_TIMEOUT_MS),
+        maxOutputBytes: this.MAX_OUTPUT_BYTES,
+        signal,
+      });
+    } catch (compileError) {
+      return {
+        compile_output: `Compilation failed - ${compileArgv[0]} may not be installed (${compileError.message})`,
+        compile_time_ms: Date.now() - startTime,
+        compile_exit_code: null,
+        compile_cached: false,
+      };
+    }
+
+    let output = `${result.stdout}${result.stderr}`;
+    if (result.timedOut) {
+      output = [output, `Compilation timed out after ${Math.max(timeLimit, this.COMPILE_TIMEOUT_MS)}ms`]
+        .filter(Boolean)
+        .join('\n');
+    }
+
+    const compileExitCode = result.timedOut ? null : result.exitCode;
+    if (cacheKey && compileExitCode === 0 && !result.cancelled) {
+      await ArtifactCache.store(cacheKey, artifactPath, { compile_output: output });
+    }
+
+    return {
+      compile_output: output,
+      compile_time_ms: result.durationMs,
+      compile_exit_code: compileExitCode,
+      compile_cached: false,
+    };
+  }
+
+  /**
+   * Write project files into the working directory, creating subdirectories
+   */
+  static async writeProject(dir, files) {
+    for (const file of files) {
+      const validation = this.validateFilePath(file.path);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      const target = path.join(dir, file.path);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, file.content);
+    }
+  }
+
+  /**
+   * Files the compile step added to the working directory (binaries, .class
+   * files, transpiled .js) as [{ path, mode, content (base64) }], so other
+   * runs of the same code can skip compiling; null above MAX_BUILD_BYTES
+   */
+  static async collectBuild(dir, sourcePaths) {
+    const sources = new Set(sourcePaths);
+    const files = [];
+    let totalBytes = 0;
+
+    const walk = async (relativeDir) => {
+      for (const entry of await fs.readdir(path.join(dir, relativeDir), { withFileTypes: true })) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (!(await walk(relativePath))) return false;
+          continue;
+        }
+        if (!entry.isFile() || sources.has(relativePath)) continue;
+
+        // Sized before reading, so oversized output is never loaded
+        const fullPath = path.join(dir, relativePath);
+        const stat = await fs.stat(fullPath);
+        totalBytes += stat.size;
+        if (totalBytes > this.MAX_BUILD_BYTES) return false;
+
+        const content = await fs.readFile(fullPath);
+        files.push({ path: relativePath, mode: stat.mode & 0o777, content: content.toString('base64') });
+      }
+      return true;
+    };
+
+    return (await walk('')) ? files : null;
+  }
+
+  /**
+   * Write files collected by collectBuild into a working directory
+   */
+  static async writeBuild(dir, files) {
+    for (const file of files) {
+      const validation = this.validateFilePath(file.path);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      const target = path.join(dir, file.path);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, Buffer.from(file.content, 'base64'));
+      await fs.chmod(target, file.mode);
+    }
+  }
+
+  /**
+   * Resource usage of a finished run in execution record fields
+   */
+  static getMetrics(result) {
+    const { cpuUserMs, cpuSystemMs, wallTimeMs, peakMemoryKb } = result.usage;
+    const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+    return {
+      cpu_user_ms: round(cpuUserMs),
+      cpu_system_ms: round(cpuSystemMs),
+      wall_time_ms: round(wallTimeMs),
+      peak_memory_kb: peakMemoryKb,
+      signal: result.signal || null,
+    };
+  }
+
+  static describeSignal(signal) {
+    if (!signal) {
+      return '';
+    }
+
+    const description = this.SIGNAL_DESCRIPTIONS[signal];
+    return description ? `${description} (${signal})` : `Terminated by ${signal}`;
+  }
+
+  static cancelledResult(partial = {}) {
+    return {
+      stdout: '',
+      execution_time_ms: null,
+      ...partial,
+      status: 'CANCELLED',
+      stderr: partial.stderr || 'Execution cancelled',
+      exit_code: null,
+      timeout: false,
+    };
+  }
+
+  /**
+   * Persistent compiler cache directory shared by runs on this worker
+   */
+  static async getBuildCacheDir(name, sandboxed) {
+    const root = process.env.BUILD_CACHE_DIR || path.join(os.tmpdir(), 'code-exec-build-cache');
+    const dir = path.join(root, name);
+    await fs.mkdir(dir, { recursive: true });
+
+    if (sandboxed && process.getuid && process.getuid() === 0) {
+      await fs.chown(dir, Sandbox.SANDBOX_UID, Sandbox.SANDBOX_UID);
+    }
+
+    return dir;
+  }
+
+  static isOutOfMemory(adapter, result) {
+    if (result.exitCode === 0) {
+      return false;
+    }
+
+    return (adapter.outOfMemoryPatterns || []).some(pattern => pattern.test(result.stderr));
+  }
+
+  /**
+   * Validate a project file path: relative, '/'-separated, no '.' or '..'
+   * segments, and only portable file name characters
+   */
+  static validateFilePath(filePath) {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      return { valid: false, error: 'File path is required' };
+    }
+
+    if (filePath.length > this.MAX_PATH_LENGTH) {
+      return { valid: false, error: `File path exceeds maximum length (${this.MAX_PATH_LENGTH})` };
+    }
+
+    const segments = filePath.split('/');
+    if (segments.length > this.MAX_PATH_DEPTH) {
+      return { valid: false, error: `File path is nested too deeply (max ${this.MAX_PATH_DEPTH} levels)` };
+    }
+
+    const invalid = segments.some(segment => !/^[A-Za-z0-9_.-]+$/.test(segment) || segment === '.' || segment === '..');
+    if (invalid) {
+      return { valid: false, error: `Invalid file path: ${filePath}` };
+    }
+
+    return { valid: true };
+  }
+
   static validateCode(sourceCode) {
     if (!sourceCode || sourceCode.trim().length === 0) {
       return { valid: false, error: 'Source code cannot be empty' };
@@ -167,6 +501,22 @@ export class CodeExecutionService {
 
     return { valid: true };
   }
+
+  static validateStdin(stdin) {
+    if (stdin === undefined || stdin === null) {
+      return { valid: true };
+    }
+
+    if (typeof stdin !== 'string') {
+      return { valid: false, error: 'stdin must be a string' };
+    }
+
+    if (Buffer.byteLength(stdin) > 1000000) {
+      return { valid: false, error: 'stdin exceeds maximum size (1MB)' };
+    }
+
+    return { valid: true };
+  }
 }
 
 export default CodeExecutionService;
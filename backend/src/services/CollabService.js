@@ -0,0 +1,608 @@
+import { v4 as uuidv4 } from 'uuid';
+import { transaction } from '../libs/db.js';
+import redis from '../libs/redis.js';
+import Session from '../models/Session.js';
+import RevisionService from './RevisionService.js';
+import StreamService from './StreamService.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delete the lock only while it is still ours
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isDelete = (component) => typeof component === 'number' && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+/**
+ * Collaborative editing of a session's entry file
+ *
+ * Clients exchange text operations (operational transformation, same format
+ * and transform rules as ot.js): an operation is an array of components that
+ * walks the whole document, where a positive number retains that many
+ * characters, a negative number deletes them and a string inserts it.
+ *
+ * The document, its revision and the last operations live in Redis, so any
+ * API instance can serve any client. Operations are applied under a
+ * per-session lock: one based on an older revision is transformed against
+ * everything applied since, then published in revision order on the
+ * session's channel. The merged text is written to sessions.source_code
+ * every PERSIST_INTERVAL_MS while edits arrive, and on demand before a run.
+ * Changes made outside the channel (PATCH, restores) are merged in as an
+ * edit of their own when the document is persisted.
+ */
+export class CollabService {
+  // Configuration
+  static KEY_PREFIX = 'collab:';
+  static TTL = 3600; // seconds without edits before Redis forgets the document
+  static MAX_HISTORY = 1000; // operations kept to transform late clients against
+  static MAX_DOCUMENT_LENGTH = 1000000; // characters, same as source_code
+  static MAX_OPERATION_COMPONENTS = 10000;
+  static MAX_INSERT_LENGTH = 65536; // characters inserted per operation
+  static MAX_NAME_LENGTH = 50;
+  static PERSIST_INTERVAL_MS = parseInt(process.env.COLLAB_PERSIST_INTERVAL_MS || 2000);
+  static PRESENCE_TTL_MS = 90000; // peers not seen for this long are dropped
+  static LOCK_TTL_MS = 5000;
+  static LOCK_RETRY_MS = 20;
+  static LOCK_ATTEMPTS = 100;
+  static SERVER_CLIENT_ID = 'server';
+
+  static persistTimers = new Map(); // session_id -> timer, per API instance
+
+  static getKey(sessionId, suffix = '') {
+    return `${this.KEY_PREFIX}${sessionId}${suffix}`;
+  }
+
+  static getChannel(sessionId) {
+    return this.getKey(sessionId, ':events');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Text operations
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Append a component, merging it with the previous one of the same kind
+   * Inserts are kept before adjacent deletes so equal edits compare equal.
+   */
+  static pushComponent(operation, component) {
+    if (component === 0 || component === '') {
+      return operation;
+    }
+
+    const last = operation[operation.length - 1];
+    if (isInsert(component) && isDelete(last)) {
+      const beforeLast = operation[operation.length - 2];
+      if (isInsert(beforeLast)) {
+        operation[operation.length - 2] = beforeLast + component;
+      } else {
+        operation.splice(operation.length - 1, 0, component);
+      }
+    } else if (
+      (isInsert(component) && isInsert(last)) ||
+      (isRetain(component) && isRetain(last)) ||
+      (isDelete(component) && isDelete(last))
+    ) {
+      operation[operation.length - 1] = last + component;
+    } else {
+      operation.push(component);
+    }
+
+    return operation;
+  }
+
+  static validateOperation(operation) {
+    if (!Array.isArray(operation) || operation.length === 0) {
+      return { valid: false, error: 'op must be a non-empty array' };
+    }
+
+    if (operation.length > this.MAX_OPERATION_COMPONENTS) {
+      return { valid: false, error: `op has too many components (max ${this.MAX_OPERATION_COMPONENTS})` };
+    }
+
+    let inserted = 0;
+    for (const component of operation) {
+      if (isInsert(component)) {
+        inserted += component.length;
+      } else if (!Number.isInteger(component) || component === 0) {
+        return { valid: false, error: 'op components must be non-zero integers or strings' };
+      }
+    }
+
+    if (inserted > this.MAX_INSERT_LENGTH) {
+      return { valid: false, error: `op inserts too much text (max ${this.MAX_INSERT_LENGTH} characters)` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Apply an operation to a document; it must span the whole document
+   */
+  static apply(document, operation) {
+    const parts = [];
+    let index = 0;
+
+    for (const component of operation) {
+      if (isInsert(component)) {
+        parts.push(component);
+      } else if (isRetain(component)) {
+        if (index + component > document.length) {
+          throw httpError(400, 'Operation retains past the end of the document');
+        }
+        parts.push(document.slice(index, index + component));
+        index += component;
+      } else {
+        if (index - component > document.length) {
+          throw httpError(400, 'Operation deletes past the end of the document');
+        }
+        index -= component;
+      }
+    }
+
+    if (index !== document.length) {
+      throw httpError(400, 'Operation does not span the whole document');
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * Transform two operations made on the same document
+   * Returns [a', b'] so that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+   * When both insert at the same position, a's text goes first.
+   */
+  static transform(a, b) {
+    const aPrime = [];
+    const bPrime = [];
+    let i = 0;
+    let j = 0;
+    let x = a[i++];
+    let y = b[j++];
+
+    while (x !== undefined || y !== undefined) {
+      if (isInsert(x)) {
+        this.pushComponent(aPrime, x);
+        this.pushComponent(bPrime, x.length);
+        x = a[i++];
+        continue;
+      }
+      if (isInsert(y)) {
+        this.pushComponent(aPrime, y.length);
+        this.pushComponent(bPrime, y);
+        y = b[j++];
+        continue;
+      }
+      if (x === undefined || y === undefined) {
+        throw httpError(400, 'Operations were made on documents of different lengths');
+      }
+
+      const xLength = Math.abs(x);
+      const yLength = Math.abs(y);
+      const length = Math.min(xLength, yLength);
+
+      if (isRetain(x) && isRetain(y)) {
+        this.pushComponent(aPrime, length);
+        this.pushComponent(bPrime, length);
+      } else if (isDelete(x) && isRetain(y)) {
+        this.pushComponent(aPrime, -length);
+      } else if (isRetain(x) && isDelete(y)) {
+        this.pushComponent(bPrime, -length);
+      }
+      // Both deleting the same text: nothing left to do for either
+
+      x = xLength > length ? Math.sign(x) * (xLength - length) : a[i++];
+      y = yLength > length ? Math.sign(y) * (yLength - length) : b[j++];
+    }
+
+    return [aPrime, bPrime];
+  }
+
+  /**
+   * Smallest single-range operation turning `from` into `to`
+   */
+  static replaceOperation(from, to) {
+    let prefix = 0;
+    while (prefix < from.length && prefix < to.length && from[prefix] === to[prefix]) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (
+      suffix < from.length - prefix && suffix < to.length - prefix &&
+      from[from.length - 1 - suffix] === to[to.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const operation = [];
+    this.pushComponent(operation, prefix);
+    this.pushComponent(operation, -(from.length - prefix - suffix));
+    this.pushComponent(operation, to.slice(prefix, to.length - suffix));
+    this.pushComponent(operation, suffix);
+    return operation;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Shared document
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run fn while holding the session's document lock
+   */
+  static async withLock(sessionId, fn) {
+    const key = this.getKey(sessionId, ':lock');
+    const token = uuidv4();
+
+    let acquired = false;
+    for (let attempt = 0; attempt < this.LOCK_ATTEMPTS && !acquired; attempt++) {
+      acquired = (await redis.set(key, token, 'PX', this.LOCK_TTL_MS, 'NX')) === 'OK';
+      if (!acquired) {
+        await sleep(this.LOCK_RETRY_MS);
+      }
+    }
+
+    if (!acquired) {
+      throw httpError(503, 'Document is busy, retry');
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await redis.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+    }
+  }
+
+  /**
+   * Read the shared document (lock held); null when no one is editing
+   */
+  static async readState(sessionId) {
+    const [document, revision, savedRevision, savedText] = await redis.hmget(
+      this.getKey(sessionId),
+      'document',
+      'revision',
+      'saved_revision',
+      'saved_text'
+    );
+
+    if (document === null || revision === null) {
+      return null;
+    }
+
+    return {
+      document,
+      revision: parseInt(revision),
+      savedRevision: parseInt(savedRevision),
+      savedText,
+    };
+  }
+
+  /**
+   * Read the shared document, starting it from the stored code if needed (lock held)
+   */
+  static async loadState(sessionId) {
+    const state = await this.readState(sessionId);
+    if (state) {
+      return state;
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      throw httpError(404, `Session not found: ${sessionId}`);
+    }
+
+    const initial = { document: session.source_code, revision: 0, savedRevision: 0, savedText: session.source_code };
+    await redis
+      .multi()
+      .del(this.getKey(sessionId, ':ops'))
+      .hset(this.getKey(sessionId), {
+        document: initial.document,
+        revision: initial.revision,
+        saved_revision: initial.savedRevision,
+        saved_text: initial.savedText,
+      })
+      .expire(this.getKey(sessionId), this.TTL)
+      .exec();
+
+    return initial;
+  }
+
+  /**
+   * Current text and revision, for clients joining the channel
+   */
+  static async getDocument(sessionId) {
+    const state = await this.withLock(sessionId, () => this.loadState(sessionId));
+    return { document: state.document, revision: state.revision };
+  }
+
+  /**
+   * Transform an operation made at `revision` up to the current revision,
+   * apply it and publish it (lock held); updates `state` in place
+   */
+  static async applyToState(sessionId, state, revision, operation, clientId) {
+    const opsKey = this.getKey(sessionId, ':ops');
+
+    if (!Number.isInteger(revision) || revision < 0) {
+      throw httpError(400, 'revision must be a non-negative integer');
+    }
+
+    // Ahead of the document (it expired and was reloaded) or behind the history
+    const oldest = state.revision - (await redis.llen(opsKey));
+    if (revision > state.revision || revision < oldest) {
+      const error = httpError(409, `Revision ${revision} is out of date; reload the document`);
+      error.resync = true;
+      throw error;
+    }
+
+    if (revision < state.revision) {
+      const concurrent = await redis.lrange(opsKey, revision - oldest, -1);
+      for (const entry of concurrent) {
+        [operation] = this.transform(operation, JSON.parse(entry).op);
+      }
+    }
+
+    const document = this.apply(state.document, operation);
+    if (document.length > this.MAX_DOCUMENT_LENGTH) {
+      throw httpError(400, `Document exceeds maximum size (${this.MAX_DOCUMENT_LENGTH} characters)`);
+    }
+
+    const applied = { revision: state.revision + 1, op: operation, client_id: clientId };
+    await redis
+      .multi()
+      .hset(this.getKey(sessionId), { document, revision: applied.revision })
+      .rpush(opsKey, JSON.stringify({ op: operation, client_id: clientId }))
+      .ltrim(opsKey, -this.MAX_HISTORY, -1)
+      .expire(this.getKey(sessionId), this.TTL)
+      .expire(opsKey, this.TTL)
+      .exec();
+
+    // Published under the lock, so the channel carries operations in revision order
+    await redis.publish(this.getChannel(sessionId), JSON.stringify({ type: 'op', ...applied }));
+
+    state.document = document;
+    state.revision = applied.revision;
+    return applied;
+  }
+
+  /**
+   * Apply a client's operation made against `revision`
+   * Resolves with { revision, op } (the operation as applied)
+   */
+  static async submitOperation(sessionId, revision, operation, clientId) {
+    const validation = this.validateOperation(operation);
+    if (!validation.valid) {
+      throw httpError(400, validation.error);
+    }
+
+    const applied = await this.withLock(sessionId, async () => {
+      const state = await this.loadState(sessionId);
+      return this.applyToState(sessionId, state, revision, operation, clientId);
+    });
+
+    this.schedulePersist(sessionId);
+    return applied;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Persist within PERSIST_INTERVAL_MS (at most one pending write per session)
+   */
+  static schedulePersist(sessionId) {
+    if (this.persistTimers.has(sessionId)) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.persistTimers.delete(sessionId);
+      this.persist(sessionId).catch(error => {
+        console.error(`[CollabService] Failed to persist session ${sessionId}:`, error.message);
+      });
+    }, this.PERSIST_INTERVAL_MS);
+    timer.unref();
+    this.persistTimers.set(sessionId, timer);
+  }
+
+  /**
+   * Write the shared document to sessions.source_code
+   * Code changed outside the channel since the last write is first merged
+   * into the document as an edit by the server. Resolves with true when the
+   * stored code now matches the document (or no one is editing).
+   */
+  static async persist(sessionId) {
+    const synced = await this.withLock(sessionId, async () => {
+      const state = await this.readState(sessionId);
+      if (!state) {
+        return true;
+      }
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return true;
+      }
+
+      if (session.source_code !== state.savedText) {
+        console.log(`[CollabService] Merging outside change into session ${sessionId}`);
+        try {
+          await this.applyToState(
+            sessionId,
+            state,
+            state.savedRevision,
+            this.replaceOperation(state.savedText, session.source_code),
+            this.SERVER_CLIENT_ID
+          );
+        } catch (error) {
+          if (!error.resync) throw error;
+          // History no longer reaches the last write: the outside change wins
+          await this.applyToState(
+            sessionId,
+            state,
+            state.revision,
+            this.replaceOperation(state.document, session.source_code),
+            this.SERVER_CLIENT_ID
+          );
+        }
+      }
+
+      if (session.source_code !== state.document) {
+        const updated = await transaction(async (client) => {
+          const updated = await Session.update(sessionId, {
+            source_code: state.document,
+            expected_version: session.lock_version,
+          }, client);
+          if (updated) {
+            await RevisionService.record(sessionId, client);
+          }
+          return updated;
+        });
+        // Changed again meanwhile; merged on the next write
+        if (!updated) {
+          return false;
+        }
+      }
+
+      await redis.hset(this.getKey(sessionId), {
+        saved_revision: state.revision,
+        saved_text: state.document,
+      });
+      return true;
+    });
+
+    if (!synced) {
+      this.schedulePersist(sessionId);
+    }
+
+    return synced;
+  }
+
+  /**
+   * Forget the shared document once sessions.source_code holds another file
+   * (the entry point changed), so the next client starts from that file
+   * instead of having the old file's edits merged into it. Connected clients
+   * get an error with resync: true and reconnect. Callers flush() first.
+   */
+  static async resetDocument(sessionId, reason) {
+    await this.withLock(sessionId, async () => {
+      await redis
+        .multi()
+        .del(this.getKey(sessionId))
+        .del(this.getKey(sessionId, ':ops'))
+        .exec();
+
+      await redis.publish(this.getChannel(sessionId), JSON.stringify({ type: 'error', error: reason, resync: true }));
+    });
+
+    console.log(`[CollabService] Reset document of session ${sessionId}: ${reason}`);
+  }
+
+  /**
+   * Text being edited right now, without saving it; null when no one is
+   * editing or Redis fails (read-only views fall back to the stored code)
+   */
+  static async getLiveDocument(sessionId) {
+    try {
+      const state = await this.readState(sessionId);
+      return state ? state.document : null;
+    } catch (error) {
+      console.error(`[CollabService] Failed to read live document of session ${sessionId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Make sure sessions.source_code holds the latest text before it is read
+   * (runs, batches); failures are logged and the stored code is used
+   */
+  static async flush(sessionId) {
+    try {
+      await this.persist(sessionId);
+    } catch (error) {
+      console.error(`[CollabService] Failed to flush session ${sessionId}:`, error.message);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Presence
+  // ---------------------------------------------------------------------------
+
+  static validateCursor(cursor) {
+    if (cursor === null) {
+      return { valid: true };
+    }
+
+    const { position, selection_end: selectionEnd = position } = cursor || {};
+    if (!Number.isInteger(position) || position < 0 || !Number.isInteger(selectionEnd) || selectionEnd < 0) {
+      return { valid: false, error: 'cursor must be null or { position, selection_end } with non-negative integers' };
+    }
+
+    return { valid: true };
+  }
+
+  static normalizeName(name) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, this.MAX_NAME_LENGTH) : '';
+    return trimmed || 'Guest';
+  }
+
+  static async setPresence(sessionId, peer) {
+    const key = this.getKey(sessionId, ':presence');
+    await redis.hset(key, peer.client_id, JSON.stringify({ ...peer, seen_at: Date.now() }));
+    await redis.expire(key, this.TTL);
+  }
+
+  static async join(sessionId, clientId, name) {
+    const peer = { client_id: clientId, name: this.normalizeName(name), cursor: null };
+    await this.setPresence(sessionId, peer);
+    await redis.publish(this.getChannel(sessionId), JSON.stringify({ type: 'join', ...peer }));
+    return peer;
+  }
+
+  static async updateCursor(sessionId, peer, cursor) {
+    const validation = this.validateCursor(cursor);
+    if (!validation.valid) {
+      throw httpError(400, validation.error);
+    }
+
+    peer.cursor = cursor === null ? null : { position: cursor.position, selection_end: cursor.selection_end ?? cursor.position };
+    await this.setPresence(sessionId, peer);
+    await redis.publish(this.getChannel(sessionId), JSON.stringify({ type: 'presence', ...peer }));
+  }
+
+  static async leave(sessionId, clientId) {
+    await redis.hdel(this.getKey(sessionId, ':presence'), clientId);
+    await redis.publish(this.getChannel(sessionId), JSON.stringify({ type: 'leave', client_id: clientId }));
+  }
+
+  /**
+   * Everyone connected to the session's channel, on any API instance
+   */
+  static async getPeers(sessionId) {
+    const entries = await redis.hgetall(this.getKey(sessionId, ':presence'));
+    const now = Date.now();
+
+    return Object.values(entries || {})
+      .map(entry => JSON.parse(entry))
+      .filter(peer => now - peer.seen_at < this.PRESENCE_TTL_MS)
+      .map(({ seen_at: _seenAt, ...peer }) => peer);
+  }
+
+  /**
+   * Receive channel events ({ type: op | join | presence | leave | error, ... })
+   * Resolves once subscribed, with an unsubscribe function
+   */
+  static subscribe(sessionId, handler) {
+    return StreamService.listen(this.getChannel(sessionId), handler);
+  }
+}
+
+export default CollabService;
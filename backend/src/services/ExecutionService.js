@@ -1,36 +1,92 @@
 import { v4 as uuidv4 } from 'uuid';
 import Execution from '../models/Execution.js';
 import Session from '../models/Session.js';
+import Batch from '../models/Batch.js';
+import SourceSnapshot from '../models/SourceSnapshot.js';
 import { codeExecutionQueue } from '../libs/queue.js';
 import SafetyService from './SafetyService.js';
+import CodeExecutionService from './CodeExecutionService.js';
+import CollabService from './CollabService.js';
+import JudgeService from './JudgeService.js';
+import CancellationService from './CancellationService.js';
+import TerminalService from './TerminalService.js';
+import SnapshotService from './SnapshotService.js';
 
 export class ExecutionService {
-  static async submitExecution(sessionId, timeLimit, memoryLimit) {
-    // Validate parameters
+  // Statuses after which output fields are available
+  static TERMINAL_STATUSES = [
+    'COMPLETED',
+    'FAILED',
+    'TIMEOUT',
+    'MEMORY_LIMIT_EXCEEDED',
+    'COMPILATION_ERROR',
+    'CANCELLED',
+    'RUNTIME_ERROR',
+    'OUTPUT_LIMIT_EXCEEDED',
+    'INTERNAL_ERROR',
+  ];
+
+  /**
+   * Queue a run of the session's current code
+   * The code is snapshotted now, so edits made while the job waits do not
+   * change what runs. timeLimit / memoryLimit override the language defaults
+   * when given and may not exceed the language's max_time_limit_ms / max_memory_mb.
+   */
+  static async submitExecution(sessionId, timeLimit, memoryLimit, options = {}) {
+    const { stdin = '', args = [], env = {}, test_cases: testCases = null, interactive = false } = options;
+
+    // Live edits not yet written to the session
+    await CollabService.flush(sessionId);
+
+    const session = await Session.findWithLanguage(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const limits = this.resolveLimits(session, timeLimit, memoryLimit);
+
+    // Validate parameters against the language maximums
     const validation = SafetyService.validateExecutionParams(
-      timeLimit,
-      memoryLimit,
-      {}
+      limits.timeLimit,
+      limits.memoryLimit,
+      session
     );
 
     if (!validation.valid) {
       throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
     }
 
-    // Check for execution abuse
-    const abuseCheck = await SafetyService.checkExecutionAbuse(sessionId);
-    if (!abuseCheck.allowed) {
-      const error = new Error(abuseCheck.reason);
-      error.status = 429; // Too Many Requests
-      error.retryAfter = abuseCheck.retryAfter;
-      throw error;
+    const stdinValidation = CodeExecutionService.validateStdin(stdin);
+    if (!stdinValidation.valid) {
+      throw new Error(stdinValidation.error);
     }
 
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      throw new Error(`Session not found: ${sessionId}`);
+    const runOptionsValidation = SafetyService.validateRunOptions(args, env);
+    if (!runOptionsValidation.valid) {
+      throw new Error(`Validation failed: ${runOptionsValidation.errors.join(', ')}`);
     }
 
+    if (typeof interactive !== 'boolean') {
+      throw new Error('interactive must be a boolean');
+    }
+
+    if (interactive && (stdin || testCases !== null)) {
+      throw new Error('interactive runs read stdin from the terminal; stdin and test_cases cannot be set');
+    }
+
+    if (testCases !== null) {
+      if (stdin) {
+        throw new Error('stdin cannot be combined with test_cases; set input on each test case instead');
+      }
+
+      const testCaseValidation = JudgeService.validateTestCases(testCases);
+      if (!testCaseValidation.valid) {
+        throw new Error(testCaseValidation.error);
+      }
+    }
+
+    await this.checkAbuse(sessionId);
+
     // Check for infinite loop patterns
     const loopCheck = SafetyService.detectInfiniteLoopPatterns(
       session.source_code,
@@ -41,19 +97,103 @@ export class ExecutionService {
       console.warn(`[ExecutionService] Infinite loop warning: ${loopCheck.message}`);
     }
 
+    const snapshot = await SnapshotService.capture(session);
+
+    return this.enqueueExecution(session, snapshot.hash, limits, { stdin, args, env, testCases, interactive });
+  }
+
+  /**
+   * Run an earlier execution again as a new execution
+   * The rerun uses the original's source snapshot, limits, stdin, args, env,
+   * test cases and mode, and goes through the same session and abuse checks
+   * as a normal run. Limits are re-checked against the current language maximums.
+   */
+  static async rerunExecution(executionId) {
+    const original = await Execution.findById(executionId);
+    if (!original) {
+      const error = new Error(`Execution not found: ${executionId}`);
+      error.status = 404;
+      throw error;
+    }
+
+    if (!original.source_hash) {
+      const error = new Error(`Execution ${executionId} has no source snapshot to rerun`);
+      error.status = 409; // Conflict
+      throw error;
+    }
+
+    const session = await Session.findWithLanguage(original.session_id);
+    if (!session) {
+      const error = new Error(`Session not found: ${original.session_id}`);
+      error.status = 404;
+      throw error;
+    }
+
+    if (session.status !== 'ACTIVE') {
+      throw new Error(`Session is not active: ${session.id}`);
+    }
+
+    // Runs submitted before limits were stored fall back to the language defaults
+    const limits = this.resolveLimits(session, original.time_limit_ms, original.memory_limit_mb);
+    const validation = SafetyService.validateExecutionParams(limits.timeLimit, limits.memoryLimit, session);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    await this.checkAbuse(session.id);
+
+    return this.enqueueExecution(session, original.source_hash, limits, {
+      stdin: original.stdin || '',
+      args: original.args || [],
+      env: original.env || {},
+      testCases: original.test_cases,
+      interactive: original.interactive,
+      rerunOf: original.id,
+    });
+  }
+
+  /**
+   * Throw a 429 error when the session is running code too often
+   */
+  static async checkAbuse(sessionId) {
+    const abuseCheck = await SafetyService.checkExecutionAbuse(sessionId);
+    if (!abuseCheck.allowed) {
+      const error = new Error(abuseCheck.reason);
+      error.status = 429; // Too Many Requests
+      error.retryAfter = abuseCheck.retryAfter;
+      throw error;
+    }
+  }
+
+  /**
+   * Create a QUEUED execution of a source snapshot and add its job
+   */
+  static async enqueueExecution(session, sourceHash, limits, options) {
+    const { stdin, args, env, testCases = null, interactive = false, rerunOf = null } = options;
+    const sessionId = session.id;
     const executionId = uuidv4();
 
     const execution = await Execution.create({
       id: executionId,
       session_id: sessionId,
+      source_hash: sourceHash,
+      rerun_of: rerunOf,
       status: 'QUEUED',
+      stdin,
+      args,
+      env,
+      test_cases: testCases,
+      time_limit_ms: limits.timeLimit,
+      memory_limit_mb: limits.memoryLimit,
+      interactive,
     });
 
     // Log QUEUED stage
     await SafetyService.logExecutionEvent(executionId, 'QUEUED', {
       session_id: sessionId,
-      time_limit: timeLimit,
-      memory_limit: memoryLimit,
+      time_limit: limits.timeLimit,
+      memory_limit: limits.memoryLimit,
+      test_cases: testCases ? testCases.length : 0,
     });
 
     await codeExecutionQueue.add(
@@ -61,17 +201,47 @@ export class ExecutionService {
       {
         execution_id: executionId,
         session_id: sessionId,
-        time_limit: timeLimit,
-        memory_limit: memoryLimit,
+        source_hash: sourceHash,
+        time_limit: limits.timeLimit,
+        memory_limit: limits.memoryLimit,
+        stdin,
+        args,
+        env,
+        test_cases: testCases,
+        interactive,
       },
       {
         jobId: executionId,
       }
     );
 
-    return {
+    const response = {
       execution_id: execution.id,
       status: execution.status,
+      source_hash: execution.source_hash,
+      time_limit_ms: execution.time_limit_ms,
+      memory_limit_mb: execution.memory_limit_mb,
+    };
+
+    if (rerunOf) {
+      response.rerun_of = rerunOf;
+    }
+
+    if (interactive) {
+      response.interactive = true;
+      response.terminal_url = TerminalService.getTerminalUrl(execution.id);
+    }
+
+    return response;
+  }
+
+  /**
+   * Limits applied to a run: the requested overrides, else the language defaults
+   */
+  static resolveLimits(session, timeLimit, memoryLimit) {
+    return {
+      timeLimit: timeLimit ?? session.default_time_limit_ms ?? parseInt(process.env.DEFAULT_TIME_LIMIT_MS || 5000),
+      memoryLimit: memoryLimit ?? session.default_memory_mb ?? parseInt(process.env.DEFAULT_MEMORY_MB || 256),
     };
   }
 
@@ -85,29 +255,183 @@ export class ExecutionService {
     const response = {
       execution_id: execution.id,
       status: execution.status,
+      source_hash: execution.source_hash,
+      time_limit_ms: execution.time_limit_ms,
+      memory_limit_mb: execution.memory_limit_mb,
     };
 
+    if (execution.rerun_of) {
+      response.rerun_of = execution.rerun_of;
+    }
+
+    if (execution.batch_id) {
+      response.batch_id = execution.batch_id;
+      response.batch_index = execution.batch_index;
+    }
+
+    if (execution.interactive) {
+      response.interactive = true;
+      if (!this.TERMINAL_STATUSES.includes(execution.status)) {
+        response.terminal_url = TerminalService.getTerminalUrl(execution.id);
+      }
+    }
+
+    if (execution.args?.length) {
+      response.args = execution.args;
+    }
+    if (execution.env && Object.keys(execution.env).length > 0) {
+      response.env = execution.env;
+    }
+
     // Add output fields only when execution is complete
-    if (['COMPLETED', 'FAILED', 'TIMEOUT'].includes(execution.status)) {
+    if (this.TERMINAL_STATUSES.includes(execution.status)) {
       response.stdout = execution.stdout || '';
       response.stderr = execution.stderr || '';
       response.execution_time_ms = execution.execution_time_ms;
+      Object.assign(response, this.getMetrics(execution));
+
+      if (execution.compile_time_ms !== null) {
+        response.compile_output = execution.compile_output || '';
+        response.compile_time_ms = execution.compile_time_ms;
+        response.compile_exit_code = execution.compile_exit_code;
+        response.compile_cached = execution.compile_cached;
+      }
+
+      if (execution.transcript) {
+        response.transcript = execution.transcript;
+      }
+
+      if (execution.test_results) {
+        response.passed_cases = execution.passed_cases;
+        response.total_cases = execution.total_cases;
+        response.score = execution.score;
+        response.test_cases = execution.test_results;
+      }
     }
 
     return response;
   }
 
+  /**
+   * The code an execution ran (or will run), as captured at submission
+   */
+  static async getExecutionSource(executionId) {
+    const execution = await Execution.findById(executionId);
+    if (!execution) {
+      const error = new Error(`Execution not found: ${executionId}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const snapshot = execution.source_hash ? await SourceSnapshot.findByHash(execution.source_hash) : null;
+    if (!snapshot) {
+      const error = new Error(`No source snapshot recorded for execution ${executionId}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return {
+      execution_id: execution.id,
+      source_hash: snapshot.hash,
+      entry_point: snapshot.entry_point,
+      source_code: snapshot.source_code,
+      files: snapshot.files,
+    };
+  }
+
+  /**
+   * Cancel an execution
+   * A queued job is removed from the queue and marked CANCELLED right away;
+   * otherwise the owning worker is asked to kill the program and records
+   * CANCELLED itself once it has stopped.
+   */
+  static async cancelExecution(executionId) {
+    const execution = await Execution.findById(executionId);
+    if (!execution) {
+      const error = new Error(`Execution not found: ${executionId}`);
+      error.status = 404;
+      throw error;
+    }
+
+    if (this.TERMINAL_STATUSES.includes(execution.status)) {
+      const error = new Error(`Execution already finished with status ${execution.status}`);
+      error.status = 409; // Conflict
+      throw error;
+    }
+
+    if (execution.status === 'QUEUED') {
+      const job = await codeExecutionQueue.getJob(executionId);
+      let removed = false;
+      try {
+        // Throws when a worker has just locked the job
+        if (job) {
+          await job.remove();
+          removed = true;
+        }
+      } catch (error) {
+        console.log(`[ExecutionService] Job ${executionId} already picked up, signalling worker`);
+      }
+
+      if (removed) {
+        await Execution.updateResult(executionId, {
+          ...CodeExecutionService.cancelledResult(),
+          finished_at: new Date(),
+        });
+        await SafetyService.logExecutionEvent(executionId, 'CANCELLED', {
+          session_id: execution.session_id,
+        });
+
+        // The cancelled item may have been the last one its batch waited for
+        if (execution.batch_id) {
+          await Batch.completeIfFinished(execution.batch_id);
+        }
+
+        return {
+          execution_id: executionId,
+          status: 'CANCELLED',
+        };
+      }
+    }
+
+    await CancellationService.requestCancel(executionId);
+
+    return {
+      execution_id: executionId,
+      status: execution.status,
+      cancel_requested: true,
+    };
+  }
+
   static async getSessionExecutions(sessionId, limit = 10) {
     const executions = await Execution.findBySessionId(sessionId, limit);
     return executions.map(ex => ({
       execution_id: ex.id,
       status: ex.status,
+      inherited: ex.session_id !== sessionId, // run of the session this one was forked from
+      source_hash: ex.source_hash,
+      rerun_of: ex.rerun_of,
       execution_time_ms: ex.execution_time_ms,
       exit_code: ex.exit_code,
+      time_limit_ms: ex.time_limit_ms,
+      memory_limit_mb: ex.memory_limit_mb,
+      ...this.getMetrics(ex),
       created_at: ex.created_at,
     }));
   }
 
+  /**
+   * Resource usage fields of an execution row (null until it has run)
+   */
+  static getMetrics(execution) {
+    return {
+      cpu_user_ms: execution.cpu_user_ms ?? null,
+      cpu_system_ms: execution.cpu_system_ms ?? null,
+      wall_time_ms: execution.wall_time_ms ?? null,
+      peak_memory_kb: execution.peak_memory_kb ?? null,
+      signal: execution.signal ?? null,
+    };
+  }
+
   static async updateExecutionWithResult(executionId, result) {
     const { status, stdout, stderr, execution_time_ms, exit_code, timeout } = result;
 
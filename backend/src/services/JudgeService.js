@@ -0,0 +1,183 @@
+import CodeExecutionService from './CodeExecutionService.js';
+
+export class JudgeService {
+  // Configuration
+  static MAX_TEST_CASES = 50;
+  static MAX_CASE_SIZE = 1000000; // bytes per input / expected output
+
+  static VERDICTS = {
+    ACCEPTED: 'ACCEPTED',
+    WRONG_ANSWER: 'WRONG_ANSWER',
+    TIMEOUT: 'TIMEOUT',
+    MEMORY_LIMIT_EXCEEDED: 'MEMORY_LIMIT_EXCEEDED',
+    OUTPUT_LIMIT_EXCEEDED: 'OUTPUT_LIMIT_EXCEEDED',
+    RUNTIME_ERROR: 'RUNTIME_ERROR',
+  };
+
+  // End judging immediately and become the result of the whole run
+  static ABORTING_STATUSES = ['COMPILATION_ERROR', 'CANCELLED', 'INTERNAL_ERROR'];
+
+  /**
+   * Validate a list of test cases submitted with a run
+   * Each case is { input?: string, expected_output: string }
+   */
+  static validateTestCases(testCases) {
+    if (!Array.isArray(testCases) || testCases.length === 0) {
+      return { valid: false, error: 'test_cases must be a non-empty array' };
+    }
+
+    if (testCases.length > this.MAX_TEST_CASES) {
+      return { valid: false, error: `Too many test cases (max ${this.MAX_TEST_CASES})` };
+    }
+
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      if (!testCase || typeof testCase !== 'object') {
+        return { valid: false, error: `test_cases[${i}] must be an object` };
+      }
+
+      const { input = '', expected_output } = testCase;
+      if (typeof input !== 'string' || typeof expected_output !== 'string') {
+        return { valid: false, error: `test_cases[${i}] input and expected_output must be strings` };
+      }
+
+      if (Buffer.byteLength(input) > this.MAX_CASE_SIZE || Buffer.byteLength(expected_output) > this.MAX_CASE_SIZE) {
+        return { valid: false, error: `test_cases[${i}] exceeds maximum size (1MB)` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Compare program output with the expected output
+   * Trailing whitespace on each line and trailing blank lines are ignored
+   */
+  static compareOutput(actual, expected) {
+    const normalize = (text) => (text || '')
+      .replace(/\r\n/g, '\n')
+      .split('\n')
+      .map(line => line.trimEnd())
+      .join('\n')
+      .trimEnd();
+
+    return normalize(actual) === normalize(expected);
+  }
+
+  /**
+   * Whole-run metrics: CPU and wall time add up over the cases, peak memory
+   * is the largest of any case
+   */
+  static aggregateMetrics(results) {
+    const sum = (field) => (results.every(r => r[field] === null || r[field] === undefined)
+      ? null
+      : results.reduce((total, r) => total + (r[field] || 0), 0));
+    const peaks = results.map(r => r.peak_memory_kb).filter(value => value !== null && value !== undefined);
+
+    return {
+      cpu_user_ms: sum('cpu_user_ms'),
+      cpu_system_ms: sum('cpu_system_ms'),
+      wall_time_ms: sum('wall_time_ms'),
+      peak_memory_kb: peaks.length > 0 ? Math.max(...peaks) : null,
+    };
+  }
+
+  /**
+   * Map a single execution result to a verdict
+   */
+  static getVerdict(result, expectedOutput) {
+    if (result.status === 'TIMEOUT') {
+      return this.VERDICTS.TIMEOUT;
+    }
+
+    if (result.status === 'MEMORY_LIMIT_EXCEEDED') {
+      return this.VERDICTS.MEMORY_LIMIT_EXCEEDED;
+    }
+
+    if (result.status === 'OUTPUT_LIMIT_EXCEEDED') {
+      return this.VERDICTS.OUTPUT_LIMIT_EXCEEDED;
+    }
+
+    if (result.status !== 'COMPLETED') {
+      return this.VERDICTS.RUNTIME_ERROR;
+    }
+
+    return this.compareOutput(result.stdout, expectedOutput)
+      ? this.VERDICTS.ACCEPTED
+      : this.VERDICTS.WRONG_ANSWER;
+  }
+
+  /**
+   * Run the program once per test case and aggregate the verdicts
+   * A compilation error or cancellation (options.signal) ends judging
+   * immediately and is returned as-is. options.files, options.entryPoint,
+   * options.args and options.env are passed through to executeCode.
+   */
+  static async judge(language, sourceCode, testCases, timeLimit, memoryLimit, options = {}) {
+    const { signal = null, files = [], entryPoint = null, args = [], env = {} } = options;
+    const results = [];
+    let totalTime = 0;
+    let compilation = {};
+
+    for (let i = 0; i < testCases.length; i++) {
+      const { input = '', expected_output } = testCases[i];
+      const result = await CodeExecutionService.executeCode(
+        language,
+        sourceCode,
+        timeLimit,
+        memoryLimit,
+        input,
+        { signal, files, entryPoint, args, env }
+      );
+
+      if (this.ABORTING_STATUSES.includes(result.status)) {
+        return result;
+      }
+
+      if (i === 0 && result.compile_output !== undefined) {
+        compilation = {
+          compile_output: result.compile_output,
+          compile_time_ms: result.compile_time_ms,
+          compile_exit_code: result.compile_exit_code,
+          compile_cached: result.compile_cached,
+        };
+      }
+
+      totalTime += result.execution_time_ms || 0;
+      results.push({
+        index: i,
+        verdict: this.getVerdict(result, expected_output),
+        stdout: result.stdout,
+        stderr: result.stderr,
+        execution_time_ms: result.execution_time_ms,
+        exit_code: result.exit_code,
+        cpu_user_ms: result.cpu_user_ms,
+        cpu_system_ms: result.cpu_system_ms,
+        wall_time_ms: result.wall_time_ms,
+        peak_memory_kb: result.peak_memory_kb,
+        signal: result.signal,
+      });
+    }
+
+    const passed = results.filter(r => r.verdict === this.VERDICTS.ACCEPTED).length;
+    const firstFailure = results.find(r => r.verdict !== this.VERDICTS.ACCEPTED);
+
+    return {
+      status: 'COMPLETED',
+      stdout: '',
+      stderr: firstFailure ? firstFailure.stderr : '',
+      execution_time_ms: totalTime,
+      exit_code: firstFailure ? firstFailure.exit_code : 0,
+      timeout: false,
+      ...this.aggregateMetrics(results),
+      signal: firstFailure ? firstFailure.signal : null,
+      ...compilation,
+      test_results: results,
+      passed_cases: passed,
+      total_cases: results.length,
+      score: Math.round((passed / results.length) * 10000) / 100,
+    };
+  }
+}
+
+export default JudgeService;
@@ -0,0 +1,281 @@
+import redis from '../libs/redis.js';
+import Language from '../models/Language.js';
+import RuntimeRegistry from '../runtimes/RuntimeRegistry.js';
+import CodeExecutionService from './CodeExecutionService.js';
+import SafetyService from './SafetyService.js';
+import StreamService from './StreamService.js';
+
+const FIELDS = [
+  'name',
+  'template_code',
+  'runtime',
+  'version',
+  'file_name',
+  'compile_command',
+  'run_command',
+  'artifact',
+  'default_time_limit_ms',
+  'default_memory_mb',
+  'max_time_limit_ms',
+  'max_memory_mb',
+];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Language configuration managed through the admin endpoints
+ *
+ * Workers read the language row for every job, so command and limit changes
+ * apply to the next run. Changes are also announced on a Redis channel so
+ * workers re-advertise which runtimes they can run without a restart.
+ */
+export class LanguageService {
+  // Configuration
+  static CHANNEL = 'languages:changed';
+  static MAX_COMMAND_ELEMENTS = 64;
+  static MAX_COMMAND_ELEMENT_LENGTH = 1024;
+  static ARTIFACT_PLACEHOLDERS = ['entry', 'entry_name', 'entry_class'];
+
+  static async createLanguage(data) {
+    const language = this.pick(data);
+    this.validateLanguage(language);
+
+    const created = await this.save(() => Language.create(language), language);
+    await this.notifyChanged(created.id, 'created');
+    return this.formatLanguage(created);
+  }
+
+  static async updateLanguage(languageId, changes) {
+    const current = await this.findLanguage(languageId);
+    const update = this.pick(changes);
+    if (Object.keys(update).length === 0) {
+      throw httpError(400, `Nothing to update; allowed fields: ${FIELDS.join(', ')}`);
+    }
+
+    this.validateLanguage({ ...current, ...update });
+
+    const updated = await this.save(() => Language.update(current.id, update), update);
+    await this.notifyChanged(updated.id, 'updated');
+    return this.formatLanguage(updated);
+  }
+
+  static async deleteLanguage(languageId) {
+    const current = await this.findLanguage(languageId);
+
+    try {
+      await Language.delete(current.id);
+    } catch (error) {
+      if (error.code === '23503') {
+        throw httpError(409, `Language ${current.name} is used by existing sessions`);
+      }
+      throw error;
+    }
+
+    await this.notifyChanged(current.id, 'deleted');
+  }
+
+  static async findLanguage(languageId) {
+    const language = /^\d+$/.test(String(languageId)) ? await Language.findById(languageId) : null;
+    if (!language) {
+      throw httpError(404, 'Language not found');
+    }
+    return language;
+  }
+
+  static async save(write, language) {
+    try {
+      return await write();
+    } catch (error) {
+      if (error.code === '23505') {
+        throw httpError(409, `Language already exists: ${language.name}`);
+      }
+      throw error;
+    }
+  }
+
+  static pick(data = {}) {
+    return Object.fromEntries(
+      FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+    );
+  }
+
+  static formatLanguage(language) {
+    return {
+      id: language.id,
+      name: language.name,
+      runtime: language.runtime,
+      version: language.version,
+      template_code: language.template_code,
+      file_name: language.file_name,
+      compile_command: language.compile_command,
+      run_command: language.run_command,
+      artifact: language.artifact,
+      default_time_limit_ms: language.default_time_limit_ms,
+      default_memory_mb: language.default_memory_mb,
+      max_time_limit_ms: language.max_time_limit_ms,
+      max_memory_mb: language.max_memory_mb,
+    };
+  }
+
+  /**
+   * Validate a complete language (stored row merged with changes)
+   * Throws a 400 error listing every problem
+   */
+  static validateLanguage(language) {
+    const errors = [];
+    const builtin = RuntimeRegistry.get(language.runtime);
+
+    const checkString = (field, maxLength, { allowEmpty = false } = {}) => {
+      const value = language[field];
+      if (typeof value !== 'string' || (!allowEmpty && value.trim().length === 0)) {
+        errors.push(`${field} is required`);
+        return false;
+      }
+      if (value.length > maxLength) {
+        errors.push(`${field} exceeds maximum length (${maxLength})`);
+        return false;
+      }
+      return true;
+    };
+
+    checkString('name', 50);
+    checkString('version', 50);
+    checkString('template_code', 1000000, { allowEmpty: true });
+
+    if (checkString('runtime', 50) && !/^[a-z0-9][a-z0-9+_.-]*$/.test(language.runtime)) {
+      errors.push('runtime may only contain lowercase letters, digits and + _ . -');
+    }
+
+    if (checkString('file_name', 100)) {
+      const validation = CodeExecutionService.validateFilePath(language.file_name);
+      if (!validation.valid) {
+        errors.push(`file_name: ${validation.error}`);
+      }
+    }
+
+    if (language.artifact !== null && language.artifact !== undefined && checkString('artifact', 255)) {
+      const unknown = this.findPlaceholders(language.artifact).filter(name => !this.ARTIFACT_PLACEHOLDERS.includes(name));
+      if (unknown.length > 0) {
+        errors.push(`artifact may only use {${this.ARTIFACT_PLACEHOLDERS.join('}, {')}}`);
+      } else if (typeof language.file_name === 'string') {
+        const expanded = RuntimeRegistry.expandTemplate(language.artifact, { sourceFile: language.file_name });
+        if (!CodeExecutionService.validateFilePath(expanded).valid) {
+          errors.push(`Invalid artifact path: ${language.artifact}`);
+        }
+      }
+    }
+
+    this.validateCommand('compile_command', language.compile_command, errors);
+    this.validateCommand('run_command', language.run_command, errors);
+
+    if (!builtin && !language.run_command) {
+      errors.push(`run_command is required for runtime ${language.runtime} (no built-in adapter)`);
+    }
+
+    const usesArtifact = [language.compile_command, language.run_command]
+      .some(command => Array.isArray(command) && command.some(element => String(element).includes('{artifact}')));
+    if (usesArtifact && !language.artifact && !builtin?.artifact) {
+      errors.push('artifact is required when a command uses {artifact}');
+    }
+
+    this.validateLimit(language, 'time_limit_ms', SafetyService.MIN_TIME_LIMIT_MS, SafetyService.MAX_TIME_LIMIT_MS, errors);
+    this.validateLimit(language, 'memory_mb', SafetyService.MIN_MEMORY_LIMIT_MB, SafetyService.MAX_MEMORY_LIMIT_MB, errors);
+
+    if (errors.length > 0) {
+      throw httpError(400, `Validation failed: ${errors.join(', ')}`);
+    }
+  }
+
+  /**
+   * A command is null (use the built-in adapter) or a non-empty argv array
+   * whose placeholders are known; {sources} must be a whole element
+   */
+  static validateCommand(field, command, errors) {
+    if (command === null || command === undefined) {
+      return;
+    }
+
+    if (!Array.isArray(command) || command.length === 0 || command.length > this.MAX_COMMAND_ELEMENTS) {
+      errors.push(`${field} must be an array of 1-${this.MAX_COMMAND_ELEMENTS} strings`);
+      return;
+    }
+
+    for (const element of command) {
+      if (typeof element !== 'string' || element.length === 0 || element.includes('\0')) {
+        errors.push(`${field} elements must be non-empty strings`);
+        return;
+      }
+
+      if (element.length > this.MAX_COMMAND_ELEMENT_LENGTH) {
+        errors.push(`${field} element exceeds maximum length (${this.MAX_COMMAND_ELEMENT_LENGTH})`);
+        return;
+      }
+
+      const unknown = this.findPlaceholders(element).filter(name => !RuntimeRegistry.PLACEHOLDERS.includes(name));
+      if (unknown.length > 0) {
+        errors.push(`${field} uses unknown placeholder {${unknown[0]}}`);
+        return;
+      }
+
+      if (element !== '{sources}' && element.includes('{sources}')) {
+        errors.push(`${field}: {sources} must be a whole element`);
+        return;
+      }
+    }
+
+    if (command[0] === '{sources}') {
+      errors.push(`${field} must start with an executable`);
+    }
+  }
+
+  static validateLimit(language, suffix, min, max, errors) {
+    const defaultField = `default_${suffix}`;
+    const maxField = `max_${suffix}`;
+    const defaultValue = language[defaultField];
+    const maxValue = language[maxField];
+
+    if (!Number.isInteger(defaultValue) || defaultValue < min || defaultValue > max) {
+      errors.push(`${defaultField} must be an integer between ${min} and ${max}`);
+      return;
+    }
+
+    if (maxValue === null || maxValue === undefined) {
+      return;
+    }
+
+    if (!Number.isInteger(maxValue) || maxValue < defaultValue || maxValue > max) {
+      errors.push(`${maxField} must be an integer between ${defaultField} (${defaultValue}) and ${max}`);
+    }
+  }
+
+  static findPlaceholders(value) {
+    return [...value.matchAll(RuntimeRegistry.PLACEHOLDER_PATTERN)].map(match => match[1]);
+  }
+
+  /**
+   * Tell every worker that the language table changed
+   * The change is already committed, so a Redis failure is only logged;
+   * workers still pick it up at their next heartbeat.
+   */
+  static async notifyChanged(languageId, action) {
+    try {
+      await redis.publish(this.CHANNEL, JSON.stringify({ language_id: languageId, action }));
+    } catch (error) {
+      console.error('[LanguageService] Failed to announce language change:', error.message);
+    }
+  }
+
+  /**
+   * Receive language changes ({ language_id, action }) from any API instance
+   * Returns an unsubscribe function
+   */
+  static onChange(handler) {
+    return StreamService.listen(this.CHANNEL, handler);
+  }
+}
+
+export default LanguageService;
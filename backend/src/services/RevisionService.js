@@ -0,0 +1,379 @@
+import { transaction } from '../libs/db.js';
+import Session from '../models/Session.js';
+import SessionFile from '../models/SessionFile.js';
+import SessionRevision from '../models/SessionRevision.js';
+import CollabService from './CollabService.js';
+import SnapshotService from './SnapshotService.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Split text into lines that keep their "\n" (the last one may lack it)
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Myers diff of two line arrays as [{ op: ' ' | '-' | '+', line }]
+ * Returns null when the arrays differ by more than maxEdits lines.
+ */
+function diffLines(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Diagonals -d-1..d+1 of the previous step, for backtracking
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', line: a[--x] });
+      y--;
+    }
+
+    if (d > 0) {
+      ops.push(x === prevX ? { op: '+', line: b[y - 1] } : { op: '-', line: a[x - 1] });
+      x = prevX;
+      y = prevY;
+    }
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Saved versions of a session's code
+ *
+ * Every change to the code (autosave, file edits, entry point changes and
+ * restores) records a revision pointing at a source snapshot of the whole
+ * project, so unchanged files cost nothing and a revision can be restored
+ * exactly. Saves that change nothing do not add a revision.
+ */
+export class RevisionService {
+  // Configuration
+  static DEFAULT_LIST_LIMIT = 50;
+  static DIFF_CONTEXT_LINES = 3;
+  static MAX_DIFF_EDITS = 2000; // per file; larger changes are shown as a full rewrite
+
+  /**
+   * Record the session's current code as its next revision
+   * Runs on the transaction client of the save, so the revision holds exactly
+   * what that save wrote and a failure rolls the save back.
+   */
+  static async record(sessionId, client, { restoredFrom = null } = {}) {
+    if (!(await Session.lock(sessionId, client))) {
+      return null;
+    }
+
+    const session = await Session.findWithLanguage(sessionId, client);
+    const snapshot = await SnapshotService.capture(session, client);
+
+    const latest = await SessionRevision.findLatest(sessionId, client);
+    if (latest && latest.source_hash === snapshot.hash) {
+      return latest;
+    }
+
+    return SessionRevision.create({
+      session_id: sessionId,
+      source_hash: snapshot.hash,
+      size_bytes: this.getSize(snapshot),
+      restored_from: restoredFrom,
+    }, client);
+  }
+
+  static getSize({ source_code, files }) {
+    return files.reduce((sum, file) => sum + Buffer.byteLength(file.content), Buffer.byteLength(source_code));
+  }
+
+  static async listRevisions(sessionId, limit = this.DEFAULT_LIST_LIMIT) {
+    await this.findSession(sessionId);
+
+    const revisions = await SessionRevision.findBySessionId(sessionId, limit);
+    return {
+      session_id: sessionId,
+      revisions: revisions.map(revision => this.formatRevision(revision)),
+    };
+  }
+
+  static async getRevision(sessionId, revisionNumber) {
+    const revision = await this.findRevision(sessionId, revisionNumber);
+
+    return {
+      session_id: sessionId,
+      ...this.formatRevision(revision),
+      entry_point: revision.entry_point,
+      source_code: revision.source_code,
+      files: revision.files,
+    };
+  }
+
+  /**
+   * Unified diff of every file that differs between two revisions
+   * `to` defaults to the latest revision.
+   */
+  static async diffRevisions(sessionId, fromNumber, toNumber) {
+    if (fromNumber === undefined) {
+      throw httpError(400, 'from is required');
+    }
+
+    if (toNumber === undefined) {
+      await this.findSession(sessionId);
+      const latest = await SessionRevision.findLatest(sessionId);
+      if (!latest) {
+        throw httpError(404, `Session has no revisions: ${sessionId}`);
+      }
+      toNumber = latest.revision;
+    }
+
+    const from = await this.findRevision(sessionId, fromNumber);
+    const to = await this.findRevision(sessionId, toNumber);
+
+    const fromFiles = this.getFileMap(from);
+    const toFiles = this.getFileMap(to);
+    const paths = [...new Set([...fromFiles.keys(), ...toFiles.keys()])].sort();
+
+    const files = [];
+    for (const path of paths) {
+      const before = fromFiles.get(path);
+      const after = toFiles.get(path);
+      if (before === after) continue;
+
+      files.push({
+        path,
+        status: before === undefined ? 'added' : after === undefined ? 'deleted' : 'modified',
+        diff: this.unifiedDiff(before, after, path),
+      });
+    }
+
+    const response = {
+      session_id: sessionId,
+      from: from.revision,
+      to: to.revision,
+      files,
+    };
+
+    if (from.entry_point !== to.entry_point) {
+      response.entry_point = { from: from.entry_point, to: to.entry_point };
+    }
+
+    return response;
+  }
+
+  /**
+   * Make an earlier revision the session's current code
+   * Replaces the entry point and every project file, then records the result
+   * as a new revision (restored_from = the restored revision).
+   */
+  static async restoreRevision(sessionId, revisionNumber) {
+    const revision = await this.findRevision(sessionId, revisionNumber);
+
+    // Live edits are saved first, so they are not merged into the restored code
+    await CollabService.flush(sessionId);
+
+    const { recorded, previousEntryPoint } = await transaction(async (client) => {
+      await Session.lock(sessionId, client);
+      const session = await Session.findWithLanguage(sessionId, client);
+      const previousEntryPoint = session.entry_point || session.file_name;
+
+      await SessionFile.deleteBySessionId(sessionId, client);
+
+      for (const file of revision.files) {
+        await SessionFile.create({ session_id: sessionId, path: file.path, content: file.content }, client);
+      }
+
+      await Session.update(sessionId, {
+        source_code: revision.source_code,
+        entry_point: revision.entry_point,
+      }, client);
+
+      const recorded = await this.record(sessionId, client, { restoredFrom: revision.revision });
+      return { recorded, previousEntryPoint };
+    });
+
+    if (revision.entry_point !== previousEntryPoint) {
+      await CollabService.resetDocument(sessionId, `Entry point changed to ${revision.entry_point}; reload the document`);
+    }
+
+    return {
+      session_id: sessionId,
+      revision: recorded?.revision ?? null,
+      restored_from: revision.revision,
+      entry_point: revision.entry_point,
+    };
+  }
+
+  static async findSession(sessionId) {
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      throw httpError(404, `Session not found: ${sessionId}`);
+    }
+    return session;
+  }
+
+  static async findRevision(sessionId, revisionNumber) {
+    if (!/^\d+$/.test(String(revisionNumber))) {
+      throw httpError(400, 'revision must be a positive integer');
+    }
+
+    await this.findSession(sessionId);
+
+    const revision = await SessionRevision.find(sessionId, parseInt(revisionNumber));
+    if (!revision) {
+      throw httpError(404, `Revision not found: ${revisionNumber}`);
+    }
+    return revision;
+  }
+
+  static formatRevision(revision) {
+    return {
+      revision: revision.revision,
+      source_hash: revision.source_hash,
+      size_bytes: revision.size_bytes,
+      restored_from: revision.restored_from,
+      created_at: revision.created_at,
+    };
+  }
+
+  /**
+   * Every file of a revision by path, the entry point included
+   */
+  static getFileMap(revision) {
+    return new Map([
+      [revision.entry_point, revision.source_code],
+      ...revision.files.map(file => [file.path, file.content]),
+    ]);
+  }
+
+  /**
+   * Unified diff (as produced by `diff -u`) of one file
+   * before / after are undefined for added / deleted files.
+   */
+  static unifiedDiff(before, after, path) {
+    const a = splitLines(before ?? '');
+    const b = splitLines(after ?? '');
+
+    // Only the changed middle goes through the diff
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (
+      suffix < a.length - prefix && suffix < b.length - prefix &&
+      a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const aMiddle = a.slice(prefix, a.length - suffix);
+    const bMiddle = b.slice(prefix, b.length - suffix);
+    const middle = diffLines(aMiddle, bMiddle, this.MAX_DIFF_EDITS) || [
+      ...aMiddle.map(line => ({ op: '-', line })),
+      ...bMiddle.map(line => ({ op: '+', line })),
+    ];
+
+    const ops = [
+      ...a.slice(0, prefix).map(line => ({ op: ' ', line })),
+      ...middle,
+      ...a.slice(a.length - suffix).map(line => ({ op: ' ', line })),
+    ];
+
+    const lines = [
+      before === undefined ? '--- /dev/null' : `--- a/${path}`,
+      after === undefined ? '+++ /dev/null' : `+++ b/${path}`,
+      ...this.formatHunks(ops),
+    ];
+    return `${lines.join('\n')}\n`;
+  }
+
+  static formatHunks(ops) {
+    const context = this.DIFF_CONTEXT_LINES;
+
+    // Line numbers before each op
+    let oldLine = 0;
+    let newLine = 0;
+    const positions = ops.map(({ op }) => {
+      const position = { oldLine, newLine };
+      if (op !== '+') oldLine++;
+      if (op !== '-') newLine++;
+      return position;
+    });
+
+    // Changed ops grouped into hunks, merging groups whose context overlaps
+    const hunks = [];
+    ops.forEach(({ op }, i) => {
+      if (op === ' ') return;
+      const last = hunks[hunks.length - 1];
+      if (last && i - last.end <= 2 * context + 1) {
+        last.end = i;
+      } else {
+        hunks.push({ start: i, end: i });
+      }
+    });
+
+    const lines = [];
+    for (const hunk of hunks) {
+      const start = Math.max(0, hunk.start - context);
+      const end = Math.min(ops.length - 1, hunk.end + context);
+      const slice = ops.slice(start, end + 1);
+
+      const oldCount = slice.filter(({ op }) => op !== '+').length;
+      const newCount = slice.filter(({ op }) => op !== '-').length;
+      const oldStart = positions[start].oldLine + (oldCount > 0 ? 1 : 0);
+      const newStart = positions[start].newLine + (newCount > 0 ? 1 : 0);
+
+      lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+      for (const { op, line } of slice) {
+        if (line.endsWith('\n')) {
+          lines.push(`${op}${line.slice(0, -1)}`);
+        } else {
+          lines.push(`${op}${line}`, '\\ No newline at end of file');
+        }
+      }
+    }
+
+    return lines;
+  }
+}
+
+export default RevisionService;
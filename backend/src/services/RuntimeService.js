@@ -0,0 +1,80 @@
+import redis from '../libs/redis.js';
+import Language from '../models/Language.js';
+import RuntimeRegistry from '../runtimes/RuntimeRegistry.js';
+
+export class RuntimeService {
+  // Configuration
+  static KEY_PREFIX = 'runtimes:worker:';
+  static TTL = 90; // seconds, workers refresh well before expiry
+
+  /**
+   * Detect the runtimes installed on this host and advertise them in Redis
+   * Called by workers on startup, periodically as a heartbeat and whenever
+   * the languages table changes
+   */
+  static async publishAvailableRuntimes(workerId) {
+    const runtimes = await this.detectRuntimes();
+    await redis.set(
+      `${this.KEY_PREFIX}${workerId}`,
+      JSON.stringify(runtimes),
+      'EX',
+      this.TTL
+    );
+    return runtimes;
+  }
+
+  /**
+   * Runtimes configured in the languages table are checked against their
+   * stored commands; built-in runtimes without a row by their adapter.
+   * Falls back to the built-in adapters when the table cannot be read.
+   */
+  static async detectRuntimes() {
+    const builtin = await RuntimeRegistry.detectAvailable();
+
+    let languages;
+    try {
+      languages = await Language.findAll();
+    } catch (error) {
+      console.error('[RuntimeService] Error reading languages:', error.message);
+      return builtin;
+    }
+
+    const configured = new Set(languages.map(language => language.runtime));
+    const fromLanguages = await RuntimeRegistry.detectLanguages(languages);
+    return [...builtin.filter(runtime => !configured.has(runtime)), ...fromLanguages];
+  }
+
+  static async unpublishRuntimes(workerId) {
+    await redis.del(`${this.KEY_PREFIX}${workerId}`);
+  }
+
+  /**
+   * Union of runtimes advertised by all live workers
+   * Returns null when the registry cannot be read, so callers can fail open
+   */
+  static async getAvailableRuntimes() {
+    try {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await redis.scan(cursor, 'MATCH', `${this.KEY_PREFIX}*`, 'COUNT', 100);
+        cursor = next;
+        keys.push(...batch);
+      } while (cursor !== '0');
+
+      if (keys.length === 0) {
+        return new Set();
+      }
+
+      const values = await redis.mget(keys);
+      return new Set(
+        values.filter(Boolean).flatMap(value => JSON.parse(value))
+      );
+    } catch (error) {
+      console.error('[RuntimeService] Error reading available runtimes:', error);
+      return null;
+    }
+  }
+}
+
+export default RuntimeService;
@@ -1,5 +1,6 @@
 import redis from '../libs/redis.js';
 import { query } from '../libs/db.js';
+import StreamService from './StreamService.js';
 
 export class SafetyService {
   // Configuration
@@ -7,6 +8,32 @@ export class SafetyService {
   static ABUSE_CHECK_WINDOW = 60; // seconds
   static MAX_EXECUTIONS_PER_MINUTE = 10; // executions per window
   static MAX_FAILED_ATTEMPTS = 5; // max failures before rate limit
+  // Failures caused by the submitted code; INTERNAL_ERROR and CANCELLED never count
+  static USER_FAILURE_STATUSES = [
+    'RUNTIME_ERROR',
+    'COMPILATION_ERROR',
+    'TIMEOUT',
+    'MEMORY_LIMIT_EXCEEDED',
+    'OUTPUT_LIMIT_EXCEEDED',
+  ];
+  static MIN_TIME_LIMIT_MS = 100;
+  static MAX_TIME_LIMIT_MS = 60000; // 60 seconds
+  static MIN_MEMORY_LIMIT_MB = 32;
+  static MAX_MEMORY_LIMIT_MB = 2048; // 2GB
+  static MAX_ARGS = 64;
+  static MAX_ENV_VARS = 32;
+  static MAX_ARG_VALUE_LENGTH = 4096; // per argument / env value
+  static MAX_RUN_OPTIONS_BYTES = 32768; // args and env together
+  // Variables the worker controls or that change how runtimes load code
+  static RESERVED_ENV_VARS = [
+    'PATH', 'HOME', 'LANG', 'TZ', 'SHELL', 'IFS', 'ENV', 'BASH_ENV',
+    'NODE_OPTIONS', 'NODE_PATH',
+    'PYTHONPATH', 'PYTHONHOME', 'PYTHONSTARTUP',
+    'JAVA_HOME', 'JAVA_TOOL_OPTIONS', '_JAVA_OPTIONS', 'JDK_JAVA_OPTIONS', 'CLASSPATH',
+    'GOROOT', 'GOPATH', 'GOCACHE', 'GOFLAGS',
+    'RUBYOPT', 'RUBYLIB', 'PHPRC', 'PHP_INI_SCAN_DIR', 'GCONV_PATH',
+  ];
+  static RESERVED_ENV_PREFIXES = ['LD_', 'DYLD_'];
 
   /**
    * Detect potential infinite loops in source code
@@ -59,13 +86,18 @@ export class SafetyService {
       const now = Math.floor(Date.now() / 1000);
       const windowStart = now - this.ABUSE_CHECK_WINDOW;
 
-      // Get recent executions count
+      // Get recent runs count; a batch counts once, not once per item
       const result = await query(
         `SELECT COUNT(*) as count, 
-                SUM(CASE WHEN status = 'FAILED' THEN 1 ELSE 0 END) as failed_count
-         FROM executions 
-         WHERE session_id = $1 AND created_at > to_timestamp($2)`,
-        [sessionId, windowStart]
+                SUM(CASE WHEN status = ANY($3::execution_status_enum[]) THEN 1 ELSE 0 END) as failed_count
+         FROM (
+           SELECT status FROM executions
+           WHERE session_id = $1 AND batch_id IS NULL AND created_at > to_timestamp($2)
+           UNION ALL
+           SELECT status FROM batches
+           WHERE session_id = $1 AND created_at > to_timestamp($2)
+         ) runs`,
+        [sessionId, windowStart, this.USER_FAILURE_STATUSES]
       );
 
       const { count, failed_count } = result.rows[0];
@@ -99,24 +131,28 @@ export class SafetyService {
 
   /**
    * Validate execution parameters
+   * The language's max_time_limit_ms / max_memory_mb, when set, lower the
+   * global maximums
    */
-  static validateExecutionParams(timeLimit, memoryLimit, language) {
+  static validateExecutionParams(timeLimit, memoryLimit, language = {}) {
     const errors = [];
 
-    const MAX_TIME_LIMIT = 60000; // 60 seconds
-    const MIN_TIME_LIMIT = 100; // 100ms
-    const MAX_MEMORY_LIMIT = 2048; // 2GB
-    const MIN_MEMORY_LIMIT = 32; // 32MB
+    const maxTimeLimit = language.max_time_limit_ms || this.MAX_TIME_LIMIT_MS;
+    const maxMemoryLimit = language.max_memory_mb || this.MAX_MEMORY_LIMIT_MB;
 
-    if (timeLimit < MIN_TIME_LIMIT || timeLimit > MAX_TIME_LIMIT) {
+    if (!Number.isInteger(timeLimit)) {
+      errors.push('Time limit must be an integer number of milliseconds');
+    } else if (timeLimit < this.MIN_TIME_LIMIT_MS || timeLimit > maxTimeLimit) {
       errors.push(
-        `Time limit must be between ${MIN_TIME_LIMIT}ms and ${MAX_TIME_LIMIT}ms`
+        `Time limit must be between ${this.MIN_TIME_LIMIT_MS}ms and ${maxTimeLimit}ms`
       );
     }
 
-    if (memoryLimit < MIN_MEMORY_LIMIT || memoryLimit > MAX_MEMORY_LIMIT) {
+    if (!Number.isInteger(memoryLimit)) {
+      errors.push('Memory limit must be an integer number of megabytes');
+    } else if (memoryLimit < this.MIN_MEMORY_LIMIT_MB || memoryLimit > maxMemoryLimit) {
       errors.push(
-        `Memory limit must be between ${MIN_MEMORY_LIMIT}MB and ${MAX_MEMORY_LIMIT}MB`
+        `Memory limit must be between ${this.MIN_MEMORY_LIMIT_MB}MB and ${maxMemoryLimit}MB`
       );
     }
 
@@ -126,6 +162,63 @@ export class SafetyService {
     };
   }
 
+  /**
+   * Validate command-line arguments and environment variables for a run
+   * args: array of strings; env: object of NAME -> string value
+   */
+  static validateRunOptions(args, env) {
+    const errors = [];
+
+    if (args !== undefined && args !== null) {
+      if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+        errors.push('args must be an array of strings');
+      } else {
+        if (args.length > this.MAX_ARGS) {
+          errors.push(`Too many arguments (max ${this.MAX_ARGS})`);
+        }
+        if (args.some(arg => arg.length > this.MAX_ARG_VALUE_LENGTH)) {
+          errors.push(`Arguments must be at most ${this.MAX_ARG_VALUE_LENGTH} characters`);
+        }
+        if (args.some(arg => arg.includes('\0'))) {
+          errors.push('Arguments cannot contain NUL characters');
+        }
+      }
+    }
+
+    if (env !== undefined && env !== null) {
+      if (typeof env !== 'object' || Array.isArray(env)) {
+        errors.push('env must be an object of string values');
+      } else {
+        const entries = Object.entries(env);
+        if (entries.length > this.MAX_ENV_VARS) {
+          errors.push(`Too many environment variables (max ${this.MAX_ENV_VARS})`);
+        }
+
+        for (const [name, value] of entries) {
+          if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            errors.push(`Invalid environment variable name: ${name}`);
+          } else if (this.RESERVED_ENV_VARS.includes(name.toUpperCase())
+            || this.RESERVED_ENV_PREFIXES.some(prefix => name.toUpperCase().startsWith(prefix))) {
+            errors.push(`Environment variable ${name} cannot be overridden`);
+          } else if (typeof value !== 'string') {
+            errors.push(`Environment variable ${name} must be a string`);
+          } else if (value.length > this.MAX_ARG_VALUE_LENGTH || value.includes('\0')) {
+            errors.push(`Environment variable ${name} must be at most ${this.MAX_ARG_VALUE_LENGTH} characters without NUL`);
+          }
+        }
+      }
+    }
+
+    if (errors.length === 0 && Buffer.byteLength(JSON.stringify({ args, env })) > this.MAX_RUN_OPTIONS_BYTES) {
+      errors.push(`args and env exceed maximum size (${this.MAX_RUN_OPTIONS_BYTES} bytes)`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
   /**
    * Log execution lifecycle event
    */
@@ -133,7 +226,7 @@ export class SafetyService {
     try {
       const event = {
         execution_id: executionId,
-        stage, // QUEUED, RUNNING, COMPLETED, FAILED, TIMEOUT
+        stage, // QUEUED, RUNNING, COMPLETED, FAILED, TIMEOUT, COMPILATION_ERROR, CANCELLED
         timestamp: new Date().toISOString(),
         ...metadata,
       };
@@ -146,6 +239,10 @@ export class SafetyService {
       await redis.lpush(redisKey, JSON.stringify(event));
       await redis.expire(redisKey, 1800);
 
+      // Relay to live stream and WebSocket subscribers
+      await StreamService.append(executionId, { type: 'status', ...event });
+      await StreamService.publishLifecycleEvent(event);
+
       return event;
     } catch (error) {
       console.error('[SafetyService] Error logging event:', error);
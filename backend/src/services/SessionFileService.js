@@ -0,0 +1,235 @@
+import { transaction } from '../libs/db.js';
+import Session from '../models/Session.js';
+import SessionFile from '../models/SessionFile.js';
+import CodeExecutionService from './CodeExecutionService.js';
+import CollabService from './CollabService.js';
+import RevisionService from './RevisionService.js';
+
+const MAX_FILE_SIZE = 1000000; // bytes, same as the entry file
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * File tree of a session
+ *
+ * The entry point's content is stored in sessions.source_code (so single-file
+ * sessions and PATCH /code-sessions/:id keep working unchanged) and every
+ * other file in session_files.
+ */
+export class SessionFileService {
+  static async getProject(sessionId) {
+    const session = await Session.findWithLanguage(sessionId);
+    if (!session) {
+      throw httpError(404, `Session not found: ${sessionId}`);
+    }
+
+    const entryPoint = session.entry_point || session.file_name;
+    const files = await SessionFile.findBySessionId(sessionId);
+
+    return { session, entryPoint, files };
+  }
+
+  static async listFiles(sessionId) {
+    const { session, entryPoint, files } = await this.getProject(sessionId);
+
+    return {
+      session_id: session.id,
+      entry_point: entryPoint,
+      files: [
+        { path: entryPoint, content: session.source_code, updated_at: session.updated_at },
+        ...files.map(file => ({ path: file.path, content: file.content, updated_at: file.updated_at })),
+      ],
+    };
+  }
+
+  static async createFile(sessionId, filePath, content) {
+    const { session, entryPoint, files } = await this.getProject(sessionId);
+    this.validatePath(filePath, [entryPoint, ...files.map(file => file.path)]);
+    this.validateContent(content);
+
+    if (files.length >= CodeExecutionService.MAX_PROJECT_FILES) {
+      throw httpError(400, `Too many files (max ${CodeExecutionService.MAX_PROJECT_FILES} besides the entry point)`);
+    }
+    this.checkProjectSize(session, files, Buffer.byteLength(content));
+
+    try {
+      await transaction(async (client) => {
+        await SessionFile.create({ session_id: sessionId, path: filePath, content }, client);
+        await Session.touch(sessionId, client);
+        await RevisionService.record(sessionId, client);
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        throw httpError(409, `File already exists: ${filePath}`);
+      }
+      throw error;
+    }
+
+    return this.listFiles(sessionId);
+  }
+
+  /**
+   * Update a file's content and/or rename it (changes.content, changes.new_path)
+   */
+  static async updateFile(sessionId, filePath, changes) {
+    const { content, new_path: newPath } = changes;
+    if (content === undefined && newPath === undefined) {
+      throw httpError(400, 'content or new_path is required');
+    }
+
+    // Live edits of the entry file, saved before it can move
+    if (newPath !== undefined) {
+      await CollabService.flush(sessionId);
+    }
+
+    const { session, entryPoint, files } = await this.getProject(sessionId);
+    const isEntry = filePath === entryPoint;
+    const current = files.find(file => file.path === filePath);
+    if (!isEntry && !current) {
+      throw httpError(404, `File not found: ${filePath}`);
+    }
+
+    if (newPath !== undefined && newPath !== filePath) {
+      const others = [entryPoint, ...files.map(file => file.path)].filter(p => p !== filePath);
+      this.validatePath(newPath, others);
+    }
+
+    if (content !== undefined) {
+      if (isEntry) {
+        const validation = CodeExecutionService.validateCode(content);
+        if (!validation.valid) {
+          throw httpError(400, validation.error);
+        }
+      } else {
+        this.validateContent(content);
+      }
+
+      const previous = isEntry ? session.source_code : current.content;
+      this.checkProjectSize(session, files, Buffer.byteLength(content) - Buffer.byteLength(previous));
+    }
+
+    try {
+      await transaction(async (client) => {
+        if (isEntry) {
+          await Session.update(sessionId, { source_code: content, entry_point: newPath }, client);
+        } else {
+          const updated = await SessionFile.update(sessionId, filePath, { content, new_path: newPath }, client);
+          if (!updated) {
+            throw httpError(404, `File not found: ${filePath}`);
+          }
+          await Session.touch(sessionId, client);
+        }
+        await RevisionService.record(sessionId, client);
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        throw httpError(409, `File already exists: ${newPath}`);
+      }
+      throw error;
+    }
+
+    if (isEntry && newPath !== undefined && newPath !== filePath) {
+      await CollabService.resetDocument(sessionId, `Entry point renamed to ${newPath}; reload the document`);
+    }
+
+    return this.listFiles(sessionId);
+  }
+
+  static async deleteFile(sessionId, filePath) {
+    const { entryPoint } = await this.getProject(sessionId);
+    if (filePath === entryPoint) {
+      throw httpError(409, 'The entry point cannot be deleted; choose another entry point first');
+    }
+
+    await transaction(async (client) => {
+      const deleted = await SessionFile.delete(sessionId, filePath, client);
+      if (!deleted) {
+        throw httpError(404, `File not found: ${filePath}`);
+      }
+
+      await Session.touch(sessionId, client);
+      await RevisionService.record(sessionId, client);
+    });
+
+    return this.listFiles(sessionId);
+  }
+
+  /**
+   * Make another file the entry point
+   * Its content moves into sessions.source_code and the previous entry file
+   * becomes a regular project file.
+   */
+  static async setEntryPoint(sessionId, filePath) {
+    // The previous entry file is copied from sessions.source_code
+    await CollabService.flush(sessionId);
+
+    const { session, entryPoint } = await this.getProject(sessionId);
+    if (filePath === entryPoint) {
+      return this.listFiles(sessionId);
+    }
+
+    await transaction(async (client) => {
+      const target = await SessionFile.delete(sessionId, filePath, client);
+      if (!target) {
+        throw httpError(404, `File not found: ${filePath}`);
+      }
+
+      await SessionFile.create({
+        session_id: sessionId,
+        path: entryPoint,
+        content: session.source_code,
+      }, client);
+      await Session.update(sessionId, {
+        source_code: target.content,
+        entry_point: filePath,
+      }, client);
+      await RevisionService.record(sessionId, client);
+    });
+
+    await CollabService.resetDocument(sessionId, `Entry point changed to ${filePath}; reload the document`);
+    return this.listFiles(sessionId);
+  }
+
+  /**
+   * Paths must be valid and must not clash with existing paths, including a
+   * file standing where another path needs a directory (a vs a/b.py)
+   */
+  static validatePath(filePath, existingPaths) {
+    const validation = CodeExecutionService.validateFilePath(filePath);
+    if (!validation.valid) {
+      throw httpError(400, validation.error);
+    }
+
+    for (const existing of existingPaths) {
+      if (existing === filePath) {
+        throw httpError(409, `File already exists: ${filePath}`);
+      }
+      if (existing.startsWith(`${filePath}/`) || filePath.startsWith(`${existing}/`)) {
+        throw httpError(409, `Path conflicts with existing file: ${existing}`);
+      }
+    }
+  }
+
+  static validateContent(content) {
+    if (typeof content !== 'string') {
+      throw httpError(400, 'content must be a string');
+    }
+
+    if (Buffer.byteLength(content) > MAX_FILE_SIZE) {
+      throw httpError(400, 'File exceeds maximum size (1MB)');
+    }
+  }
+
+  static checkProjectSize(session, files, addedBytes) {
+    const total = files.reduce((sum, file) => sum + Buffer.byteLength(file.content), Buffer.byteLength(session.source_code));
+    if (total + addedBytes > CodeExecutionService.MAX_PROJECT_BYTES) {
+      throw httpError(400, `Project exceeds maximum size (${CodeExecutionService.MAX_PROJECT_BYTES} bytes)`);
+    }
+  }
+}
+
+export default SessionFileService;
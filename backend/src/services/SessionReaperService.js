@@ -0,0 +1,107 @@
+import { codeExecutionQueue } from '../libs/queue.js';
+import Session from '../models/Session.js';
+import StreamService from './StreamService.js';
+
+/**
+ * Closes abandoned sessions
+ *
+ * A repeatable job on the execution queue closes ACTIVE sessions with no
+ * activity (code changes, runs starting or finishing) for IDLE_TTL_SECONDS,
+ * so they can no longer run. Each closed session is announced as a
+ * SESSION_CLOSED lifecycle event, which /ws/executions pushes to session
+ * subscribers.
+ */
+export class SessionReaperService {
+  // Configuration
+  static JOB_NAME = 'reap-idle-sessions';
+  static IDLE_TTL_SECONDS = parseInt(process.env.SESSION_IDLE_TTL_SECONDS ?? 86400); // 0 disables
+  static INTERVAL_MS = parseInt(process.env.SESSION_REAPER_INTERVAL_MS || 300000);
+  static BATCH_SIZE = 100;
+  static MAX_BATCHES = 50; // per run; the next run picks up the rest
+
+  static isEnabled() {
+    return this.IDLE_TTL_SECONDS > 0;
+  }
+
+  /**
+   * When an ACTIVE session will be closed if nothing happens (null otherwise)
+   * Expects last_activity_at as returned by Session.findWithLanguage.
+   */
+  static getExpiresAt(session) {
+    if (!this.isEnabled() || session.status !== 'ACTIVE' || !session.last_activity_at) {
+      return null;
+    }
+
+    return new Date(new Date(session.last_activity_at).getTime() + this.IDLE_TTL_SECONDS * 1000).toISOString();
+  }
+
+  /**
+   * Register the repeatable job (idempotent, called by every worker on start)
+   * Schedules left over from another interval, or from before the reaper was
+   * disabled, are removed.
+   */
+  static async schedule() {
+    const repeatables = await codeExecutionQueue.getRepeatableJobs();
+    for (const job of repeatables) {
+      if (job.name === this.JOB_NAME && (!this.isEnabled() || Number(job.every) !== this.INTERVAL_MS)) {
+        await codeExecutionQueue.removeRepeatableByKey(job.key);
+      }
+    }
+
+    if (!this.isEnabled()) {
+      console.log('[SessionReaper] Disabled (SESSION_IDLE_TTL_SECONDS=0)');
+      return false;
+    }
+
+    await codeExecutionQueue.add(this.JOB_NAME, {}, {
+      repeat: { every: this.INTERVAL_MS },
+      attempts: 1, // the next run retries anyway
+      removeOnFail: true,
+    });
+
+    console.log(`[SessionReaper] Closing sessions idle for ${this.IDLE_TTL_SECONDS}s, checking every ${this.INTERVAL_MS}ms`);
+    return true;
+  }
+
+  /**
+   * Close every session idle beyond the TTL; resolves with how many were closed
+   */
+  static async closeIdleSessions() {
+    if (!this.isEnabled()) {
+      return 0;
+    }
+
+    let closed = 0;
+    for (let batch = 0; batch < this.MAX_BATCHES; batch++) {
+      const sessions = await Session.closeIdle(this.IDLE_TTL_SECONDS, this.BATCH_SIZE);
+
+      for (const session of sessions) {
+        await this.announce(session);
+      }
+      closed += sessions.length;
+
+      if (sessions.length < this.BATCH_SIZE) break;
+    }
+
+    if (closed > 0) {
+      console.log(`[SessionReaper] Closed ${closed} idle session(s)`);
+    }
+    return closed;
+  }
+
+  static async announce({ id, last_activity_at }) {
+    try {
+      await StreamService.publishLifecycleEvent({
+        session_id: id,
+        stage: 'SESSION_CLOSED',
+        reason: 'idle',
+        last_activity_at: new Date(last_activity_at).toISOString(),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(`[SessionReaper] Failed to announce closing session ${id}:`, error.message);
+    }
+  }
+}
+
+export default SessionReaperService;
@@ -1,6 +1,12 @@
 import { v4 as uuidv4 } from 'uuid';
+import { transaction } from '../libs/db.js';
 import Session from '../models/Session.js';
 import Language from '../models/Language.js';
+import SessionFile from '../models/SessionFile.js';
+import Execution from '../models/Execution.js';
+import CollabService from './CollabService.js';
+import RevisionService from './RevisionService.js';
+import SessionReaperService from './SessionReaperService.js';
 
 export class SessionService {
   static async createSession(languageId) {
@@ -10,32 +16,114 @@ export class SessionService {
     }
 
     const sessionId = uuidv4();
-    const session = await Session.create({
-      id: sessionId,
-      language_id: languageId,
-      source_code: language.template_code || '',
-      status: 'ACTIVE',
+    const session = await transaction(async (client) => {
+      const session = await Session.create({
+        id: sessionId,
+        language_id: languageId,
+        source_code: language.template_code || '',
+        entry_point: language.file_name,
+        status: 'ACTIVE',
+      }, client);
+
+      // The template is revision 1
+      await RevisionService.record(session.id, client);
+      return session;
     });
 
     return {
       session_id: session.id,
       status: session.status,
+      lock_version: session.lock_version,
     };
   }
 
-  static async updateSessionCode(sessionId, sourceCode) {
+  /**
+   * Copy a session (language, entry point and every file) into a new ACTIVE one
+   * With includeExecutions the fork also lists the original's runs so far;
+   * they are referenced, not copied.
+   */
+  static async forkSession(sessionId, { includeExecutions = false } = {}) {
+    // Live edits not yet written to the session
+    await CollabService.flush(sessionId);
+
+    const { original, session, executionRefs } = await transaction(async (client) => {
+      // Locked so the code and the files are copied from the same moment
+      await Session.lock(sessionId, client);
+      const original = await Session.findById(sessionId, client);
+      if (!original) {
+        const error = new Error(`Session not found: ${sessionId}`);
+        error.status = 404;
+        throw error;
+      }
+
+      const files = await SessionFile.findBySessionId(sessionId, client);
+
+      const session = await Session.create({
+        id: uuidv4(),
+        language_id: original.language_id,
+        source_code: original.source_code,
+        entry_point: original.entry_point,
+        status: 'ACTIVE',
+        forked_from: original.id,
+      }, client);
+
+      for (const file of files) {
+        await SessionFile.create({ session_id: session.id, path: file.path, content: file.content }, client);
+      }
+
+      const executionRefs = includeExecutions
+        ? await Execution.copySessionReferences(original.id, session.id, client)
+        : 0;
+
+      // The copied code is the fork's revision 1
+      await RevisionService.record(session.id, client);
+
+      return { original, session, executionRefs };
+    });
+
+    return {
+      session_id: session.id,
+      status: session.status,
+      lock_version: session.lock_version,
+      forked_from: original.id,
+      inherited_executions: executionRefs,
+    };
+  }
+
+  /**
+   * Save the session's code (autosave)
+   * With expectedVersion (the client's If-Match) the save only applies while
+   * nobody else changed the session since; a stale client gets a 409 error
+   * carrying the current lock_version.
+   */
+  static async updateSessionCode(sessionId, sourceCode, expectedVersion = null) {
     const session = await Session.findById(sessionId);
     if (!session) {
       throw new Error(`Session not found: ${sessionId}`);
     }
 
-    const updated = await Session.update(sessionId, {
-      source_code: sourceCode,
+    const updated = await transaction(async (client) => {
+      const updated = await Session.update(sessionId, {
+        source_code: sourceCode,
+        expected_version: expectedVersion ?? undefined,
+      }, client);
+      if (updated) {
+        await RevisionService.record(sessionId, client);
+      }
+      return updated;
     });
+    if (!updated) {
+      const current = await Session.findById(sessionId);
+      const error = new Error('Session was modified by another client; reload it and retry');
+      error.status = 409; // Conflict
+      error.currentVersion = current?.lock_version ?? null;
+      throw error;
+    }
 
     return {
       session_id: updated.id,
       status: updated.status,
+      lock_version: updated.lock_version,
     };
   }
 
@@ -45,16 +133,25 @@ export class SessionService {
       throw new Error(`Session not found: ${sessionId}`);
     }
 
+    const entryPoint = session.entry_point || session.file_name;
+    const files = await SessionFile.findBySessionId(sessionId);
+
     return {
       session_id: session.id,
       status: session.status,
       language_id: session.language_id,
       language_name: session.language_name,
       source_code: session.source_code,
+      entry_point: entryPoint,
+      files: [entryPoint, ...files.map(file => file.path)],
       runtime: session.runtime,
       version: session.version,
+      lock_version: session.lock_version,
+      forked_from: session.forked_from,
       created_at: session.created_at,
       updated_at: session.updated_at,
+      last_activity_at: session.last_activity_at,
+      expires_at: SessionReaperService.getExpiresAt(session),
     };
   }
 
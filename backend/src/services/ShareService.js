@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { validate as isUuid } from 'uuid';
+import Execution from '../models/Execution.js';
+import Session from '../models/Session.js';
+import SessionShare from '../models/SessionShare.js';
+import SourceSnapshot from '../models/SourceSnapshot.js';
+import CollabService from './CollabService.js';
+import ExecutionService from './ExecutionService.js';
+import SnapshotService from './SnapshotService.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read-only share links
+ *
+ * A share token lets anyone holding it view a session's code and runs under
+ * /shared/:token. Session and execution ids are never included in what a
+ * token returns: every other endpoint accepts those ids as the only proof of
+ * access, so revealing them would let viewers edit or run the code.
+ */
+export class ShareService {
+  // Configuration
+  static TOKEN_BYTES = 24;
+  static DEFAULT_EXPIRES_IN = 7 * 24 * 3600; // seconds
+  static MAX_EXPIRES_IN = 90 * 24 * 3600;
+  static DEFAULT_EXECUTION_LIMIT = 10;
+  static MAX_EXECUTION_LIMIT = 100;
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Validate a link lifetime in seconds; null means the link never expires
+   */
+  static validateExpiresIn(expiresIn) {
+    if (expiresIn === null) {
+      return { valid: true };
+    }
+
+    if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > this.MAX_EXPIRES_IN) {
+      return { valid: false, error: `expires_in must be null or between 60 and ${this.MAX_EXPIRES_IN} seconds` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Create a share link; the token is only returned here
+   */
+  static async createShare(sessionId, expiresIn = this.DEFAULT_EXPIRES_IN) {
+    const validation = this.validateExpiresIn(expiresIn);
+    if (!validation.valid) {
+      throw httpError(400, validation.error);
+    }
+
+    await this.findSession(sessionId);
+
+    const token = crypto.randomBytes(this.TOKEN_BYTES).toString('base64url');
+    const share = await SessionShare.create({
+      session_id: sessionId,
+      token_hash: this.hashToken(token),
+      expires_at: expiresIn === null ? null : new Date(Date.now() + expiresIn * 1000),
+    });
+
+    console.log(`[ShareService] Created share ${share.id} of session ${sessionId}`);
+
+    return {
+      ...this.formatShare(share),
+      token,
+      url: `/shared/${token}`,
+    };
+  }
+
+  static async listShares(sessionId) {
+    await this.findSession(sessionId);
+
+    const shares = await SessionShare.findBySessionId(sessionId);
+    return {
+      session_id: sessionId,
+      shares: shares.map(share => this.formatShare(share)),
+    };
+  }
+
+  static async revokeShare(sessionId, shareId) {
+    const share = isUuid(shareId) ? await SessionShare.revoke(sessionId, shareId) : null;
+    if (!share) {
+      throw httpError(404, `Share not found: ${shareId}`);
+    }
+
+    console.log(`[ShareService] Revoked share ${share.id} of session ${sessionId}`);
+    return this.formatShare(share);
+  }
+
+  static formatShare(share) {
+    const now = new Date();
+    return {
+      share_id: share.id,
+      created_at: share.created_at,
+      expires_at: share.expires_at,
+      revoked_at: share.revoked_at,
+      active: !share.revoked_at && (!share.expires_at || new Date(share.expires_at) > now),
+    };
+  }
+
+  static async findSession(sessionId) {
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      throw httpError(404, `Session not found: ${sessionId}`);
+    }
+    return session;
+  }
+
+  /**
+   * Session a token opens; unknown, expired and revoked tokens look the same
+   */
+  static async resolveToken(token) {
+    const share = token ? await SessionShare.findActiveByTokenHash(this.hashToken(token)) : null;
+    const session = share && await Session.findWithLanguage(share.session_id);
+    if (!session) {
+      throw httpError(404, 'Share link not found or expired');
+    }
+    return session;
+  }
+
+  /**
+   * The session's current code, every file with its content
+   */
+  static async getSharedSession(token) {
+    const stored = await this.resolveToken(token);
+
+    // Show live edits of a pair-programming session; viewers never save them
+    const live = await CollabService.getLiveDocument(stored.id);
+    const session = live === null ? stored : { ...stored, source_code: live };
+
+    const { entry_point, source_code, files } = await SnapshotService.fromSession(session);
+
+    return {
+      status: session.status,
+      language_id: session.language_id,
+      language_name: session.language_name,
+      runtime: session.runtime,
+      version: session.version,
+      entry_point,
+      source_code,
+      files,
+      created_at: session.created_at,
+      updated_at: session.updated_at,
+    };
+  }
+
+  /**
+   * Latest runs with their output, newest first
+   */
+  static async getSharedExecutions(token, limit = this.DEFAULT_EXECUTION_LIMIT) {
+    const session = await this.resolveToken(token);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.MAX_EXECUTION_LIMIT) {
+      throw httpError(400, `limit must be between 1 and ${this.MAX_EXECUTION_LIMIT}`);
+    }
+
+    const executions = await Execution.findBySessionId(session.id, limit);
+    return {
+      executions: executions.map(ex => ({
+        status: ex.status,
+        source_hash: ex.source_hash,
+        interactive: ex.interactive,
+        stdin: ex.stdin,
+        stdout: ex.stdout,
+        stderr: ex.stderr,
+        exit_code: ex.exit_code,
+        execution_time_ms: ex.execution_time_ms,
+        time_limit_ms: ex.time_limit_ms,
+        memory_limit_mb: ex.memory_limit_mb,
+        ...ExecutionService.getMetrics(ex),
+        compile_output: ex.compile_output,
+        passed_cases: ex.passed_cases,
+        total_cases: ex.total_cases,
+        score: ex.score,
+        created_at: ex.created_at,
+        finished_at: ex.finished_at,
+      })),
+    };
+  }
+
+  /**
+   * Code a run of the session used, by its source_hash
+   */
+  static async getSharedSource(token, sourceHash) {
+    const session = await this.resolveToken(token);
+
+    const snapshot = /^[0-9a-f]{64}$/.test(sourceHash) && await Execution.existsWithSource(session.id, sourceHash)
+      ? await SourceSnapshot.findByHash(sourceHash)
+      : null;
+    if (!snapshot) {
+      throw httpError(404, `Source not found: ${sourceHash}`);
+    }
+
+    return {
+      source_hash: snapshot.hash,
+      entry_point: snapshot.entry_point,
+      source_code: snapshot.source_code,
+      files: snapshot.files,
+    };
+  }
+}
+
+export default ShareService;
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import SessionFile from '../models/SessionFile.js';
+import SourceSnapshot from '../models/SourceSnapshot.js';
+
+/**
+ * Immutable copies of a session's code, taken when a run is submitted
+ *
+ * A snapshot holds the entry point, its content and every other project file.
+ * Snapshots are keyed by a hash of that content, so runs of unchanged code
+ * share one row, and workers execute the snapshot instead of whatever the
+ * session holds by the time the job is picked up.
+ */
+export class SnapshotService {
+  static getHash({ entry_point, source_code, files = [] }) {
+    const sortedFiles = [...files]
+      .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+      .map(file => [file.path, file.content]);
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ entry_point, source_code, files: sortedFiles }))
+      .digest('hex');
+  }
+
+  /**
+   * The session's current code ({ entry_point, source_code, files }), not stored
+   */
+  static async fromSession(session, client = null) {
+    const files = await SessionFile.findBySessionId(session.id, client);
+    return {
+      entry_point: session.entry_point || session.file_name,
+      source_code: session.source_code,
+      files: files.map(({ path, content }) => ({ path, content })),
+    };
+  }
+
+  /**
+   * Snapshot the session's current code; resolves with the snapshot and its hash
+   */
+  static async capture(session, client = null) {
+    const snapshot = await this.fromSession(session, client);
+    return SourceSnapshot.create({ hash: this.getHash(snapshot), ...snapshot }, client);
+  }
+}
+
+export default SnapshotService;
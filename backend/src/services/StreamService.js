@@ -0,0 +1,198 @@
+import redis, { createRedisConnection } from '../libs/redis.js';
+
+/**
+ * Live execution stream relayed through Redis
+ *
+ * Every event is appended to a per-execution list (so late subscribers can
+ * replay what they missed) and published on a channel of the same name. The
+ * list position doubles as the event sequence number, which subscribers use
+ * to de-duplicate the replay against live messages.
+ *
+ * Event types: status (lifecycle events, see SafetyService.logExecutionEvent),
+ * stdout and stderr ({ data } chunks of program output)
+ *
+ * Lifecycle events are additionally published on one shared channel, so each
+ * API instance can fan them out to its WebSocket clients by execution or session.
+ */
+export class StreamService {
+  // Configuration
+  static KEY_PREFIX = 'execution:';
+  static TTL = 1800; // seconds, same as lifecycle events
+  static FLUSH_INTERVAL_MS = parseInt(process.env.STREAM_FLUSH_INTERVAL_MS || 50);
+  static HEARTBEAT_MS = 15000; // SSE keep-alive comment interval
+  static EVENTS_CHANNEL = 'executions:events';
+
+  static subscriber = null;
+  static channels = new Map(); // channel -> { handlers: Set, ready: Promise }
+
+  static getKey(executionId) {
+    return `${this.KEY_PREFIX}${executionId}:stream`;
+  }
+
+  /**
+   * Append an event to the execution stream and publish it
+   * Returns the event with its sequence number
+   */
+  static async append(executionId, event) {
+    const key = this.getKey(executionId);
+    const payload = JSON.stringify(event);
+    const seq = await redis.rpush(key, payload);
+    await redis.expire(key, this.TTL);
+    await redis.publish(key, JSON.stringify({ seq, ...event }));
+    return { seq, ...event };
+  }
+
+  /**
+   * Create a publisher for program output
+   * Chunks written within FLUSH_INTERVAL_MS are coalesced per stream, and
+   * events are sent strictly in order. Redis errors are logged, never thrown,
+   * so a broken stream cannot fail the execution itself.
+   */
+  static createPublisher(executionId) {
+    let pending = [];
+    let timer = null;
+    let chain = Promise.resolve();
+
+    const send = (events) => {
+      chain = chain
+        .then(async () => {
+          for (const event of events) {
+            await this.append(executionId, event);
+          }
+        })
+        .catch(error => console.error(`[StreamService] Error publishing to ${executionId}:`, error.message));
+      return chain;
+    };
+
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      const events = pending;
+      pending = [];
+      return send(events);
+    };
+
+    return {
+      write(type, chunk) {
+        const data = chunk.toString();
+        const last = pending[pending.length - 1];
+        if (last && last.type === type) {
+          last.data += data;
+        } else {
+          pending.push({ type, data });
+        }
+        if (!timer) {
+          timer = setTimeout(flush, StreamService.FLUSH_INTERVAL_MS);
+        }
+      },
+      flush,
+    };
+  }
+
+  static async publishLifecycleEvent(event) {
+    await redis.publish(this.EVENTS_CHANNEL, JSON.stringify(event));
+  }
+
+  /**
+   * Receive lifecycle events of every execution, from any instance
+   * Returns an unsubscribe function
+   */
+  static onLifecycleEvent(handler) {
+    return this.listen(this.EVENTS_CHANNEL, handler);
+  }
+
+  static async getSubscriber() {
+    if (!this.subscriber) {
+      this.subscriber = createRedisConnection({ enableOfflineQueue: true });
+      this.subscriber.on('message', (channel, message) => {
+        const entry = this.channels.get(channel);
+        if (!entry) return;
+
+        let event;
+        try {
+          event = JSON.parse(message);
+        } catch {
+          return;
+        }
+        entry.handlers.forEach(handler => handler(event));
+      });
+    }
+    return this.subscriber;
+  }
+
+  /**
+   * Follow an execution stream: replay the stored events after `afterSeq`,
+   * then deliver live events in order. Returns an unsubscribe function.
+   */
+  static async follow(executionId, onEvent, { afterSeq = 0 } = {}) {
+    const channel = this.getKey(executionId);
+    let lastSeq = afterSeq;
+    let replaying = true;
+    const buffered = [];
+
+    const deliver = (event) => {
+      if (event.seq <= lastSeq) return;
+      lastSeq = event.seq;
+      onEvent(event);
+    };
+
+    const handler = (event) => {
+      if (replaying) {
+        buffered.push(event);
+      } else {
+        deliver(event);
+      }
+    };
+
+    // Subscribed first, so nothing published from here on can be missed
+    const unsubscribe = await this.listen(channel, handler);
+
+    try {
+      const stored = await redis.lrange(channel, afterSeq, -1);
+      stored.forEach((payload, index) => {
+        deliver({ seq: afterSeq + index + 1, ...JSON.parse(payload) });
+      });
+    } catch (error) {
+      await unsubscribe();
+      throw error;
+    }
+
+    replaying = false;
+    buffered.forEach(deliver);
+
+    return unsubscribe;
+  }
+
+  /**
+   * Add a handler for a Redis channel on the shared subscriber connection
+   * Resolves once the subscription is active, with an unsubscribe function
+   */
+  static async listen(channel, handler) {
+    const subscriber = await this.getSubscriber();
+    let entry = this.channels.get(channel);
+    if (!entry) {
+      entry = { handlers: new Set(), ready: subscriber.subscribe(channel) };
+      this.channels.set(channel, entry);
+    }
+    entry.handlers.add(handler);
+
+    const unsubscribe = async () => {
+      if (!entry.handlers.delete(handler) || entry.handlers.size > 0) return;
+      if (this.channels.get(channel) === entry) {
+        this.channels.delete(channel);
+        await subscriber.unsubscribe(channel).catch(() => {});
+      }
+    };
+
+    try {
+      await entry.ready;
+    } catch (error) {
+      await unsubscribe();
+      throw error;
+    }
+
+    return unsubscribe;
+  }
+}
+
+export default StreamService;
@@ -0,0 +1,96 @@
+import { PassThrough } from 'stream';
+import StreamService from './StreamService.js';
+
+/**
+ * Interactive runs: terminal input relayed through the execution stream
+ *
+ * Clients append `stdin` events (and one `stdin_close` for end of input) to
+ * the execution's stream, the same Redis list and channel that carries the
+ * program output. The worker follows the stream, so input sent while the job
+ * was queued or compiling is replayed to the program once it starts, and
+ * every viewer of the stream sees input and output in order.
+ */
+export class TerminalService {
+  // Configuration
+  static IDLE_TIMEOUT_MS = parseInt(process.env.INTERACTIVE_IDLE_TIMEOUT_MS || 60000);
+  static MAX_INPUT_BYTES = 1000000; // per execution, same as stdin
+  static MAX_MESSAGE_BYTES = 65536; // per input message
+
+  static getTerminalUrl(executionId) {
+    return `/ws/terminal?execution_id=${executionId}`;
+  }
+
+  /**
+   * Validate one chunk of terminal input sent by a client
+   */
+  static validateInput(data) {
+    if (typeof data !== 'string' || data.length === 0) {
+      return { valid: false, error: 'data must be a non-empty string' };
+    }
+
+    if (Buffer.byteLength(data) > this.MAX_MESSAGE_BYTES) {
+      return { valid: false, error: `Input message exceeds maximum size (${this.MAX_MESSAGE_BYTES} bytes)` };
+    }
+
+    return { valid: true };
+  }
+
+  static async sendInput(executionId, data) {
+    return StreamService.append(executionId, { type: 'stdin', data });
+  }
+
+  static async closeInput(executionId) {
+    return StreamService.append(executionId, { type: 'stdin_close' });
+  }
+
+  /**
+   * Connect a worker to an execution's terminal input
+   *
+   * Returns { input, record(stream, chunk), getTranscript(), close() }:
+   * input is the Readable to use as the program's stdin, record() adds program
+   * output to the transcript, and the transcript lists { stream, data, at_ms }
+   * entries (consecutive chunks of one stream merged, at_ms relative to attach).
+   * Input beyond MAX_INPUT_BYTES is dropped.
+   */
+  static async attach(executionId) {
+    const input = new PassThrough();
+    const transcript = [];
+    const startTime = Date.now();
+    let inputBytes = 0;
+
+    const record = (stream, chunk) => {
+      const data = chunk.toString();
+      const last = transcript[transcript.length - 1];
+      if (last && last.stream === stream) {
+        last.data += data;
+      } else {
+        transcript.push({ stream, data, at_ms: Date.now() - startTime });
+      }
+    };
+
+    const unsubscribe = await StreamService.follow(executionId, (event) => {
+      if (input.writableEnded) return;
+
+      if (event.type === 'stdin' && typeof event.data === 'string') {
+        inputBytes += Buffer.byteLength(event.data);
+        if (inputBytes > this.MAX_INPUT_BYTES) return;
+        record('stdin', event.data);
+        input.write(event.data);
+      } else if (event.type === 'stdin_close') {
+        input.end();
+      }
+    });
+
+    return {
+      input,
+      record,
+      getTranscript: () => transcript,
+      close: async () => {
+        input.end();
+        await unsubscribe();
+      },
+    };
+  }
+}
+
+export default TerminalService;
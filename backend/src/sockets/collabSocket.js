@@ -0,0 +1,198 @@
+import { WebSocketServer } from 'ws';
+import { v4 as uuidv4, validate as isUuid } from 'uuid';
+import Session from '../models/Session.js';
+import CollabService from '../services/CollabService.js';
+
+const PING_INTERVAL_MS = 30000;
+const POLICY_VIOLATION = 1008;
+
+/**
+ * Collaborative editing of a session's entry file
+ *
+ * Connect to /ws/collab?session_id=<id>&name=<display name>.
+ *
+ * Client messages:
+ *   { "type": "op", "revision": n, "op": [...] }   edit made on top of revision n
+ *   { "type": "cursor", "cursor": { "position", "selection_end" } | null }
+ *
+ * An op walks the whole document: a positive number retains that many
+ * characters, a negative number deletes them, a string inserts it.
+ *
+ * Server messages:
+ *   { "type": "init", "client_id", "name", "revision", "document", "peers" }
+ *   { "type": "ack", "revision" }                   your op was applied as revision
+ *   { "type": "op", "revision", "op", "client_id" } someone else's op (client_id "server"
+ *                                                   for changes saved through the API)
+ *   { "type": "join" | "presence", "client_id", "name", "cursor" }
+ *   { "type": "leave", "client_id" }
+ *   { "type": "error", "error": "...", "resync"?: true }  resync: reconnect to reload
+ *                                                   (also sent when the entry point changes)
+ *
+ * Ops and acks arrive in revision order; until its op is acknowledged a
+ * client transforms incoming ops against its pending edits (as in ot.js).
+ */
+export function createCollabSocket() {
+  const wss = new WebSocketServer({ noServer: true });
+
+  const send = (ws, message) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  const reject = (ws, error, code = POLICY_VIOLATION) => {
+    send(ws, { type: 'error', error });
+    ws.close(code, error.slice(0, 120));
+    return false;
+  };
+
+  // Channel events, held back until the client has its initial document
+  const deliver = (ws, event) => {
+    if (ws.revision === null) {
+      ws.pending.push(event);
+      return;
+    }
+
+    if (event.type === 'op') {
+      if (event.revision <= ws.revision) return; // already in the initial document
+      ws.revision = event.revision;
+
+      if (event.client_id === ws.clientId) {
+        send(ws, { type: 'ack', revision: event.revision });
+      } else {
+        send(ws, event);
+      }
+      return;
+    }
+
+    if (event.client_id !== ws.clientId) {
+      send(ws, event);
+    }
+  };
+
+  const open = async (ws, sessionId, name) => {
+    if (!sessionId || !isUuid(sessionId)) {
+      return reject(ws, 'session_id must be a valid id');
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return reject(ws, `Session not found: ${sessionId}`);
+    }
+
+    const unsubscribe = await CollabService.subscribe(sessionId, (event) => deliver(ws, event));
+    if (ws.readyState !== ws.OPEN) {
+      await unsubscribe();
+      return false;
+    }
+    ws.unsubscribe = unsubscribe;
+
+    ws.peer = await CollabService.join(sessionId, ws.clientId, name);
+    const { document, revision } = await CollabService.getDocument(sessionId);
+    const peers = await CollabService.getPeers(sessionId);
+
+    send(ws, {
+      type: 'init',
+      client_id: ws.clientId,
+      name: ws.peer.name,
+      revision,
+      document,
+      peers: peers.filter(peer => peer.client_id !== ws.clientId),
+    });
+
+    ws.revision = revision;
+    ws.pending.splice(0).forEach(event => deliver(ws, event));
+
+    return true;
+  };
+
+  const handleMessage = async (ws, raw) => {
+    if (!(await ws.ready)) return;
+
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return send(ws, { type: 'error', error: 'Invalid JSON message' });
+    }
+
+    if (message?.type === 'op') {
+      try {
+        await CollabService.submitOperation(ws.sessionId, message.revision, message.op, ws.clientId);
+      } catch (error) {
+        if (!error.status) throw error;
+        send(ws, { type: 'error', error: error.message, ...(error.resync && { resync: true }) });
+      }
+      return;
+    }
+
+    if (message?.type === 'cursor') {
+      const validation = CollabService.validateCursor(message.cursor);
+      if (!validation.valid) {
+        return send(ws, { type: 'error', error: validation.error });
+      }
+      await CollabService.updateCursor(ws.sessionId, ws.peer, message.cursor);
+      return;
+    }
+
+    send(ws, { type: 'error', error: 'type must be op or cursor' });
+  };
+
+  wss.on('connection', (ws, req) => {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    ws.sessionId = params.get('session_id');
+    ws.clientId = uuidv4();
+    ws.isAlive = true;
+    ws.revision = null;
+    ws.pending = [];
+    ws.peer = null;
+    ws.unsubscribe = null;
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (raw) => {
+      handleMessage(ws, raw).catch(error => {
+        console.error('[CollabSocket] Message error:', error);
+        send(ws, { type: 'error', error: error.message });
+      });
+    });
+    ws.on('close', () => {
+      ws.unsubscribe?.();
+      if (ws.peer) {
+        CollabService.leave(ws.sessionId, ws.clientId).catch(error => {
+          console.error('[CollabSocket] Failed to remove peer:', error.message);
+        });
+      }
+    });
+
+    ws.ready = open(ws, ws.sessionId, params.get('name')).catch(error => {
+      console.error('[CollabSocket] Failed to open session:', error);
+      return reject(ws, error.message, 1011);
+    });
+  });
+
+  // Drop connections that stopped answering pings; keep the others listed as peers
+  const pingTimer = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+      if (ws.peer) {
+        CollabService.setPresence(ws.sessionId, ws.peer).catch(() => {});
+      }
+    });
+  }, PING_INTERVAL_MS);
+  pingTimer.unref();
+
+  wss.on('close', () => {
+    clearInterval(pingTimer);
+  });
+
+  return wss;
+}
+
+export default createCollabSocket;
@@ -0,0 +1,158 @@
+import { WebSocketServer } from 'ws';
+import { validate as isUuid } from 'uuid';
+import StreamService from '../services/StreamService.js';
+import SafetyService from '../services/SafetyService.js';
+
+const MAX_SUBSCRIPTIONS = 100; // execution + session ids per connection
+const PING_INTERVAL_MS = 30000;
+
+const toList = (value) => (value === undefined ? [] : [].concat(value));
+
+/**
+ * WebSocket endpoint pushing execution lifecycle events
+ *
+ * Client messages:
+ *   { "action": "subscribe", "execution_ids": [...], "session_ids": [...] }
+ *   { "action": "unsubscribe", "execution_ids": [...], "session_ids": [...] }
+ *
+ * Server messages:
+ *   { "type": "subscribed" | "unsubscribed", "execution_ids": [...], "session_ids": [...] }
+ *   { "type": "snapshot", "execution_id", "events": [...] }  events recorded before subscribing
+ *   { "type": "event", "execution_id", "session_id", "stage", "timestamp", ... }
+ *   { "type": "error", "error": "..." }
+ */
+export function createExecutionSocket() {
+  const wss = new WebSocketServer({ noServer: true });
+  const byExecution = new Map(); // execution_id -> Set of sockets
+  const bySession = new Map(); // session_id -> Set of sockets
+
+  const add = (index, key, ws) => {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(ws);
+  };
+
+  const remove = (index, key, ws) => {
+    const sockets = index.get(key);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) index.delete(key);
+  };
+
+  const send = (ws, message) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  const dispatch = (event) => {
+    const targets = new Set([
+      ...(byExecution.get(event.execution_id) || []),
+      ...(bySession.get(event.session_id) || []),
+    ]);
+    targets.forEach(ws => send(ws, { type: 'event', ...event }));
+  };
+
+  const handleMessage = async (ws, raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return send(ws, { type: 'error', error: 'Invalid JSON message' });
+    }
+
+    const { action } = message || {};
+    const executionIds = toList(message?.execution_ids);
+    const sessionIds = toList(message?.session_ids);
+
+    if (action !== 'subscribe' && action !== 'unsubscribe') {
+      return send(ws, { type: 'error', error: 'action must be subscribe or unsubscribe' });
+    }
+
+    const invalid = [...executionIds, ...sessionIds].find(id => typeof id !== 'string' || !isUuid(id));
+    if (invalid !== undefined) {
+      return send(ws, { type: 'error', error: `Invalid id: ${invalid}` });
+    }
+
+    if (action === 'unsubscribe') {
+      executionIds.forEach(id => {
+        ws.executionIds.delete(id);
+        remove(byExecution, id, ws);
+      });
+      sessionIds.forEach(id => {
+        ws.sessionIds.delete(id);
+        remove(bySession, id, ws);
+      });
+      return send(ws, { type: 'unsubscribed', execution_ids: executionIds, session_ids: sessionIds });
+    }
+
+    const total = new Set([...ws.executionIds, ...executionIds]).size + new Set([...ws.sessionIds, ...sessionIds]).size;
+    if (total > MAX_SUBSCRIPTIONS) {
+      return send(ws, { type: 'error', error: `Too many subscriptions (max ${MAX_SUBSCRIPTIONS})` });
+    }
+
+    executionIds.forEach(id => {
+      ws.executionIds.add(id);
+      add(byExecution, id, ws);
+    });
+    sessionIds.forEach(id => {
+      ws.sessionIds.add(id);
+      add(bySession, id, ws);
+    });
+    send(ws, { type: 'subscribed', execution_ids: executionIds, session_ids: sessionIds });
+
+    // Catch up on what already happened to the executions
+    for (const id of executionIds) {
+      const events = await SafetyService.getExecutionEvents(id);
+      if (events.length > 0) {
+        send(ws, { type: 'snapshot', execution_id: id, events });
+      }
+    }
+  };
+
+  wss.on('connection', (ws) => {
+    ws.isAlive = true;
+    ws.executionIds = new Set();
+    ws.sessionIds = new Set();
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (raw) => {
+      handleMessage(ws, raw).catch(error => {
+        console.error('[ExecutionSocket] Message error:', error);
+        send(ws, { type: 'error', error: error.message });
+      });
+    });
+    ws.on('close', () => {
+      ws.executionIds.forEach(id => remove(byExecution, id, ws));
+      ws.sessionIds.forEach(id => remove(bySession, id, ws));
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  const pingTimer = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, PING_INTERVAL_MS);
+  pingTimer.unref();
+
+  const listening = StreamService.onLifecycleEvent(dispatch).catch(error => {
+    console.error('[ExecutionSocket] Failed to subscribe to lifecycle events:', error);
+  });
+
+  wss.on('close', async () => {
+    clearInterval(pingTimer);
+    const unsubscribe = await listening;
+    await unsubscribe?.();
+  });
+
+  return wss;
+}
+
+export default createExecutionSocket;
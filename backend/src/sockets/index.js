@@ -0,0 +1,31 @@
+import { createCollabSocket } from './collabSocket.js';
+import { createExecutionSocket } from './executionSocket.js';
+import { createTerminalSocket } from './terminalSocket.js';
+
+/**
+ * Attach WebSocket endpoints to the HTTP server, routed by path
+ */
+export default function sockets(server) {
+  const endpoints = {
+    '/ws/executions': createExecutionSocket(),
+    '/ws/terminal': createTerminalSocket(),
+    '/ws/collab': createCollabSocket(),
+  };
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const wss = endpoints[pathname];
+
+    if (!wss) {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  return endpoints;
+}
@@ -0,0 +1,160 @@
+import { WebSocketServer } from 'ws';
+import { validate as isUuid } from 'uuid';
+import Execution from '../models/Execution.js';
+import ExecutionService from '../services/ExecutionService.js';
+import StreamService from '../services/StreamService.js';
+import TerminalService from '../services/TerminalService.js';
+
+const PING_INTERVAL_MS = 30000;
+const POLICY_VIOLATION = 1008;
+
+/**
+ * WebSocket terminal of an interactive execution
+ *
+ * Connect to /ws/terminal?execution_id=<id>, optionally with &last_seq=<n> to
+ * resume after the last stream event received.
+ *
+ * Client messages:
+ *   { "type": "input", "data": "..." }  text written to the program's stdin
+ *   { "type": "eof" }                    close the program's stdin
+ *
+ * Server messages (the execution stream, replayed from the start):
+ *   { "type": "stdout" | "stderr" | "stdin", "seq", "data" }
+ *   { "type": "stdin_close", "seq" }
+ *   { "type": "status", "seq", "stage", ... }  lifecycle events
+ *   { "type": "error", "error": "..." }
+ *
+ * The socket is closed after the execution's terminal status event.
+ */
+export function createTerminalSocket() {
+  const wss = new WebSocketServer({ noServer: true });
+
+  const send = (ws, message) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  const reject = (ws, error, code = POLICY_VIOLATION) => {
+    send(ws, { type: 'error', error });
+    ws.close(code, error.slice(0, 120));
+    return false;
+  };
+
+  const finish = (ws) => {
+    ws.finished = true;
+    ws.close(1000, 'Execution finished');
+  };
+
+  const open = async (ws, executionId, afterSeq) => {
+    if (!executionId || !isUuid(executionId)) {
+      return reject(ws, 'execution_id must be a valid id');
+    }
+
+    const execution = await Execution.findById(executionId);
+    if (!execution) {
+      return reject(ws, `Execution not found: ${executionId}`);
+    }
+    if (!execution.interactive) {
+      return reject(ws, 'Execution is not interactive; start it with "interactive": true');
+    }
+
+    const unsubscribe = await StreamService.follow(executionId, (event) => {
+      send(ws, event);
+      if (event.type === 'status' && ExecutionService.TERMINAL_STATUSES.includes(event.stage)) {
+        finish(ws);
+      }
+    }, { afterSeq });
+
+    if (ws.readyState !== ws.OPEN) {
+      await unsubscribe();
+      return false;
+    }
+    ws.unsubscribe = unsubscribe;
+
+    // Finished before connecting and its stream expired
+    if (ExecutionService.TERMINAL_STATUSES.includes(execution.status) && !ws.finished) {
+      return reject(ws, `Execution already finished with status ${execution.status}`, 1000);
+    }
+
+    return true;
+  };
+
+  const handleMessage = async (ws, raw) => {
+    if (!(await ws.ready)) return;
+
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return send(ws, { type: 'error', error: 'Invalid JSON message' });
+    }
+
+    if (ws.finished) {
+      return send(ws, { type: 'error', error: 'Execution already finished' });
+    }
+
+    if (message?.type === 'input') {
+      const validation = TerminalService.validateInput(message.data);
+      if (!validation.valid) {
+        return send(ws, { type: 'error', error: validation.error });
+      }
+      await TerminalService.sendInput(ws.executionId, message.data);
+      return;
+    }
+
+    if (message?.type === 'eof') {
+      await TerminalService.closeInput(ws.executionId);
+      return;
+    }
+
+    send(ws, { type: 'error', error: 'type must be input or eof' });
+  };
+
+  wss.on('connection', (ws, req) => {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    ws.executionId = params.get('execution_id');
+    ws.isAlive = true;
+    ws.finished = false;
+    ws.unsubscribe = null;
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (raw) => {
+      handleMessage(ws, raw).catch(error => {
+        console.error('[TerminalSocket] Message error:', error);
+        send(ws, { type: 'error', error: error.message });
+      });
+    });
+    ws.on('close', () => {
+      ws.unsubscribe?.();
+    });
+
+    ws.ready = open(ws, ws.executionId, parseInt(params.get('last_seq')) || 0).catch(error => {
+      console.error('[TerminalSocket] Failed to open terminal:', error);
+      return reject(ws, error.message, 1011);
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  const pingTimer = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, PING_INTERVAL_MS);
+  pingTimer.unref();
+
+  wss.on('close', () => {
+    clearInterval(pingTimer);
+  });
+
+  return wss;
+}
+
+export default createTerminalSocket;
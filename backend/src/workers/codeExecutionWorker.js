@@ -1,14 +1,35 @@
 import { Worker } from 'bullmq';
 import Redis from 'ioredis';
 import dotenv from 'dotenv';
+import os from 'os';
+import redis from '../libs/redis.js';
 import Execution from '../models/Execution.js';
+import Batch from '../models/Batch.js';
 import Session from '../models/Session.js';
+import SourceSnapshot from '../models/SourceSnapshot.js';
 import Language from '../models/Language.js';
 import CodeExecutionService from '../services/CodeExecutionService.js';
+import JudgeService from '../services/JudgeService.js';
+import BatchService from '../services/BatchService.js';
+import TerminalService from '../services/TerminalService.js';
 import SafetyService from '../services/SafetyService.js';
+import SnapshotService from '../services/SnapshotService.js';
+import StreamService from '../services/StreamService.js';
+import CancellationService from '../services/CancellationService.js';
+import LanguageService from '../services/LanguageService.js';
+import RuntimeService from '../services/RuntimeService.js';
+import SessionReaperService from '../services/SessionReaperService.js';
+import RuntimeRegistry from '../runtimes/RuntimeRegistry.js';
+import Sandbox from '../runtimes/Sandbox.js';
 
 dotenv.config();
 
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const RUNTIME_HEARTBEAT_MS = 30000;
+
+// Executions running on this worker, so cancel requests can reach them
+const runningExecutions = new Map(); // execution_id -> AbortController
+
 // Separate connection for Worker
 const workerConnection = new Redis({
   host: process.env.REDIS_HOST || 'localhost',
@@ -16,14 +37,46 @@ const workerConnection = new Redis({
   maxRetriesPerRequest: null,
 });
 
+const isFinalAttempt = (job) => job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
 async function processExecution(job) {
-  const { execution_id, session_id, time_limit, memory_limit } = job.data;
+  const {
+    execution_id,
+    session_id,
+    batch_id,
+    source_hash,
+    time_limit,
+    memory_limit,
+    stdin,
+    args = [],
+    env = {},
+    test_cases,
+    interactive = false,
+  } = job.data;
 
   console.log(`[Worker] Processing execution ${execution_id} from session ${session_id} (attempt ${job.attemptsMade + 1})`);
 
+  const output = StreamService.createPublisher(execution_id);
+  const cancellation = new AbortController();
+  runningExecutions.set(execution_id, cancellation);
+  let terminal = null;
+
   try {
+    // Cancelled while the job was being picked up
+    if (await CancellationService.isCancelRequested(execution_id)) {
+      const result = CodeExecutionService.cancelledResult();
+      await Execution.updateResult(execution_id, { ...result, finished_at: new Date() });
+      await SafetyService.logExecutionEvent(execution_id, 'CANCELLED', { session_id });
+      if (batch_id) {
+        await BatchService.onItemFinished(batch_id);
+      }
+      console.log(`[Worker] Execution ${execution_id} cancelled before start`);
+      return result;
+    }
+
     await Execution.updateStarted(execution_id);
     await SafetyService.logExecutionEvent(execution_id, 'RUNNING', {
+      session_id,
       job_attempt: job.attemptsMade + 1,
     });
 
@@ -37,12 +90,93 @@ async function processExecution(job) {
       throw new Error(`Language not found: ${session.language_id}`);
     }
 
-    const result = await CodeExecutionService.executeCode(
-      language,
-      session.source_code,
-      time_limit,
-      memory_limit
-    );
+    // Batch items run the batch's snapshot with the files it compiled once
+    const batch = batch_id ? await Batch.findById(batch_id) : null;
+    if (batch_id && !batch) {
+      throw new Error(`Batch not found: ${batch_id}`);
+    }
+
+    // Run the code captured at submission; jobs queued before snapshots
+    // existed carry no hash and run the session's current code
+    let source = batch;
+    if (!source && source_hash) {
+      source = await SourceSnapshot.findByHash(source_hash);
+      if (!source) {
+        throw new Error(`Source snapshot not found: ${source_hash}`);
+      }
+    }
+    source = source || await SnapshotService.fromSession(session);
+
+    const sourceCode = source.source_code;
+    const project = {
+      files: source.files,
+      entryPoint: source.entry_point,
+      build: batch ? await BatchService.getBuild(batch_id) : null,
+      args,
+      env,
+    };
+
+    // Interactive runs read stdin from the terminal WebSocket as it is typed
+    if (interactive) {
+      terminal = await TerminalService.attach(execution_id);
+    }
+
+    const result = test_cases
+      ? await JudgeService.judge(language, sourceCode, test_cases, time_limit, memory_limit, {
+        ...project,
+        signal: cancellation.signal,
+      })
+      : await CodeExecutionService.executeCode(
+        language,
+        sourceCode,
+        time_limit,
+        memory_limit,
+        terminal ? terminal.input : stdin,
+        {
+          ...project,
+          onOutput: (stream, chunk) => {
+            output.write(stream, chunk);
+            terminal?.record(stream, chunk);
+          },
+          signal: cancellation.signal,
+          idleTimeoutMs: terminal ? TerminalService.IDLE_TIMEOUT_MS : null,
+        }
+      );
+
+    // Live output must reach subscribers before the terminal status
+    await output.flush();
+
+    if (terminal) {
+      await Execution.updateTranscript(execution_id, terminal.getTranscript());
+    }
+
+    if (result.test_results) {
+      await Execution.updateTestResults(execution_id, {
+        test_results: result.test_results,
+        passed_cases: result.passed_cases,
+        total_cases: result.total_cases,
+        score: result.score,
+      });
+    }
+
+    if (result.compile_output !== undefined) {
+      await Execution.updateCompileResult(execution_id, {
+        compile_output: result.compile_output,
+        compile_time_ms: result.compile_time_ms,
+        compile_exit_code: result.compile_exit_code,
+        compile_cached: result.compile_cached,
+      });
+    }
+
+    if (result.wall_time_ms !== undefined) {
+      await Execution.updateMetrics(execution_id, {
+        cpu_user_ms: result.cpu_user_ms,
+        cpu_system_ms: result.cpu_system_ms,
+        wall_time_ms: result.wall_time_ms,
+        peak_memory_kb: result.peak_memory_kb,
+        signal: result.signal,
+      });
+    }
 
     await Execution.updateResult(execution_id, {
       status: result.status,
@@ -55,42 +189,192 @@ async function processExecution(job) {
     });
 
     await SafetyService.logExecutionEvent(execution_id, result.status, {
+      session_id,
       execution_time_ms: result.execution_time_ms,
       exit_code: result.exit_code,
       timeout: result.timeout,
+      compile_exit_code: result.compile_exit_code,
+      passed_cases: result.passed_cases,
+      score: result.score,
     });
 
+    if (batch_id) {
+      await BatchService.onItemFinished(batch_id);
+    }
+
     console.log(`[Worker] Execution ${execution_id} completed with status: ${result.status}`);
     return result;
   } catch (error) {
     console.error(`[Worker] Execution ${execution_id} failed (attempt ${job.attemptsMade + 1}):`, error);
-
-    await SafetyService.logExecutionEvent(execution_id, 'FAILED', {
-      error: error.message,
-      job_attempt: job.attemptsMade + 1,
-    });
+    await output.flush();
 
     await Execution.updateResult(execution_id, {
-      status: 'FAILED',
+      status: 'INTERNAL_ERROR',
       stdout: '',
       stderr: error.message,
-      execution_time_ms: 0,
-      exit_code: 1,
+      execution_time_ms: null,
+      exit_code: null,
       timeout: false,
       finished_at: new Date(),
     });
 
+    // Logged after the update so stream subscribers read the final result
+    await SafetyService.logExecutionEvent(execution_id, 'INTERNAL_ERROR', {
+      session_id,
+      error: error.message,
+      job_attempt: job.attemptsMade + 1,
+    });
+
+    // Retried attempts run the item again; only the last one may end the batch
+    if (batch_id && isFinalAttempt(job)) {
+      await BatchService.onItemFinished(batch_id);
+    }
+
     throw error;
+  } finally {
+    runningExecutions.delete(execution_id);
+    await terminal?.close();
   }
 }
 
+/**
+ * Compile a batch's snapshot once, then queue its items as execution jobs
+ */
+async function processBatch(job) {
+  const { batch_id } = job.data;
+
+  console.log(`[Worker] Preparing batch ${batch_id} (attempt ${job.attemptsMade + 1})`);
+
+  const batch = await Batch.findById(batch_id);
+  if (!batch) {
+    throw new Error(`Batch not found: ${batch_id}`);
+  }
+
+  // A previous attempt may have dispatched the items already
+  if (!['QUEUED', 'RUNNING'].includes(batch.status)) {
+    return;
+  }
+
+  try {
+    await Batch.updateStarted(batch_id);
+
+    const session = await Session.findWithLanguage(batch.session_id);
+    if (!session) {
+      throw new Error(`Session not found: ${batch.session_id}`);
+    }
+
+    const language = await Language.findById(session.language_id);
+    if (!language) {
+      throw new Error(`Language not found: ${session.language_id}`);
+    }
+
+    const result = await CodeExecutionService.executeCode(
+      language,
+      batch.source_code,
+      batch.time_limit_ms,
+      batch.memory_limit_mb,
+      '',
+      { files: batch.files, entryPoint: batch.entry_point, compileOnly: true }
+    );
+
+    if (result.compile_output !== undefined) {
+      await Batch.updateCompileResult(batch_id, {
+        compile_output: result.compile_output,
+        compile_time_ms: result.compile_time_ms,
+        compile_exit_code: result.compile_exit_code,
+      });
+    }
+
+    if (result.status !== 'COMPLETED') {
+      await BatchService.failBatch(batch, result);
+      console.log(`[Worker] Batch ${batch_id} ended with status: ${result.status}`);
+      return;
+    }
+
+    if (result.build) {
+      await BatchService.saveBuild(batch_id, { compile_output: result.compile_output, files: result.build });
+    }
+
+    // RUNNING before dispatch, so the last item can mark the batch COMPLETED
+    await Batch.updateStatus(batch_id, 'RUNNING');
+    const dispatched = await BatchService.dispatchItems(batch);
+    await BatchService.onItemFinished(batch_id);
+
+    console.log(`[Worker] Batch ${batch_id} dispatched ${dispatched} items`);
+  } catch (error) {
+    console.error(`[Worker] Batch ${batch_id} failed (attempt ${job.attemptsMade + 1}):`, error);
+
+    if (isFinalAttempt(job)) {
+      await BatchService.failBatch(batch, { status: 'INTERNAL_ERROR', stderr: error.message });
+    }
+
+    throw error;
+  }
+}
+
+function processJob(job) {
+  switch (job.name) {
+    case BatchService.JOB_NAME:
+      return processBatch(job);
+    case SessionReaperService.JOB_NAME:
+      return SessionReaperService.closeIdleSessions();
+    default:
+      return processExecution(job);
+  }
+}
+
+function cancelRunningExecution({ execution_id }) {
+  const cancellation = runningExecutions.get(execution_id);
+  if (cancellation) {
+    console.log(`[Worker] Cancelling execution ${execution_id}`);
+    cancellation.abort();
+  }
+}
+
+function advertiseRuntimes() {
+  RuntimeService.publishAvailableRuntimes(WORKER_ID).catch(err => {
+    console.error('[Worker] Failed to advertise runtimes:', err.message);
+  });
+}
+
 async function startWorker() {
   try {
     console.log('[Worker] Starting code execution worker...');
 
+    if (Sandbox.isEnabled() && !(await Sandbox.isSupported())) {
+      throw new Error('SANDBOX_ENABLED is set but this host cannot create sandboxes (requires Linux with util-linux)');
+    }
+    console.log(`[Worker] Sandbox: ${Sandbox.isEnabled() ? 'enabled' : 'disabled'}`);
+
+    const runtimes = await RuntimeRegistry.detectAvailable();
+    console.log(`[Worker] Detected runtimes: ${runtimes.join(', ') || 'none'}`);
+
+    // Advertise now if connected, and again after every (re)connect
+    if (redis.status === 'ready') {
+      advertiseRuntimes();
+    }
+    redis.on('ready', advertiseRuntimes);
+    setInterval(advertiseRuntimes, RUNTIME_HEARTBEAT_MS).unref();
+
+    CancellationService.onCancelRequest(cancelRunningExecution).catch(err => {
+      console.error('[Worker] Failed to subscribe to cancel requests:', err.message);
+    });
+
+    // Language rows are read per job; only the advertised runtimes need refreshing
+    LanguageService.onChange(({ language_id, action }) => {
+      console.log(`[Worker] Language ${language_id} ${action}, refreshing runtimes`);
+      advertiseRuntimes();
+    }).catch(err => {
+      console.error('[Worker] Failed to subscribe to language changes:', err.message);
+    });
+
+    SessionReaperService.schedule().catch(err => {
+      console.error('[Worker] Failed to schedule the idle session reaper:', err.message);
+    });
+
     const concurrency = parseInt(process.env.MAX_CONCURRENT_EXECUTIONS || 10);
     
-    const worker = new Worker('code-execution', processExecution, {
+    const worker = new Worker('code-execution', processJob, {
       connection: workerConnection,
       concurrency: concurrency,
     });